@@ -24,6 +24,20 @@ import branchRoutes from './routers/branch.routes.js'
 import enterpriseRoutes from './routers/enterprise.routes.js'
 import userRoutes from "./routers/user.routes.js"
 import userRoleRoutes from './routers/userRole.routes.js'
+import assetRoutes from './routers/asset.routes.js'
+import assetTransferRoutes from './routers/assetTransfer.routes.js'
+import assetCategoryRoutes from './routers/assetCategory.routes.js'
+import maintenanceRoutes from './routers/maintenance.routes.js'
+import vendorRoutes from './routers/vendor.routes.js'
+import notificationRoutes from './routers/notification.routes.js'
+import licenseRoutes from './routers/license.routes.js'
+import consumableRoutes from './routers/consumable.routes.js'
+import auditRoutes from './routers/audit.routes.js'
+import disposalRoutes from './routers/disposal.routes.js'
+import helpdeskRoutes from './routers/helpdesk.routes.js'
+import purchaseRoutes from './routers/purchase.routes.js'
+import networkRoutes from './routers/network.routes.js'
+import offboardingRoutes from './routers/offboarding.routes.js'
 
 
 // Router declaration
@@ -32,6 +46,20 @@ app.use("/api/v1/branches", branchRoutes)
 app.use("/api/v1/enterprise", enterpriseRoutes)
 app.use("/api/v1/users", userRoutes)
 app.use("/api/v1/roles", userRoleRoutes);
+app.use("/api/v1/assets", assetRoutes);
+app.use("/api/v1/transfers", assetTransferRoutes);
+app.use("/api/v1/asset-categories", assetCategoryRoutes);
+app.use("/api/v1/maintenance", maintenanceRoutes);
+app.use("/api/v1/vendors", vendorRoutes);
+app.use("/api/v1/notifications", notificationRoutes);
+app.use("/api/v1/licenses", licenseRoutes);
+app.use("/api/v1/consumables", consumableRoutes);
+app.use("/api/v1/audits", auditRoutes);
+app.use("/api/v1/disposals", disposalRoutes);
+app.use("/api/v1/helpdesk", helpdeskRoutes);
+app.use("/api/v1/purchase", purchaseRoutes);
+app.use("/api/v1/network", networkRoutes);
+app.use("/api/v1/offboarding", offboardingRoutes);
 
 
 export {app}
\ No newline at end of file
@@ -0,0 +1,33 @@
+// Common passwords refused by the password policy (compared lower-cased, also with
+// leading/trailing digits and symbols stripped, so "Password@123" counts as "password").
+export const BANNED_PASSWORDS = new Set([
+  // 🔢 Keyboard and number runs
+  "123456", "1234567", "12345678", "123456789", "1234567890", "12345", "1234", "123123",
+  "111111", "000000", "654321", "666666", "121212", "112233", "123321", "159753",
+  "987654321", "1q2w3e4r", "1q2w3e", "1qaz2wsx", "qwerty", "qwertyuiop", "qwerty123",
+  "qwe123", "asdfgh", "asdfghjkl", "zxcvbn", "zxcvbnm", "qazwsx", "abc123", "abcd1234",
+  "a1b2c3", "aaaaaa", "abcdef", "abcdefg", "abcdefgh", "password1", "passw0rd", "p@ssw0rd",
+  "p@ssword", "pa55word",
+
+  // 🔑 Password-ish words
+  "password", "pass", "passwd", "passcode", "secret", "letmein", "welcome", "login",
+  "admin", "administrator", "root", "master", "default", "changeme", "access", "guest",
+  "user", "test", "testing", "demo", "temp", "temporary", "system", "qwert", "trustno1",
+  "iloveyou", "loveyou", "love", "lovely", "sunshine", "princess", "dragon", "monkey",
+  "shadow", "superman", "batman", "football", "baseball", "soccer", "cricket", "hockey",
+  "starwars", "pokemon", "whatever", "freedom", "hello", "hello123", "charlie", "michael",
+  "jordan", "ashley", "jessica", "daniel", "thomas", "hunter", "ranger", "buster",
+  "tigger", "ginger", "pepper", "cheese", "cookie", "summer", "winter", "spring", "autumn",
+  "flower", "orange", "banana", "chocolate", "computer", "internet", "killer", "mustang",
+  "harley", "maggie", "jennifer", "nicole", "matrix", "silver", "golden", "diamond",
+  "blessed", "angel", "family", "friends", "money", "forever", "heaven", "samsung",
+  "google", "apple", "microsoft", "facebook", "linkedin", "india", "bharat", "jaihind",
+  "krishna", "ganesh", "sairam", "omsairam",
+
+  // 🏢 Workplace defaults
+  "company", "office", "welcome1", "welcome123", "admin123", "admin@123", "root123",
+  "test123", "user123", "pass123", "password123", "password@123", "india123", "india@123",
+  "abcd", "abcd@123", "abcd-it", "helpdesk", "support", "service", "network", "server",
+  "asset", "assets", "inventory", "branch", "manager", "employee", "staff", "newuser",
+  "newpassword", "reset", "resetpassword", "firstlogin",
+]);
@@ -16,6 +16,9 @@ export const ALL_PERMISSIONS = [
   "delete_branch",
   "view_branch",
 
+  // 🏛️ Enterprise settings (lockout / password policy)
+  "edit_enterprise",
+
   // 🧩 Group management
   "create_group",
   "edit_group",
@@ -27,5 +30,79 @@ export const ALL_PERMISSIONS = [
   "edit_role",
   "delete_role",
   "view_role",
-  
+
+  // 💻 Asset management
+  "create_asset",
+  "edit_asset",
+  "delete_asset",
+  "view_asset",
+  "issue_asset",
+  "create_asset_category",
+  "edit_asset_category",
+  "delete_asset_category",
+
+  // 🚚 Asset transfers
+  "request_transfer",
+  "approve_transfer",
+  "receive_transfer",
+  "view_transfer",
+
+  // 🛠️ Maintenance
+  "manage_maintenance",
+
+  // 🏭 Vendor management
+  "create_vendor",
+  "edit_vendor",
+  "delete_vendor",
+  "view_vendor",
+
+  // 🔑 Software licenses
+  "create_license",
+  "edit_license",
+  "delete_license",
+  "view_license",
+  "assign_license",
+
+  // 📦 Consumables
+  "create_consumable",
+  "edit_consumable",
+  "delete_consumable",
+  "view_consumable",
+  "receive_stock",
+  "issue_stock",
+
+  // 📋 Audit / stock-take
+  "conduct_audit",
+
+  // ♻️ Disposal / write-off
+  "request_disposal",
+  "approve_disposal",
+
+  // 🎧 Helpdesk
+  "raise_ticket_on_behalf",
+  "view_tickets",
+  "manage_tickets",
+
+  // 🧾 Purchasing
+  "raise_requisition",
+  "approve_requisition",
+  "create_purchase_order",
+  "view_purchase",
+  "receive_goods",
+
+  // 🌐 Network / IP inventory
+  "manage_network",
+  "view_network",
+
+  // 🧾 Offboarding
+  "view_offboarding",
+  "manage_offboarding",
+
+  // 🔐 Two-factor authentication
+  "reset_two_factor",
+
+  // 🖥️ Sessions & devices
+  "manage_sessions",
+  "unlock_user",
+
 ];
@@ -0,0 +1,340 @@
+// controllers/asset.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { Branch } from "../models/branch.model.js";
+import {
+  getCurrentUserWithBranches,
+  buildBranchFilter,
+  resolveTargetBranch,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset, normalizeCoverage } from "../utils/asset.helpers.js";
+import {
+  resolveCategoryAttributes,
+  getCategorySubtreeIds,
+} from "../utils/assetCategory.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+import { resolveBranchLocation } from "../utils/location.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+import {
+  findExpiringCoverage,
+  groupAlertsByBranch,
+} from "../services/warrantyAlert.service.js";
+import { releaseAssetSeats } from "../services/license.service.js";
+
+const ASSET_POPULATE = [
+  { path: "branch", select: "branchName branchCode" },
+  { path: "category", select: "name parent" },
+  { path: "location", select: "name type building floor room" },
+  { path: "vendor", select: "vendorName" },
+];
+
+/* ============================================================
+   🟢 CREATE ASSET
+============================================================ */
+export const createAsset = asyncHandler(async (req, res) => {
+  const {
+    assetTag,
+    serialNumber,
+    assetName,
+    category,
+    make,
+    modelNo,
+    status,
+    purchaseDate,
+    purchaseCost,
+    branch,
+    location,
+    vendor,
+    remarks,
+  } = req.body;
+
+  if (!assetTag?.trim()) throw new apiError(400, "Asset tag is required");
+  if (!assetName?.trim()) throw new apiError(400, "Asset name is required");
+  if (!category) throw new apiError(400, "Category is required");
+  if (["assigned", "in-transit", "under-repair", "disposed"].includes(status)) {
+    throw new apiError(400, `New assets cannot be created as ${status}`);
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  // 🔹 Branch must be one the creator can work with
+  const finalBranch = resolveTargetBranch(currentUser, branch);
+  const branchDoc = await Branch.findById(finalBranch).select("enterprise");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+
+  // 🔹 Duplicate tag within the enterprise
+  const existing = await Asset.findOne({
+    enterprise: branchDoc.enterprise,
+    assetTag: assetTag.trim().toUpperCase(),
+    isDeleted: { $ne: true },
+  });
+  if (existing) throw new apiError(409, "Asset tag already exists");
+
+  // 🔹 Category must belong to the enterprise; attributes must match its definitions
+  const { attributes } = await resolveCategoryAttributes(
+    category,
+    branchDoc.enterprise,
+    parseJsonInput(req.body.attributes, "attributes")
+  );
+
+  const asset = await Asset.create({
+    enterprise: branchDoc.enterprise,
+    branch: branchDoc._id,
+    location: await resolveBranchLocation(location, branchDoc._id),
+    vendor: await resolveEnterpriseVendor(vendor, branchDoc.enterprise),
+    warranty: await normalizeCoverage(
+      parseJsonInput(req.body.warranty, "warranty"),
+      branchDoc.enterprise,
+      "warranty"
+    ),
+    amc: await normalizeCoverage(parseJsonInput(req.body.amc, "amc"), branchDoc.enterprise, "amc"),
+    assetTag,
+    serialNumber,
+    assetName,
+    category,
+    attributes,
+    make,
+    modelNo,
+    status,
+    purchaseDate,
+    purchaseCost,
+    remarks,
+    createdBy: currentUser._id,
+  });
+
+  const createdAsset = await Asset.findById(asset._id).populate(ASSET_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, createdAsset, "Asset created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL ASSETS (branch access restriction + filters)
+============================================================ */
+export const getAllAssets = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const { status, category, branch, search, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { isDeleted: { $ne: true } };
+  filter.branch = buildBranchFilter(currentUser, branch);
+
+  // disposed assets drop out of active lists unless asked for explicitly
+  filter.status = status || { $ne: "disposed" };
+  if (category) {
+    // a parent category also lists assets of its sub-categories
+    if (!mongoose.Types.ObjectId.isValid(category)) throw new apiError(400, "Invalid category ID");
+    filter.category = { $in: await getCategorySubtreeIds(category) };
+  }
+
+  if (search) {
+    filter.$or = [
+      { assetTag: { $regex: search, $options: "i" } },
+      { labelCode: { $regex: search, $options: "i" } },
+      { serialNumber: { $regex: search, $options: "i" } },
+      { assetName: { $regex: search, $options: "i" } },
+      { make: { $regex: search, $options: "i" } },
+      { modelNo: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [assets, total] = await Promise.all([
+    Asset.find(filter)
+      .populate(ASSET_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    Asset.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { assets, total, page: Number(page), limit: Number(limit) },
+      "Assets fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   🛡️ WARRANTY / AMC EXPIRING SOON (per branch)
+============================================================ */
+export const getWarrantyExpiringAssets = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { branch, type } = req.query;
+
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    throw new apiError(400, "days must be a whole number between 0 and 365");
+  }
+
+  let alerts = await findExpiringCoverage({
+    branchFilter: buildBranchFilter(currentUser, branch),
+    days,
+  });
+  if (type) alerts = alerts.filter((a) => a.type === type);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { days, total: alerts.length, branches: groupAlertsByBranch(alerts) },
+      "Expiring warranties fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE ASSET
+============================================================ */
+export const getAssetById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  await asset.populate([
+    ...ASSET_POPULATE,
+    { path: "createdBy", select: "fullName username" },
+    { path: "updatedBy", select: "fullName username" },
+  ]);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, asset, "Asset fetched successfully"));
+});
+
+/* ============================================================
+   ✏️ UPDATE ASSET
+============================================================ */
+export const updateAsset = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  const {
+    assetTag,
+    serialNumber,
+    assetName,
+    category,
+    make,
+    modelNo,
+    status,
+    purchaseDate,
+    purchaseCost,
+    branch,
+    location,
+    vendor,
+    remarks,
+  } = req.body;
+
+  if (asset.status === "disposed") {
+    throw new apiError(400, "Disposed assets are read-only");
+  }
+  // 🚚 Branch moves go through the transfer workflow (dispatch, receipt, history)
+  if (branch && branch.toString() !== asset.branch.toString()) {
+    throw new apiError(400, "Branch cannot be changed here. Raise an asset transfer instead");
+  }
+  if (asset.status === "in-transit" && status) {
+    throw new apiError(400, "Asset is in transit. Complete the transfer first");
+  }
+  if (asset.status === "under-repair" && status && status !== asset.status) {
+    throw new apiError(400, "Asset is under repair. Close its maintenance ticket first");
+  }
+
+  if (location !== undefined) {
+    asset.location = await resolveBranchLocation(location, asset.branch);
+  }
+
+  if (assetTag && assetTag.trim().toUpperCase() !== asset.assetTag) {
+    const duplicate = await Asset.findOne({
+      enterprise: asset.enterprise,
+      assetTag: assetTag.trim().toUpperCase(),
+      isDeleted: { $ne: true },
+      _id: { $ne: asset._id },
+    });
+    if (duplicate) throw new apiError(409, "Asset tag already exists");
+    asset.assetTag = assetTag;
+  }
+
+  if (serialNumber !== undefined) asset.serialNumber = serialNumber;
+  if (assetName) asset.assetName = assetName;
+  // 🔹 Re-validate custom attributes when category or attributes change
+  const rawAttributes = parseJsonInput(req.body.attributes, "attributes");
+  if (category || rawAttributes !== undefined) {
+    const { category: categoryDoc, attributes } = await resolveCategoryAttributes(
+      category || asset.category,
+      asset.enterprise,
+      rawAttributes !== undefined ? rawAttributes : asset.attributes
+    );
+    asset.category = categoryDoc._id;
+    asset.attributes = attributes;
+  }
+  if (make !== undefined) asset.make = make;
+  if (modelNo !== undefined) asset.modelNo = modelNo;
+  if (status && status !== asset.status) {
+    // custody-driven status is only changed through issue / return
+    if (status === "assigned" || asset.assignedTo) {
+      throw new apiError(400, "Use the issue / return endpoints to change custody status");
+    }
+    // workflow-driven statuses come from transfers, maintenance tickets and disposals
+    if (["in-transit", "under-repair", "disposed"].includes(status)) {
+      throw new apiError(400, `Status "${status}" is set by its workflow, not manually`);
+    }
+    asset.status = status;
+  }
+  if (vendor !== undefined) asset.vendor = await resolveEnterpriseVendor(vendor, asset.enterprise);
+  if (req.body.warranty !== undefined) {
+    asset.warranty = await normalizeCoverage(
+      parseJsonInput(req.body.warranty, "warranty"),
+      asset.enterprise,
+      "warranty"
+    );
+  }
+  if (req.body.amc !== undefined) {
+    asset.amc = await normalizeCoverage(parseJsonInput(req.body.amc, "amc"), asset.enterprise, "amc");
+  }
+  if (purchaseDate !== undefined) asset.purchaseDate = purchaseDate;
+  if (purchaseCost !== undefined) asset.purchaseCost = purchaseCost;
+  if (remarks !== undefined) asset.remarks = remarks;
+
+  asset.updatedBy = currentUser._id;
+  await asset.save();
+
+  const updatedAsset = await Asset.findById(asset._id).populate(ASSET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updatedAsset, "Asset updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE ASSET (soft delete)
+============================================================ */
+export const deleteAsset = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  if (asset.assignedTo) {
+    throw new apiError(400, "Asset is issued to a user. Return it before deleting");
+  }
+  if (asset.status === "in-transit") {
+    throw new apiError(400, "Asset is in transit. Complete the transfer first");
+  }
+  if (asset.status === "under-repair") {
+    throw new apiError(400, "Asset is under repair. Close its maintenance ticket first");
+  }
+
+  // 🔑 Seats installed on the asset go back to their license pools
+  await releaseAssetSeats(asset._id, currentUser._id);
+
+  asset.isDeleted = true;
+  asset.deletedAt = new Date();
+  asset.deletedBy = currentUser._id;
+  await asset.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: asset._id }, "Asset deleted successfully"));
+});
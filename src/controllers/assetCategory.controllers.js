@@ -0,0 +1,254 @@
+// controllers/assetCategory.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { AssetCategory } from "../models/assetCategory.model.js";
+import { Asset } from "../models/asset.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleEnterpriseIds,
+  resolveTargetEnterprise,
+} from "../utils/branchAccess.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+import {
+  validateAttributeDefinitions,
+  getCategoryLineage,
+  getEffectiveAttributes,
+  getCategorySubtreeIds,
+} from "../utils/assetCategory.helpers.js";
+import {
+  validateDepreciationConfig,
+  resolveDepreciationConfig,
+} from "../utils/depreciation.helpers.js";
+
+/**
+ * Load a category that belongs to one of the caller's enterprises.
+ */
+const findAccessibleCategory = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid category ID");
+
+  const category = await AssetCategory.findById(id);
+  if (!category) throw new apiError(404, "Category not found");
+
+  if (!getAccessibleEnterpriseIds(currentUser).includes(category.enterprise.toString())) {
+    throw new apiError(403, "You do not have access to this category");
+  }
+  return category;
+};
+
+/**
+ * Turn a flat category list into a parent/children tree.
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(
+    categories.map((c) => [c._id.toString(), { ...c, children: [] }])
+  );
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+};
+
+/* ============================================================
+   🟢 CREATE ASSET CATEGORY
+============================================================ */
+export const createAssetCategory = asyncHandler(async (req, res) => {
+  const { name, description, parent, enterprise } = req.body;
+  const attributes = parseJsonInput(req.body.attributes, "attributes") || [];
+  const depreciation = parseJsonInput(req.body.depreciation, "depreciation") || null;
+
+  if (!name?.trim()) throw new apiError(400, "Category name is required");
+
+  const definitionErrors = validateAttributeDefinitions(attributes);
+  if (definitionErrors.length) {
+    throw new apiError(400, "Invalid attribute definitions", definitionErrors);
+  }
+  const depreciationErrors = validateDepreciationConfig(depreciation);
+  if (depreciationErrors.length) {
+    throw new apiError(400, "Invalid depreciation rule", depreciationErrors);
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  let finalEnterprise = resolveTargetEnterprise(currentUser, enterprise);
+
+  // 🔹 Child categories live in the parent's enterprise
+  let parentCategory = null;
+  if (parent) {
+    parentCategory = await findAccessibleCategory(currentUser, parent);
+    if (enterprise && parentCategory.enterprise.toString() !== finalEnterprise) {
+      throw new apiError(400, "Parent category belongs to another enterprise");
+    }
+    finalEnterprise = parentCategory.enterprise.toString();
+  }
+
+  const existing = await AssetCategory.findOne({
+    enterprise: finalEnterprise,
+    parent: parentCategory?._id || null,
+    name: name.trim().toLowerCase(),
+  });
+  if (existing) throw new apiError(409, "Category with this name already exists here");
+
+  const category = await AssetCategory.create({
+    enterprise: finalEnterprise,
+    name,
+    description,
+    parent: parentCategory?._id || null,
+    attributes,
+    depreciation,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, category, "Category created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL ASSET CATEGORIES (flat or ?tree=true)
+============================================================ */
+export const getAllAssetCategories = asyncHandler(async (req, res) => {
+  const { enterprise, tree, includeInactive } = req.query;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const filter = {};
+  if (enterprise) filter.enterprise = resolveTargetEnterprise(currentUser, enterprise);
+  else filter.enterprise = { $in: getAccessibleEnterpriseIds(currentUser) };
+  if (includeInactive !== "true") filter.isActive = true;
+
+  const categories = await AssetCategory.find(filter).sort({ name: 1 }).lean();
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        total: categories.length,
+        categories: tree === "true" ? buildCategoryTree(categories) : categories,
+      },
+      "Categories fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE CATEGORY (with inherited attributes)
+============================================================ */
+export const getAssetCategoryById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const category = await findAccessibleCategory(currentUser, req.params.id);
+
+  const lineage = await getCategoryLineage(category._id);
+  const children = await AssetCategory.find({ parent: category._id }).select("name isActive");
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        ...category.toObject(),
+        path: lineage.map((c) => c.name).join(" / "),
+        effectiveAttributes: getEffectiveAttributes(lineage),
+        effectiveDepreciation: resolveDepreciationConfig(
+          category._id,
+          new Map(lineage.map((c) => [c._id.toString(), c]))
+        ),
+        children,
+      },
+      "Category fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE CATEGORY
+============================================================ */
+export const updateAssetCategory = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const category = await findAccessibleCategory(currentUser, req.params.id);
+
+  const { name, description, parent, isActive } = req.body;
+  const attributes = parseJsonInput(req.body.attributes, "attributes");
+  const depreciation = parseJsonInput(req.body.depreciation, "depreciation");
+
+  if (depreciation !== undefined) {
+    // null / empty clears the rule so the parent's rule applies again
+    const rule = depreciation || null;
+    const depreciationErrors = validateDepreciationConfig(rule);
+    if (depreciationErrors.length) {
+      throw new apiError(400, "Invalid depreciation rule", depreciationErrors);
+    }
+    category.depreciation = rule;
+  }
+
+  if (attributes !== undefined) {
+    const definitionErrors = validateAttributeDefinitions(attributes);
+    if (definitionErrors.length) {
+      throw new apiError(400, "Invalid attribute definitions", definitionErrors);
+    }
+    category.attributes = attributes;
+  }
+
+  // 🔹 Re-parenting: same enterprise, and never under itself or its own subtree
+  if (parent !== undefined) {
+    if (!parent || parent === "null") {
+      category.parent = null;
+    } else {
+      const newParent = await findAccessibleCategory(currentUser, parent);
+      if (newParent.enterprise.toString() !== category.enterprise.toString()) {
+        throw new apiError(400, "Parent category belongs to another enterprise");
+      }
+      const subtree = (await getCategorySubtreeIds(category._id)).map((id) => id.toString());
+      if (subtree.includes(newParent._id.toString())) {
+        throw new apiError(400, "A category cannot be moved under itself or its children");
+      }
+      category.parent = newParent._id;
+    }
+  }
+
+  if (name) category.name = name;
+  if (description !== undefined) category.description = description;
+  if (isActive !== undefined) category.isActive = isActive === true || isActive === "true";
+
+  if (category.isModified("name") || category.isModified("parent")) {
+    const duplicate = await AssetCategory.findOne({
+      enterprise: category.enterprise,
+      parent: category.parent,
+      name: category.name,
+      _id: { $ne: category._id },
+    });
+    if (duplicate) throw new apiError(409, "Category with this name already exists here");
+  }
+
+  category.updatedBy = currentUser._id;
+  await category.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, category, "Category updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE CATEGORY (only when unused)
+============================================================ */
+export const deleteAssetCategory = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const category = await findAccessibleCategory(currentUser, req.params.id);
+
+  const [childCount, assetCount] = await Promise.all([
+    AssetCategory.countDocuments({ parent: category._id }),
+    Asset.countDocuments({ category: category._id, isDeleted: { $ne: true } }),
+  ]);
+
+  if (childCount > 0) throw new apiError(400, "Category has sub-categories. Remove them first");
+  if (assetCount > 0) {
+    throw new apiError(400, `Category is used by ${assetCount} asset(s). Deactivate it instead`);
+  }
+
+  await category.deleteOne();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: category._id }, "Category deleted successfully"));
+});
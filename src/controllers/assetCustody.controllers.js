@@ -0,0 +1,185 @@
+// controllers/assetCustody.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { AssetCustodyLog, CUSTODY_CONDITIONS } from "../models/assetCustodyLog.model.js";
+import { User } from "../models/user.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+
+// checked before the asset moves, so a bad value cannot leave it moved without a log
+const assertCondition = (condition) => {
+  if (condition && !CUSTODY_CONDITIONS.includes(condition)) {
+    throw new apiError(400, `condition must be one of ${CUSTODY_CONDITIONS.join(", ")}`);
+  }
+};
+
+/* ============================================================
+   📤 ISSUE (CHECK-OUT) ASSET TO USER
+============================================================ */
+export const issueAsset = asyncHandler(async (req, res) => {
+  const { userId, condition, note } = req.body;
+  if (!userId) throw new apiError(400, "userId is required");
+  if (!mongoose.Types.ObjectId.isValid(userId)) throw new apiError(400, "Invalid user ID");
+  assertCondition(condition);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  const custodian = await User.findOne({ _id: userId, isDeleted: { $ne: true } });
+  if (!custodian) throw new apiError(404, "User not found");
+  if (!custodian.isActive) throw new apiError(400, "Cannot issue assets to an inactive user");
+  if (!hasBranchAccess(currentUser, custodian.branch)) {
+    throw new apiError(403, "You cannot issue assets to users of a branch not assigned to you");
+  }
+
+  if (asset.status !== "available") {
+    throw new apiError(400, `Asset is not available for issue (current status: ${asset.status})`);
+  }
+
+  // 🔒 Conditional update so two admins cannot issue the same asset at once
+  const issuedAsset = await Asset.findOneAndUpdate(
+    { _id: asset._id, status: "available", assignedTo: null },
+    {
+      $set: {
+        status: "assigned",
+        assignedTo: custodian._id,
+        assignedAt: new Date(),
+        updatedBy: currentUser._id,
+      },
+    },
+    { new: true }
+  );
+  if (!issuedAsset) throw new apiError(409, "Asset was issued by someone else. Refresh and retry");
+
+  await AssetCustodyLog.create({
+    asset: asset._id,
+    user: custodian._id,
+    branch: asset.branch,
+    action: "issue",
+    performedBy: currentUser._id,
+    condition,
+    note,
+  });
+
+  await issuedAsset.populate("assignedTo", "fullName userId department designation");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, issuedAsset, `Asset issued to ${custodian.fullName}`));
+});
+
+/* ============================================================
+   📥 RETURN (CHECK-IN) ASSET
+============================================================ */
+export const returnAsset = asyncHandler(async (req, res) => {
+  const { condition, note } = req.body;
+  assertCondition(condition);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  if (!asset.assignedTo) throw new apiError(400, "Asset is not issued to anyone");
+
+  const previousCustodian = asset.assignedTo;
+
+  const returnedAsset = await Asset.findOneAndUpdate(
+    { _id: asset._id, assignedTo: previousCustodian },
+    {
+      $set: {
+        // an asset returned while under repair stays under repair
+        status: asset.status === "assigned" ? "available" : asset.status,
+        assignedTo: null,
+        assignedAt: null,
+        updatedBy: currentUser._id,
+      },
+    },
+    { new: true }
+  );
+  if (!returnedAsset) throw new apiError(409, "Asset custody changed meanwhile. Refresh and retry");
+
+  await AssetCustodyLog.create({
+    asset: asset._id,
+    user: previousCustodian,
+    branch: asset.branch,
+    action: "return",
+    performedBy: currentUser._id,
+    condition,
+    note,
+  });
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, returnedAsset, "Asset returned successfully"));
+});
+
+/* ============================================================
+   📜 CUSTODY HISTORY OF AN ASSET
+============================================================ */
+export const getAssetCustodyHistory = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  const history = await AssetCustodyLog.find({ asset: asset._id })
+    .populate("user", "fullName userId department designation")
+    .populate("performedBy", "fullName username")
+    .sort({ createdAt: -1 });
+
+  await asset.populate("assignedTo", "fullName userId department designation");
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        asset: {
+          _id: asset._id,
+          assetTag: asset.assetTag,
+          assetName: asset.assetName,
+          status: asset.status,
+        },
+        currentCustodian: asset.assignedTo,
+        assignedAt: asset.assignedAt,
+        total: history.length,
+        history,
+      },
+      "Custody history fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   🎒 ASSETS CURRENTLY HELD BY A USER
+============================================================ */
+export const getUserAssets = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid user ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const targetUser = await User.findById(id).select("fullName userId branch reportingTo");
+  if (!targetUser) throw new apiError(404, "User not found");
+
+  // same access rule as getUserById: branch access or direct reportee
+  const isReportingToUser =
+    targetUser.reportingTo?.toString() === currentUser._id.toString();
+  if (!hasBranchAccess(currentUser, targetUser.branch) && !isReportingToUser) {
+    throw new apiError(403, "You do not have permission to view this user's assets");
+  }
+
+  const assets = await Asset.find({ assignedTo: targetUser._id, isDeleted: { $ne: true } })
+    .populate("branch", "branchName branchCode")
+    .sort({ assignedAt: -1 });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { user: targetUser, total: assets.length, assets },
+      "User assets fetched successfully"
+    )
+  );
+});
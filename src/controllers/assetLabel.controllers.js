@@ -0,0 +1,117 @@
+// controllers/assetLabel.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { Branch } from "../models/branch.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  resolveTargetBranch,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import { getCategorySubtreeIds } from "../utils/assetCategory.helpers.js";
+import {
+  ensureLabelCode,
+  renderLabelImage,
+  buildLabelSheetHtml,
+} from "../utils/assetLabel.helpers.js";
+
+const MAX_LABELS_PER_SHEET = 500;
+
+/* ============================================================
+   🔎 SCAN LOOKUP (label code → asset)
+============================================================ */
+export const scanAsset = asyncHandler(async (req, res) => {
+  const code = req.params.code?.trim().toUpperCase();
+  if (!code) throw new apiError(400, "Label code is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const asset = await Asset.findOne({ labelCode: code, isDeleted: { $ne: true } }).populate([
+    { path: "branch", select: "branchName branchCode" },
+    { path: "category", select: "name parent" },
+    { path: "location", select: "name type building floor room" },
+    { path: "assignedTo", select: "fullName userId department" },
+  ]);
+  if (!asset) throw new apiError(404, "No asset found for this label");
+
+  // same rule as getUserById: branch access, or the asset is in the caller's own custody
+  const isOwnCustody = asset.assignedTo?._id?.toString() === currentUser._id.toString();
+  if (!hasBranchAccess(currentUser, asset.branch._id) && !isOwnCustody) {
+    throw new apiError(403, "You do not have permission to view this asset");
+  }
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, asset, "Asset resolved from label"));
+});
+
+/* ============================================================
+   🏷️ SINGLE LABEL IMAGE (?type=qr|code128 &format=svg|png)
+============================================================ */
+export const getAssetLabelImage = asyncHandler(async (req, res) => {
+  const { type = "qr", format = "svg" } = req.query;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+  const code = await ensureLabelCode(asset);
+
+  const { contentType, body } = await renderLabelImage(code, { symbology: type, format });
+
+  res.set("Content-Type", contentType);
+  // asset tags are free text: ASCII-only fallback name plus the exact one in RFC 5987 form
+  const fileName = `${asset.assetTag}-${type}.${format}`;
+  const asciiName = fileName.replace(/[^A-Za-z0-9._-]/g, "_");
+  const encodedName = encodeURIComponent(fileName).replace(
+    /['()*!]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+  res.set("Content-Disposition", `inline; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+  return res.status(200).send(body);
+});
+
+/* ============================================================
+   🖨️ PRINTABLE LABEL SHEET PER BRANCH (HTML)
+============================================================ */
+export const getBranchLabelSheet = asyncHandler(async (req, res) => {
+  const { branch, category, status, assetIds, type = "qr" } = req.query;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchId = resolveTargetBranch(currentUser, branch);
+
+  const branchDoc = await Branch.findById(branchId).select("branchName branchCode");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+
+  const filter = { branch: branchDoc._id, isDeleted: { $ne: true } };
+  if (status) filter.status = status;
+  if (category) {
+    if (!mongoose.Types.ObjectId.isValid(category)) throw new apiError(400, "Invalid category ID");
+    filter.category = { $in: await getCategorySubtreeIds(category) };
+  }
+  if (assetIds) {
+    const ids = assetIds.split(",").map((id) => id.trim()).filter(Boolean);
+    if (ids.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new apiError(400, "assetIds contains an invalid asset ID");
+    }
+    filter._id = { $in: ids };
+  }
+
+  const assets = await Asset.find(filter)
+    .select("assetTag assetName labelCode")
+    .sort({ assetTag: 1 })
+    .limit(MAX_LABELS_PER_SHEET + 1);
+
+  if (!assets.length) throw new apiError(404, "No assets match the selected filters");
+  if (assets.length > MAX_LABELS_PER_SHEET) {
+    throw new apiError(400, `Too many labels for one sheet (max ${MAX_LABELS_PER_SHEET}). Narrow the filters`);
+  }
+
+  for (const asset of assets) await ensureLabelCode(asset);
+
+  const html = await buildLabelSheetHtml({ branch: branchDoc, assets, symbology: type });
+
+  res.set("Content-Type", "text/html; charset=utf-8");
+  return res.status(200).send(html);
+});
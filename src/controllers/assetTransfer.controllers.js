@@ -0,0 +1,361 @@
+// controllers/assetTransfer.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { AssetTransfer } from "../models/assetTransfer.model.js";
+import { Branch } from "../models/branch.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleBranchIds,
+  hasBranchAccess,
+} from "../utils/branchAccess.helpers.js";
+
+const TRANSFER_POPULATE = [
+  { path: "fromBranch", select: "branchName branchCode" },
+  { path: "toBranch", select: "branchName branchCode" },
+  { path: "assets", select: "assetTag assetName category status" },
+  { path: "requestedBy", select: "fullName username" },
+  { path: "approvedBy", select: "fullName username" },
+  { path: "receivedBy", select: "fullName username" },
+  { path: "history.performedBy", select: "fullName username" },
+];
+
+/**
+ * Load a transfer the caller can see (either side of it must be accessible).
+ */
+const findVisibleTransfer = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid transfer ID");
+
+  const transfer = await AssetTransfer.findById(id);
+  if (!transfer) throw new apiError(404, "Transfer request not found");
+
+  if (
+    !hasBranchAccess(currentUser, transfer.fromBranch) &&
+    !hasBranchAccess(currentUser, transfer.toBranch)
+  ) {
+    throw new apiError(403, "You do not have access to this transfer");
+  }
+  return transfer;
+};
+
+/* ============================================================
+   🟢 REQUEST TRANSFER (sending branch)
+============================================================ */
+export const requestTransfer = asyncHandler(async (req, res) => {
+  const { fromBranch, toBranch, assetIds, reason } = req.body;
+
+  if (!fromBranch || !toBranch) throw new apiError(400, "fromBranch and toBranch are required");
+  if (!Array.isArray(assetIds) || assetIds.length === 0) {
+    throw new apiError(400, "assetIds (non-empty array) are required");
+  }
+  if (fromBranch.toString() === toBranch.toString()) {
+    throw new apiError(400, "Source and destination branch must be different");
+  }
+  if (assetIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new apiError(400, "Invalid asset ID in assetIds");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  // 🔹 Requester must own the sending branch (same rule as registerUser)
+  if (!hasBranchAccess(currentUser, fromBranch)) {
+    throw new apiError(403, "You cannot transfer assets out of a branch not assigned to you");
+  }
+
+  const [source, destination] = await Promise.all([
+    Branch.findById(fromBranch).select("enterprise status"),
+    Branch.findById(toBranch).select("enterprise status"),
+  ]);
+  if (!source) throw new apiError(404, "Source branch not found");
+  if (!destination) throw new apiError(404, "Destination branch not found");
+  if (!destination.status) throw new apiError(400, "Destination branch is inactive");
+  if (source.enterprise.toString() !== destination.enterprise.toString()) {
+    throw new apiError(400, "Transfers across enterprises are not allowed");
+  }
+
+  // 🔹 Assets must sit in the source branch and be free
+  const uniqueIds = [...new Set(assetIds.map((id) => id.toString()))];
+  const assets = await Asset.find({
+    _id: { $in: uniqueIds },
+    branch: source._id,
+    isDeleted: { $ne: true },
+  }).select("assetTag status");
+
+  if (assets.length !== uniqueIds.length) {
+    throw new apiError(400, "Some assets were not found in the source branch");
+  }
+  const busy = assets.filter((a) => a.status !== "available");
+  if (busy.length) {
+    throw new apiError(
+      400,
+      "Only available assets can be transferred",
+      busy.map((a) => ({ assetTag: a.assetTag, status: a.status }))
+    );
+  }
+
+  const openTransfer = await AssetTransfer.findOne({
+    assets: { $in: uniqueIds },
+    status: { $in: ["pending", "in-transit"] },
+  });
+  if (openTransfer) {
+    throw new apiError(409, "Some assets already belong to an open transfer request");
+  }
+
+  const transfer = await AssetTransfer.create({
+    enterprise: source.enterprise,
+    fromBranch: source._id,
+    toBranch: destination._id,
+    assets: uniqueIds,
+    reason,
+    requestedBy: currentUser._id,
+    history: [{ action: "request", performedBy: currentUser._id, note: reason }],
+  });
+
+  await transfer.populate(TRANSFER_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, transfer, "Transfer requested successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL TRANSFERS (incoming + outgoing for my branches)
+============================================================ */
+export const getAllTransfers = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, direction, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const branchIds = getAccessibleBranchIds(currentUser).map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+
+  const filter = {};
+  if (direction === "incoming") filter.toBranch = { $in: branchIds };
+  else if (direction === "outgoing") filter.fromBranch = { $in: branchIds };
+  else filter.$or = [{ fromBranch: { $in: branchIds } }, { toBranch: { $in: branchIds } }];
+
+  if (status) filter.status = status;
+
+  const [transfers, total] = await Promise.all([
+    AssetTransfer.find(filter)
+      .populate(TRANSFER_POPULATE.slice(0, 4))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    AssetTransfer.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { transfers, total, page: Number(page), limit: Number(limit) },
+      "Transfers fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE TRANSFER
+============================================================ */
+export const getTransferById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const transfer = await findVisibleTransfer(currentUser, req.params.id);
+
+  await transfer.populate(TRANSFER_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, transfer, "Transfer fetched successfully"));
+});
+
+/* ============================================================
+   ✅ APPROVE TRANSFER (receiving branch) → assets in transit
+============================================================ */
+export const approveTransfer = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const transfer = await findVisibleTransfer(currentUser, req.params.id);
+
+  if (!hasBranchAccess(currentUser, transfer.toBranch)) {
+    throw new apiError(403, "Only the receiving branch can approve this transfer");
+  }
+  if (transfer.status !== "pending") {
+    throw new apiError(400, `Transfer is already ${transfer.status}`);
+  }
+
+  // 🔒 Claim the transfer first so only one approval can move its assets
+  const approved = await AssetTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: "pending" },
+    { $set: { status: "in-transit", approvedBy: currentUser._id, approvedAt: new Date() } },
+    { new: true }
+  );
+  if (!approved) throw new apiError(409, "Transfer is no longer pending. Refresh and retry");
+
+  // 🔹 Flip only assets that are still free in the source branch, remembering which we flipped
+  const flipped = [];
+  for (const assetId of approved.assets) {
+    const asset = await Asset.findOneAndUpdate(
+      {
+        _id: assetId,
+        branch: approved.fromBranch,
+        status: "available",
+        isDeleted: { $ne: true },
+      },
+      { $set: { status: "in-transit", updatedBy: currentUser._id } }
+    );
+    if (!asset) break;
+    flipped.push(asset._id);
+  }
+
+  if (flipped.length !== approved.assets.length) {
+    // ↩️ undo only this request's changes and hand the transfer back for a retry
+    await Asset.updateMany(
+      { _id: { $in: flipped }, status: "in-transit" },
+      { $set: { status: "available" } }
+    );
+    await AssetTransfer.updateOne(
+      { _id: approved._id, status: "in-transit", approvedBy: currentUser._id },
+      { $set: { status: "pending", approvedBy: null, approvedAt: null } }
+    );
+    throw new apiError(409, "Some assets are no longer available in the source branch");
+  }
+
+  approved.history.push({ action: "approve", performedBy: currentUser._id, note });
+  await approved.save();
+  await approved.populate(TRANSFER_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, approved, "Transfer approved. Assets are now in transit"));
+});
+
+/* ============================================================
+   ⛔ REJECT TRANSFER (receiving branch)
+============================================================ */
+export const rejectTransfer = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const transfer = await findVisibleTransfer(currentUser, req.params.id);
+
+  if (!hasBranchAccess(currentUser, transfer.toBranch)) {
+    throw new apiError(403, "Only the receiving branch can reject this transfer");
+  }
+  if (transfer.status !== "pending") {
+    throw new apiError(400, `Transfer is already ${transfer.status}`);
+  }
+
+  // 🔒 Only while still pending, so a concurrent approval cannot be overwritten
+  const rejected = await AssetTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: "pending" },
+    {
+      $set: { status: "rejected", closedBy: currentUser._id, closedAt: new Date() },
+      $push: { history: { action: "reject", performedBy: currentUser._id, note } },
+    },
+    { new: true }
+  );
+  if (!rejected) throw new apiError(409, "Transfer is no longer pending. Refresh and retry");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, rejected, "Transfer rejected"));
+});
+
+/* ============================================================
+   📦 RECEIVE TRANSFER (receiving branch) → assets move branch
+============================================================ */
+export const receiveTransfer = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const transfer = await findVisibleTransfer(currentUser, req.params.id);
+
+  if (!hasBranchAccess(currentUser, transfer.toBranch)) {
+    throw new apiError(403, "Only the receiving branch can receive this transfer");
+  }
+  if (transfer.status !== "in-transit") {
+    throw new apiError(400, "Only in-transit transfers can be received");
+  }
+
+  // 🔒 Claim the transfer first so it is received exactly once
+  const received = await AssetTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: "in-transit" },
+    { $set: { status: "received", receivedBy: currentUser._id, receivedAt: new Date() } },
+    { new: true }
+  );
+  if (!received) throw new apiError(409, "Transfer is no longer in transit. Refresh and retry");
+
+  // 🔹 Move each asset, keeping its previous location in case we must undo
+  const moved = [];
+  for (const assetId of received.assets) {
+    const asset = await Asset.findOneAndUpdate(
+      { _id: assetId, branch: received.fromBranch, status: "in-transit" },
+      {
+        $set: {
+          status: "available",
+          branch: received.toBranch,
+          location: null,
+          updatedBy: currentUser._id,
+        },
+      }
+    ).select("location");
+    if (!asset) break;
+    moved.push(asset);
+  }
+
+  if (moved.length !== received.assets.length) {
+    // ↩️ put the moved assets back in transit and reopen the transfer
+    for (const asset of moved) {
+      await Asset.updateOne(
+        { _id: asset._id, status: "available", branch: received.toBranch },
+        { $set: { status: "in-transit", branch: received.fromBranch, location: asset.location } }
+      );
+    }
+    await AssetTransfer.updateOne(
+      { _id: received._id, status: "received", receivedBy: currentUser._id },
+      { $set: { status: "in-transit", receivedBy: null, receivedAt: null } }
+    );
+    throw new apiError(409, "Some assets of this transfer are no longer in transit");
+  }
+
+  received.history.push({ action: "receive", performedBy: currentUser._id, note });
+  await received.save();
+  await received.populate(TRANSFER_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, received, "Transfer received successfully"));
+});
+
+/* ============================================================
+   🚫 CANCEL TRANSFER (sending branch, before approval)
+============================================================ */
+export const cancelTransfer = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const transfer = await findVisibleTransfer(currentUser, req.params.id);
+
+  const isRequester = transfer.requestedBy.toString() === currentUser._id.toString();
+  if (!isRequester && !hasBranchAccess(currentUser, transfer.fromBranch)) {
+    throw new apiError(403, "Only the sending branch can cancel this transfer");
+  }
+  if (transfer.status !== "pending") {
+    throw new apiError(400, "Only pending transfers can be cancelled");
+  }
+
+  // 🔒 Only while still pending, so a concurrent approval cannot be overwritten
+  const cancelled = await AssetTransfer.findOneAndUpdate(
+    { _id: transfer._id, status: "pending" },
+    {
+      $set: { status: "cancelled", closedBy: currentUser._id, closedAt: new Date() },
+      $push: { history: { action: "cancel", performedBy: currentUser._id, note } },
+    },
+    { new: true }
+  );
+  if (!cancelled) throw new apiError(409, "Transfer is no longer pending. Refresh and retry");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, cancelled, "Transfer cancelled"));
+});
@@ -0,0 +1,376 @@
+// controllers/audit.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { Branch } from "../models/branch.model.js";
+import { AuditSession, AUDITABLE_ASSET_STATUSES } from "../models/auditSession.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  buildBranchFilter,
+  resolveTargetBranch,
+} from "../utils/branchAccess.helpers.js";
+import { resolveBranchLocation } from "../utils/location.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+
+const SESSION_POPULATE = [
+  { path: "branch", select: "branchName branchCode" },
+  { path: "location", select: "name type building floor room" },
+  { path: "conductedBy", select: "fullName username" },
+  { path: "closedBy", select: "fullName username" },
+];
+
+const SCAN_ASSET_FIELDS = "enterprise branch location";
+const REPORT_ASSET_FIELDS = "assetTag assetName labelCode status branch location assignedTo";
+
+const findAccessibleSession = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid audit session ID");
+
+  const session = await AuditSession.findById(id);
+  if (!session) throw new apiError(404, "Audit session not found");
+
+  if (!hasBranchAccess(currentUser, session.branch)) {
+    throw new apiError(403, "You do not have access to audits of this branch");
+  }
+  return session;
+};
+
+const assertSessionOwner = (currentUser, session) => {
+  if (session.conductedBy.toString() !== currentUser._id.toString()) {
+    throw new apiError(403, "Only the auditor who opened this session can close or cancel it");
+  }
+};
+
+/**
+ * Found / missing / unexpected-location / unknown lists for a session.
+ * Works the same for open (live progress) and closed sessions, because the
+ * expected list is a snapshot taken when the session opened.
+ */
+const buildAuditReport = async (session) => {
+  const scannedIds = new Set(
+    session.scans.filter((s) => s.asset).map((s) => s.asset.toString())
+  );
+  const missingIds = session.expectedAssets.filter((id) => !scannedIds.has(id.toString()));
+
+  const assetIds = [...scannedIds, ...missingIds.map((id) => id.toString())];
+  const assets = await Asset.find({ _id: { $in: assetIds } })
+    .select(REPORT_ASSET_FIELDS)
+    .populate("branch", "branchName branchCode")
+    .populate("location", "name")
+    .populate("assignedTo", "fullName userId")
+    .lean();
+  const assetMap = new Map(assets.map((a) => [a._id.toString(), a]));
+
+  const scanRow = (scan) => ({
+    code: scan.code,
+    asset: scan.asset ? assetMap.get(scan.asset.toString()) || null : null,
+    scannedLocation: scan.scannedLocation,
+    scannedBy: scan.scannedBy,
+    scannedAt: scan.scannedAt,
+  });
+
+  const found = session.scans.filter((s) => s.outcome === "found").map(scanRow);
+  const unexpectedLocation = session.scans
+    .filter((s) => s.outcome === "unexpected-location")
+    .map(scanRow);
+  const unknown = session.scans.filter((s) => s.outcome === "unknown").map(scanRow);
+  const missing = missingIds.map((id) => assetMap.get(id.toString())).filter(Boolean);
+
+  return {
+    summary: {
+      expected: session.expectedAssets.length,
+      found: found.length,
+      missing: missing.length,
+      unexpectedLocation: unexpectedLocation.length,
+      unknown: unknown.length,
+    },
+    found,
+    missing,
+    unexpectedLocation,
+    unknown,
+  };
+};
+
+/* ============================================================
+   🟢 OPEN AUDIT SESSION (branch or single location)
+============================================================ */
+export const openAuditSession = asyncHandler(async (req, res) => {
+  const { branch, location, title, remarks } = req.body;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchId = resolveTargetBranch(currentUser, branch);
+
+  const branchDoc = await Branch.findById(branchId).select("enterprise branchName");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+
+  const locationId = await resolveBranchLocation(location, branchDoc._id);
+
+  const running = await AuditSession.findOne({
+    branch: branchDoc._id,
+    location: locationId,
+    status: "open",
+  });
+  if (running) throw new apiError(409, "An audit session is already open for this branch / location");
+
+  // 🔹 Snapshot what should be on the floor right now
+  const assetFilter = {
+    branch: branchDoc._id,
+    isDeleted: { $ne: true },
+    status: { $in: AUDITABLE_ASSET_STATUSES },
+  };
+  if (locationId) assetFilter.location = locationId;
+  const expectedAssets = await Asset.find(assetFilter).distinct("_id");
+
+  const session = await AuditSession.create({
+    enterprise: branchDoc.enterprise,
+    branch: branchDoc._id,
+    location: locationId,
+    title,
+    remarks,
+    conductedBy: currentUser._id,
+    expectedAssets,
+    summary: { expected: expectedAssets.length },
+  });
+
+  await session.populate(SESSION_POPULATE);
+
+  return res.status(201).json(
+    new apiResponse(
+      201,
+      session,
+      `Audit session opened with ${expectedAssets.length} expected asset(s)`
+    )
+  );
+});
+
+/* ============================================================
+   🔍 GET ALL AUDIT SESSIONS
+============================================================ */
+export const getAllAuditSessions = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, branch, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status) filter.status = status;
+
+  const [sessions, total] = await Promise.all([
+    AuditSession.find(filter)
+      .select("-expectedAssets -scans -missingAssets -markedMissing")
+      .populate(SESSION_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    AuditSession.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { sessions, total, page: Number(page), limit: Number(limit) },
+      "Audit sessions fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE SESSION (progress)
+============================================================ */
+export const getAuditSessionById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const session = await findAccessibleSession(currentUser, req.params.id);
+
+  await session.populate(SESSION_POPULATE);
+  const { expectedAssets, scans, missingAssets, markedMissing, ...rest } = session.toObject();
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        ...rest,
+        progress: {
+          expected: expectedAssets.length,
+          scanned: scans.length,
+          markedMissing: markedMissing.length,
+        },
+      },
+      "Audit session fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   📷 RECORD SCANS (single `code` or JSON array `codes`)
+============================================================ */
+export const recordAuditScans = asyncHandler(async (req, res) => {
+  const { code, scannedLocation } = req.body;
+  const codes = parseJsonInput(req.body.codes, "codes") || (code ? [code] : []);
+
+  if (!Array.isArray(codes) || !codes.length) throw new apiError(400, "code or codes is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const session = await findAccessibleSession(currentUser, req.params.id);
+  if (session.status !== "open") throw new apiError(400, `Audit session is ${session.status}`);
+
+  // where the auditor is standing; defaults to the session's location
+  const standingAt = scannedLocation
+    ? await resolveBranchLocation(scannedLocation, session.branch)
+    : session.location;
+
+  const expected = new Set(session.expectedAssets.map((id) => id.toString()));
+  const results = [];
+
+  for (const raw of codes) {
+    const value = String(raw ?? "").trim().toUpperCase();
+    if (!value) continue;
+
+    // 🔹 Label code first, then the enterprise asset tag (typed in by hand)
+    const asset =
+      (await Asset.findOne({ labelCode: value, isDeleted: { $ne: true } }).select(SCAN_ASSET_FIELDS)) ||
+      (await Asset.findOne({ enterprise: session.enterprise, assetTag: value, isDeleted: { $ne: true } })
+        .select(SCAN_ASSET_FIELDS));
+
+    let outcome = "unknown";
+    if (asset && asset.enterprise.toString() === session.enterprise.toString()) {
+      const rightPlace = !standingAt || asset.location?.toString() === standingAt.toString();
+      outcome = expected.has(asset._id.toString()) && rightPlace ? "found" : "unexpected-location";
+    }
+    const assetId = outcome === "unknown" ? null : asset._id;
+
+    // 🔒 Each asset (or unknown code) is recorded once, even with several auditors scanning
+    const duplicateGuard = assetId
+      ? { "scans.asset": { $ne: assetId } }
+      : { "scans.code": { $ne: value } };
+    const updated = await AuditSession.findOneAndUpdate(
+      { _id: session._id, status: "open", ...duplicateGuard },
+      {
+        $push: {
+          scans: {
+            code: value,
+            asset: assetId,
+            scannedLocation: standingAt || null,
+            outcome,
+            scannedBy: currentUser._id,
+          },
+        },
+      },
+      { projection: { _id: 1 } }
+    );
+
+    results.push({ code: value, asset: assetId, outcome, duplicate: !updated });
+  }
+
+  const recorded = results.filter((r) => !r.duplicate).length;
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { results }, `${recorded} scan(s) recorded`));
+});
+
+/* ============================================================
+   📋 DISCREPANCY REPORT (found / missing / unexpected / unknown)
+============================================================ */
+export const getAuditReport = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const session = await findAccessibleSession(currentUser, req.params.id);
+
+  const report = await buildAuditReport(session);
+  await session.populate(SESSION_POPULATE);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        session: {
+          _id: session._id,
+          title: session.title,
+          status: session.status,
+          branch: session.branch,
+          location: session.location,
+          conductedBy: session.conductedBy,
+          closedAt: session.closedAt,
+          markedMissing: session.markedMissing,
+        },
+        ...report,
+      },
+      "Audit report generated"
+    )
+  );
+});
+
+/* ============================================================
+   ✅ CLOSE SESSION (optionally mark missing assets)
+============================================================ */
+export const closeAuditSession = asyncHandler(async (req, res) => {
+  const { markMissing, remarks } = req.body;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const session = await findAccessibleSession(currentUser, req.params.id);
+  assertSessionOwner(currentUser, session);
+  if (session.status !== "open") throw new apiError(400, `Audit session is already ${session.status}`);
+
+  const report = await buildAuditReport(session);
+  const missingIds = report.missing.map((a) => a._id);
+
+  // 🔒 Close only once — late scans after this point are refused
+  const closed = await AuditSession.findOneAndUpdate(
+    { _id: session._id, status: "open" },
+    {
+      $set: {
+        status: "closed",
+        summary: report.summary,
+        missingAssets: missingIds,
+        closedAt: new Date(),
+        closedBy: currentUser._id,
+        ...(remarks !== undefined && { remarks }),
+      },
+    },
+    { new: true }
+  );
+  if (!closed) throw new apiError(409, "Audit session was closed meanwhile");
+
+  // 🔹 Only unassigned, still-available assets are flipped; assigned ones stay with their custodian
+  if ((markMissing === true || markMissing === "true") && missingIds.length) {
+    const flippable = await Asset.find({
+      _id: { $in: missingIds },
+      status: "available",
+      assignedTo: null,
+    }).distinct("_id");
+
+    await Asset.updateMany(
+      { _id: { $in: flippable }, status: "available", assignedTo: null },
+      { $set: { status: "missing", updatedBy: currentUser._id } }
+    );
+    closed.markedMissing = flippable;
+    await closed.save();
+  }
+
+  await closed.populate(SESSION_POPULATE);
+  const { expectedAssets, scans, ...closedSession } = closed.toObject();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { session: closedSession, ...report }, "Audit session closed"));
+});
+
+/* ============================================================
+   ❌ CANCEL SESSION
+============================================================ */
+export const cancelAuditSession = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const session = await findAccessibleSession(currentUser, req.params.id);
+  assertSessionOwner(currentUser, session);
+
+  const cancelled = await AuditSession.findOneAndUpdate(
+    { _id: session._id, status: "open" },
+    { $set: { status: "cancelled", closedAt: new Date(), closedBy: currentUser._id } },
+    { new: true, projection: { expectedAssets: 0, scans: 0 } }
+  );
+  if (!cancelled) throw new apiError(400, `Audit session is already ${session.status}`);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, cancelled, "Audit session cancelled"));
+});
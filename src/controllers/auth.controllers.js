@@ -1,8 +1,205 @@
 import { User } from "../models/user.model.js";
 import { UserLogin } from "../models/userLogin.model.js";
+import { UserRole } from "../models/userRole.model.js";
 import bcrypt from "bcrypt";
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
+import { sendMail } from "../services/mail.service.js";
+import {
+  revokeUserSessions,
+  getDeviceLimit,
+  hashRefreshToken,
+  issueRefreshToken,
+  revokeRefreshFamily,
+  invalidateSessionCache,
+} from "../services/session.service.js";
+import {
+  getLockMessage,
+  registerFailedAttempt,
+  clearLockout,
+} from "../services/lockout.service.js";
+import {
+  getPasswordPolicy,
+  checkPasswordPolicy,
+  getPasswordExpiry,
+} from "../services/password.service.js";
+import { isSeniorRole } from "../utils/user.helpers.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+} from "../services/twoFactor.service.js";
+
+/* ============================================================
+   🧩 LOGIN HELPERS
+============================================================ */
+
+// 🎫 Short-lived token carrying a half-finished login to the 2FA step
+// ("2fa" = verify a code, "2fa-setup" = enrol first); authenticateJWT refuses it
+const signTwoFactorChallenge = (userId, purpose, deviceId) =>
+  jwt.sign({ id: userId, purpose, deviceId }, process.env.ACCESS_TOKEN_KEY, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || "5m",
+  });
+
+const readTwoFactorChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.ACCESS_TOKEN_KEY);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Track the device, issue access + refresh tokens and send the login response.
+ * Shared by the password step and the 2FA step.
+ */
+const startDeviceSession = async (req, res, login, user, deviceId, extra = {}) => {
+  // 🖥️ Device tracking
+  const currentDeviceId = deviceId || uuidv4();
+  const ipAddress = req.ip;
+  const userAgent = req.headers["user-agent"] || "unknown";
+
+  let device = login.loggedInDevices.find((d) => d.deviceId === currentDeviceId);
+
+  // Try to find by IP + userAgent if ID not found
+  if (!device) {
+    device = login.loggedInDevices.find(
+      (d) => d.ipAddress === ipAddress && d.userAgent === userAgent
+    );
+  }
+
+  // 🧩 Existing device
+  if (device) {
+    const lastSession = device.loginHistory[device.loginHistory.length - 1];
+    if (lastSession && !lastSession.logoutAt) {
+      await login.save({ validateBeforeSave: false });
+      return res.status(200).json({
+        success: true,
+        message: "Already logged in on this device",
+        deviceId: device.deviceId,
+        ...extra,
+      });
+    }
+    device.loginHistory.push({ loginAt: new Date() });
+    device.loginCount += 1;
+  } else {
+    // ⛔ Device limit check (per-user limit, raised by the role's limit)
+    const role = await UserRole.findById(user.role).select("maxAllowedDevices");
+    const deviceLimit = getDeviceLimit(login, role);
+    if (login.loggedInDevices.length >= deviceLimit) {
+      await login.save({ validateBeforeSave: false });
+      return res.status(403).json({
+        message: `Maximum device limit (${deviceLimit}) reached. Logout from another device first.`,
+      });
+    }
+
+    device = {
+      deviceId: currentDeviceId,
+      ipAddress,
+      userAgent,
+      loginCount: 1,
+      refreshToken: null,
+      loginHistory: [{ loginAt: new Date() }],
+    };
+    login.loggedInDevices.push(device);
+    device = login.loggedInDevices[login.loggedInDevices.length - 1];
+  }
+
+  // ⏳ Password age: warn near expiry, force a change once expired
+  const passwordExpiry = getPasswordExpiry(login, await getPasswordPolicy(user));
+  if (passwordExpiry?.expired) login.mustChangePassword = true;
+
+  // ✅ Update login status
+  login.isLoggedIn = true;
+  user.lastLogin = new Date();
+  device.lastSeenAt = new Date();
+
+  // ♻️ New token family for this login; only its hash is stored
+  const refreshToken = issueRefreshToken(device, user._id);
+
+  // 🎟️ Access token names its device session (sid) so a logout kills it at once
+  const accessToken = jwt.sign(
+    {
+      id: user._id,
+      fullName: user.fullName,
+      role: user.role,
+      branch: user.branch,
+      deviceId: device.deviceId,
+      sid: device.refreshFamily,
+    },
+    process.env.ACCESS_TOKEN_KEY,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRY } // e.g. 15m
+  );
+
+  await login.save({ validateBeforeSave: false });
+  await user.save({ validateBeforeSave: false });
+
+  // 🍪 Optional cookies
+  res.cookie("accessToken", accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "Strict",
+    maxAge: 15 * 60 * 1000,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "Strict",
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+  });
+
+  return res.status(200).json({
+    success: true,
+    message: "Login successful",
+    deviceId: device.deviceId,
+    tokens: { accessToken, refreshToken },
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      username: login.username,
+      role: user.role,
+      branch: user.branch,
+      department: user.department,
+    },
+    // client must route to change-password; other endpoints answer 403 until then
+    mustChangePassword: login.mustChangePassword,
+    ...(passwordExpiry?.warn && {
+      passwordExpiry: {
+        expiresAt: passwordExpiry.expiresAt,
+        daysLeft: passwordExpiry.daysLeft,
+        expired: passwordExpiry.expired,
+        message: passwordExpiry.expired
+          ? "Your password has expired. Change it to continue."
+          : `Your password expires in ${passwordExpiry.daysLeft} day(s). Change it soon.`,
+      },
+    }),
+    ...extra,
+  });
+};
+
+/**
+ * Load the login record behind a 2FA challenge and re-check the account state.
+ * @returns {{ login?: UserLogin, error?: { status: number, message: string } }}
+ */
+const loadChallengedLogin = async (decoded) => {
+  const login = await UserLogin.findOne({ user: decoded.id })
+    .select(TWO_FACTOR_SECRET_FIELDS)
+    .populate("user");
+
+  if (!login?.user || login.user.isDeleted)
+    return { error: { status: 404, message: "User not found" } };
+  if (!login.user.isActive || !login.user.canLogin)
+    return { error: { status: 403, message: "User account inactive" } };
+
+  const lockMessage = getLockMessage(login);
+  if (lockMessage) return { error: { status: 403, message: lockMessage } };
+
+  return { login };
+};
 
 /* ============================================================
    🔐 1️⃣ LOGIN USER
@@ -28,171 +225,133 @@ export const loginUser = async (req, res) => {
       return res.status(403).json({ message: "User cannot log in" });
 
     // 🚫 Check permanent or temporary lock
-    if (login.isPermanentlyLocked) {
-      return res.status(403).json({
-        message:
-          "Account permanently locked. Contact Administrator or Enterprise Admin.",
-      });
-    }
-
-    if (login.lockUntil && login.lockUntil > new Date()) {
-      const remainingMs = login.lockUntil - new Date();
-      const remainingMin = Math.ceil(remainingMs / 60000);
-      return res.status(403).json({
-        message: `Account temporarily locked. Try again in ${remainingMin} minute(s).`,
-      });
-    }
+    const lockMessage = getLockMessage(login);
+    if (lockMessage) return res.status(403).json({ message: lockMessage });
 
     // ✅ Verify password
     const isMatch = await bcrypt.compare(password, login.password);
     if (!isMatch) {
-      login.failedLoginAttempts += 1;
-
-      if (login.failedLoginAttempts >= 3) {
-        login.lockLevel += 1;
-        login.failedLoginAttempts = 0;
-        let lockMinutes = 0;
-
-        switch (login.lockLevel) {
-          case 1:
-            lockMinutes = 1;
-            break;
-          case 2:
-            lockMinutes = 3;
-            break;
-          case 3:
-            lockMinutes = 5;
-            break;
-          default:
-            login.isPermanentlyLocked = true;
-            break;
-        }
-
-        if (!login.isPermanentlyLocked)
-          login.lockUntil = new Date(Date.now() + lockMinutes * 60000);
-
-        await login.save();
-        return res.status(403).json({
-          message: login.isPermanentlyLocked
-            ? "Account permanently locked. Please contact Administrator."
-            : `Account locked for ${lockMinutes} minute(s) due to multiple failed attempts.`,
-        });
-      }
+      const failure = await registerFailedAttempt(login);
+      return res.status(failure.status).json({ message: failure.message });
+    }
 
-      await login.save();
-      return res.status(401).json({
-        message: `Invalid credentials. ${3 - login.failedLoginAttempts} attempt(s) left.`,
+    // 🔐 Second factor: enrolled users verify a code, users of 2FA roles must enrol first.
+    // Counters stay until the code is accepted, or re-entering the password would reset
+    // the lockout between guesses at the code.
+    const role = await UserRole.findById(user.role).select("roleName requireTwoFactor");
+    if (login.twoFactor?.enabled || isTwoFactorRequired(role)) {
+      const purpose = login.twoFactor?.enabled ? "2fa" : "2fa-setup";
+
+      return res.status(200).json({
+        success: true,
+        message:
+          purpose === "2fa"
+            ? "Enter the code from your authenticator app"
+            : "Your role requires two-factor authentication. Set it up to continue.",
+        twoFactorRequired: purpose === "2fa",
+        twoFactorSetupRequired: purpose === "2fa-setup",
+        challengeToken: signTwoFactorChallenge(user._id, purpose, deviceId),
       });
     }
 
     // ✅ Reset lock info after success
-    login.failedLoginAttempts = 0;
-    login.lockLevel = 0;
-    login.lockUntil = null;
-    login.isPermanentlyLocked = false;
+    clearLockout(login);
 
-    // 🖥️ Device tracking
-    const currentDeviceId = deviceId || uuidv4();
-    const ipAddress = req.ip;
-    const userAgent = req.headers["user-agent"] || "unknown";
+    return startDeviceSession(req, res, login, user, deviceId);
+  } catch (error) {
+    console.error("Login error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    let device = login.loggedInDevices.find((d) => d.deviceId === currentDeviceId);
+/* ============================================================
+   🔐 LOGIN STEP 2: VERIFY TOTP / BACKUP CODE
+============================================================ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+    if (!challengeToken || (!code && !backupCode))
+      return res.status(400).json({ message: "challengeToken and code (or backupCode) required" });
 
-    // Try to find by IP + userAgent if ID not found
-    if (!device) {
-      device = login.loggedInDevices.find(
-        (d) => d.ipAddress === ipAddress && d.userAgent === userAgent
-      );
-    }
+    const decoded = readTwoFactorChallenge(challengeToken, "2fa");
+    if (!decoded)
+      return res.status(401).json({ message: "Invalid or expired challenge. Log in again." });
 
-    // 🧩 Existing device
-    if (device) {
-      const lastSession = device.loginHistory[device.loginHistory.length - 1];
-      if (lastSession && !lastSession.logoutAt) {
-        return res.status(200).json({
-          success: true,
-          message: "Already logged in on this device",
-          deviceId: device.deviceId,
-        });
-      }
-      device.loginHistory.push({ loginAt: new Date() });
-      device.loginCount += 1;
-    } else {
-      // ⛔ Device limit check
-      if (login.loggedInDevices.length >= login.maxAllowedDevices) {
-        return res.status(403).json({
-          message: `Maximum device limit (${login.maxAllowedDevices}) reached. Logout from another device first.`,
-        });
-      }
+    const { login, error } = await loadChallengedLogin(decoded);
+    if (error) return res.status(error.status).json({ message: error.message });
 
-      device = {
-        deviceId: currentDeviceId,
-        ipAddress,
-        userAgent,
-        loginCount: 1,
-        refreshToken: null,
-        loginHistory: [{ loginAt: new Date() }],
-      };
-      login.loggedInDevices.push(device);
+    const method = verifySecondFactor(login, { code, backupCode });
+    if (!method) {
+      const failure = await registerFailedAttempt(login);
+      return res.status(failure.status).json({ message: failure.message });
     }
 
-    // ✅ Update login status
-    login.isLoggedIn = true;
-    user.lastLogin = new Date();
+    clearLockout(login);
 
-    // 🎟️ Generate tokens
-    const accessToken = jwt.sign(
-      {
-        id: user._id,
-        fullName: user.fullName,
-        role: user.role,
-        branch: user.branch,
-      },
-      process.env.ACCESS_TOKEN_KEY,
-      { expiresIn: process.env.ACCESS_TOKEN_EXPIRY } // e.g. 15m
-    );
+    return startDeviceSession(req, res, login, login.user, decoded.deviceId, {
+      twoFactorMethod: method,
+      ...(method === "backup" && { backupCodesLeft: login.twoFactor.backupCodes.length }),
+    });
+  } catch (error) {
+    console.error("2FA verify error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
 
-    const refreshToken = jwt.sign(
-      { id: user._id, deviceId: device.deviceId },
-      process.env.REFRESH_TOKEN_KEY,
-      { expiresIn: process.env.REFRESH_TOKEN_EXPIRY } // e.g. 7d
-    );
+/* ============================================================
+   🔐 LOGIN-TIME 2FA ENROLMENT (roles that require 2FA)
+============================================================ */
+export const setupTwoFactorAtLogin = async (req, res) => {
+  try {
+    const decoded = readTwoFactorChallenge(req.body.challengeToken, "2fa-setup");
+    if (!decoded)
+      return res.status(401).json({ message: "Invalid or expired challenge. Log in again." });
 
-    device.refreshToken = refreshToken;
+    const { login, error } = await loadChallengedLogin(decoded);
+    if (error) return res.status(error.status).json({ message: error.message });
+    if (login.twoFactor?.enabled)
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
 
-    await login.save({ validateBeforeSave: false });
-    await user.save({ validateBeforeSave: false });
-
-    // 🍪 Optional cookies
-    res.cookie("accessToken", accessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "Strict",
-      maxAge: 15 * 60 * 1000,
-    });
-    res.cookie("refreshToken", refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "Strict",
-      maxAge: 7 * 24 * 60 * 60 * 1000,
-    });
+    const provisioning = await beginEnrollment(login);
 
     return res.status(200).json({
       success: true,
-      message: "Login successful",
-      deviceId: device.deviceId,
-      tokens: { accessToken, refreshToken },
-      user: {
-        id: user._id,
-        fullName: user.fullName,
-        username: login.username,
-        role: user.role,
-        branch: user.branch,
-        department: user.department,
-      },
+      message: "Scan the QR code with your authenticator app, then confirm a code",
+      ...provisioning,
     });
   } catch (error) {
-    console.error("Login error:", error);
+    console.error("2FA setup error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+export const enableTwoFactorAtLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code)
+      return res.status(400).json({ message: "challengeToken and code required" });
+
+    const decoded = readTwoFactorChallenge(challengeToken, "2fa-setup");
+    if (!decoded)
+      return res.status(401).json({ message: "Invalid or expired challenge. Log in again." });
+
+    const { login, error } = await loadChallengedLogin(decoded);
+    if (error) return res.status(error.status).json({ message: error.message });
+    if (!login.twoFactor?.pendingSecret)
+      return res.status(400).json({ message: "Start the two-factor setup first" });
+
+    const backupCodes = await confirmEnrollment(login, code);
+    if (!backupCodes) {
+      const failure = await registerFailedAttempt(login);
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    // ✅ Enrolment proves the second factor, so the login completes here
+    clearLockout(login);
+
+    return startDeviceSession(req, res, login, login.user, decoded.deviceId, { backupCodes });
+  } catch (error) {
+    console.error("2FA enable error:", error);
     return res.status(500).json({ message: "Internal Server Error" });
   }
 };
@@ -202,15 +361,12 @@ export const loginUser = async (req, res) => {
 ============================================================ */
 export const logoutUser = async (req, res) => {
   try {
-    const { userId, username, deviceId } = req.body;
-    if ((!userId && !username) || !deviceId)
-      return res.status(400).json({
-        message: "userId/username and deviceId are required",
-      });
+    // 🔒 Only the caller's own session, on the device its access token was issued to
+    const deviceId = req.deviceId;
+    if (!deviceId)
+      return res.status(400).json({ message: "Access token is not bound to a device" });
 
-    const login = await UserLogin.findOne(
-      userId ? { user: userId } : { username: username.toLowerCase() }
-    );
+    const login = await UserLogin.findOne({ user: req.user._id });
 
     if (!login)
       return res.status(404).json({ message: "User login record not found" });
@@ -227,6 +383,7 @@ export const logoutUser = async (req, res) => {
 
     // 🧹 Clear refresh token for this device
     device.refreshToken = null;
+    device.refreshFamily = null;
 
     // 🔧 Tell Mongoose we changed nested arrays
     login.markModified("loggedInDevices");
@@ -248,6 +405,7 @@ export const logoutUser = async (req, res) => {
     login.isLoggedIn = activeSessions.length > 0;
 
     await login.save({ validateBeforeSave: false });
+    invalidateSessionCache(login.user);
 
     res.clearCookie("accessToken");
     res.clearCookie("refreshToken");
@@ -281,22 +439,61 @@ export const refreshAccessToken = async (req, res) => {
     const login = await UserLogin.findOne({ user: decoded.id }).populate("user");
     if (!login) return res.status(404).json({ message: "Login record not found" });
 
+    // 🔍 Device must still carry the family this token belongs to
     const device = login.loggedInDevices.find(
-      (d) => d.deviceId === deviceId && d.refreshToken === refreshToken
+      (d) =>
+        d.deviceId === deviceId &&
+        d.deviceId === decoded.deviceId &&
+        d.refreshFamily &&
+        d.refreshFamily === decoded.family
     );
 
     if (!device)
       return res.status(403).json({ message: "Invalid or revoked refresh token" });
 
+    // 🚨 Right family, stale token: it was already rotated, so someone kept a copy
+    const presentedHash = hashRefreshToken(refreshToken);
+    if (device.refreshToken !== presentedHash) {
+      await revokeRefreshFamily(login, device, {
+        ipAddress: req.ip,
+        userAgent: req.headers["user-agent"] || "unknown",
+      });
+      res.clearCookie("accessToken");
+      res.clearCookie("refreshToken");
+      return res.status(401).json({
+        message: "Refresh token reuse detected. This device has been signed out, please log in again.",
+      });
+    }
+
     const user = login.user;
     if (!user?.isActive) return res.status(403).json({ message: "User inactive" });
 
+    // ♻️ Rotate: swap the hash only if no parallel refresh got there first
+    const newRefreshToken = issueRefreshToken(device, user._id, decoded.family);
+    const rotated = await UserLogin.findOneAndUpdate(
+      {
+        _id: login._id,
+        loggedInDevices: { $elemMatch: { deviceId, refreshToken: presentedHash } },
+      },
+      {
+        $set: {
+          "loggedInDevices.$.refreshToken": device.refreshToken,
+          // 👀 Silent renewals are the best "last seen" signal we have
+          "loggedInDevices.$.lastSeenAt": new Date(),
+        },
+      }
+    );
+    if (!rotated)
+      return res.status(409).json({ message: "Refresh token was just rotated. Retry with the latest token." });
+
     const newAccessToken = jwt.sign(
       {
         id: user._id,
         fullName: user.fullName,
         role: user.role,
         branch: user.branch,
+        deviceId: device.deviceId,
+        sid: decoded.family,
       },
       process.env.ACCESS_TOKEN_KEY,
       { expiresIn: process.env.ACCESS_TOKEN_EXPIRY }
@@ -309,10 +506,18 @@ export const refreshAccessToken = async (req, res) => {
       maxAge: 15 * 60 * 1000,
     });
 
+    res.cookie("refreshToken", newRefreshToken, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "Strict",
+      maxAge: 7 * 24 * 60 * 60 * 1000,
+    });
+
     return res.status(200).json({
       success: true,
       message: "Access token refreshed",
       accessToken: newAccessToken,
+      refreshToken: newRefreshToken,
     });
   } catch (error) {
     console.error("Refresh token error:", error);
@@ -325,18 +530,51 @@ export const refreshAccessToken = async (req, res) => {
 ============================================================ */
 export const reAuthenticateUser = async (req, res) => {
   try {
-    const { userId, password } = req.body;
-    if (!userId || !password)
-      return res.status(400).json({ message: "userId and password required" });
+    const { userId, password, deviceId } = req.body;
+    if (!userId || !password || !deviceId)
+      return res.status(400).json({ message: "userId, password and deviceId required" });
 
     const login = await UserLogin.findOne({ user: userId })
-      .select("+password")
+      .select(`+password ${TWO_FACTOR_SECRET_FIELDS}`)
       .populate("user");
 
     if (!login) return res.status(404).json({ message: "Login record not found" });
 
+    // 🚫 Same gates as the login itself
+    if (!login.user || login.user.isDeleted)
+      return res.status(404).json({ message: "User not found" });
+    if (!login.user.isActive || !login.user.canLogin)
+      return res.status(403).json({ message: "User account inactive" });
+
+    const lockMessage = getLockMessage(login);
+    if (lockMessage) return res.status(403).json({ message: lockMessage });
+
     const isMatch = await bcrypt.compare(password, login.password);
-    if (!isMatch) return res.status(401).json({ message: "Incorrect password" });
+    if (!isMatch) {
+      const failure = await registerFailedAttempt(login);
+      return res.status(failure.status).json({ message: failure.message });
+    }
+
+    // 🔐 Enrolled users confirm a code as well
+    if (login.twoFactor?.enabled) {
+      const { code, backupCode } = req.body;
+      if (!code && !backupCode)
+        return res.status(401).json({ message: "Valid two-factor code required", twoFactorRequired: true });
+
+      const method = verifySecondFactor(login, { code, backupCode });
+      if (!method) {
+        const failure = await registerFailedAttempt(login);
+        return res.status(failure.status).json({ message: failure.message, twoFactorRequired: true });
+      }
+    }
+
+    clearLockout(login);
+    await login.save({ validateBeforeSave: false });
+
+    // 🎫 Only an open device session can be resumed; after a logout the user logs in again
+    const device = login.loggedInDevices.find((d) => d.deviceId === deviceId && d.refreshFamily);
+    if (!device)
+      return res.status(403).json({ message: "No active session on this device. Please log in again" });
 
     const user = login.user;
 
@@ -346,6 +584,8 @@ export const reAuthenticateUser = async (req, res) => {
         fullName: user.fullName,
         role: user.role,
         branch: user.branch,
+        deviceId: device.deviceId,
+        sid: device.refreshFamily,
       },
       process.env.ACCESS_TOKEN_KEY,
       { expiresIn: process.env.ACCESS_TOKEN_EXPIRY }
@@ -375,16 +615,8 @@ export const reAuthenticateUser = async (req, res) => {
 ============================================================ */
 export const logoutFromAllDevices = async (req, res) => {
   try {
-    const { userId, username } = req.body;
-    if (!userId && !username)
-      return res.status(400).json({
-        message: "userId or username is required",
-      });
-
-    // 🔍 Find login record
-    const login = await UserLogin.findOne(
-      userId ? { user: userId } : { username: username.toLowerCase() }
-    );
+    // 🔍 Find the caller's login record (never one named in the body)
+    const login = await UserLogin.findOne({ user: req.user._id });
 
     if (!login)
       return res.status(404).json({ message: "User login record not found" });
@@ -399,6 +631,7 @@ export const logoutFromAllDevices = async (req, res) => {
       }
       // Clear refresh token for each device
       device.refreshToken = null;
+      device.refreshFamily = null;
     }
 
     // 🚫 Reset flags
@@ -407,6 +640,7 @@ export const logoutFromAllDevices = async (req, res) => {
     login.markModified("loggedInDevices");
 
     await login.save({ validateBeforeSave: false });
+    invalidateSessionCache(login.user);
 
     // 🍪 Clear cookies from current device
     res.clearCookie("accessToken");
@@ -437,40 +671,23 @@ export const logoutSelectedUsers = async (req, res) => {
     const actor = await User.findById(actorId).populate("role");
     if (!actor) return res.status(404).json({ message: "Actor user not found" });
 
-    const actorRoleLevel = actor.role.level;
-
     // Fetch target users
     const targetUsers = await User.find({ _id: { $in: userIds } }).populate("role");
 
-    // Filter users that can be logged out
+    // Filter users that can be logged out (strictly below the actor's role level)
     const validTargets = targetUsers.filter(
-      (u) => canLogout(actorRoleLevel, u.role.level) && u._id.toString() !== actorId
+      (u) => isSeniorRole(actor.role, u.role) && u._id.toString() !== actorId
     );
 
     if (!validTargets.length)
       return res.status(403).json({ message: "No users eligible for logout" });
 
-    const targetIds = validTargets.map((u) => u._id);
-
-    const logins = await UserLogin.find({ user: { $in: targetIds } });
-
-    for (const login of logins) {
-      for (const device of login.loggedInDevices) {
-        if (device.loginHistory?.length) {
-          device.loginHistory.forEach((s) => {
-            if (!s.logoutAt) s.logoutAt = new Date();
-          });
-        }
-        device.refreshToken = null;
-      }
-      login.isLoggedIn = false;
-      login.markModified("loggedInDevices");
-      await login.save({ validateBeforeSave: false });
-    }
+    // 🧹 End every device session; outstanding access tokens die with them
+    await revokeUserSessions(validTargets.map((u) => u._id));
 
     return res.status(200).json({
       success: true,
-      message: `Successfully logged out ${logins.length} user(s).`,
+      message: `Successfully logged out ${validTargets.length} user(s).`,
       skipped: targetUsers.length - validTargets.length,
     });
   } catch (error) {
@@ -488,8 +705,8 @@ export const logoutAllBelowUsers = async (req, res) => {
 
     if (!actor) return res.status(404).json({ message: "Actor not found" });
 
-    const actorLevel = actor.role.level;
-    if (actorLevel > 2) // only superadmin or enterprise admin
+    // only super admin (10) or administrator (20)
+    if (typeof actor.role?.roleLevel !== "number" || actor.role.roleLevel > 20)
       return res.status(403).json({ message: "Not authorized for global logout" });
 
     // 🔍 Fetch users below actor’s level
@@ -497,24 +714,10 @@ export const logoutAllBelowUsers = async (req, res) => {
       _id: { $ne: actorId }, // exclude self
     }).populate("role");
 
-    const targetUsers = users.filter((u) => canLogout(actorLevel, u.role.level));
+    const targetUsers = users.filter((u) => isSeniorRole(actor.role, u.role));
     const targetIds = targetUsers.map((u) => u._id);
 
-    const logins = await UserLogin.find({ user: { $in: targetIds } });
-
-    for (const login of logins) {
-      for (const device of login.loggedInDevices) {
-        if (device.loginHistory?.length) {
-          device.loginHistory.forEach((s) => {
-            if (!s.logoutAt) s.logoutAt = new Date();
-          });
-        }
-        device.refreshToken = null;
-      }
-      login.isLoggedIn = false;
-      login.markModified("loggedInDevices");
-      await login.save({ validateBeforeSave: false });
-    }
+    await revokeUserSessions(targetIds);
 
     return res.status(200).json({
       success: true,
@@ -527,3 +730,171 @@ export const logoutAllBelowUsers = async (req, res) => {
 };
 
 
+
+/* ============================================================
+   🔑 FORGOT PASSWORD (email a single-use reset link)
+============================================================ */
+const hashResetToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export const forgotPassword = async (req, res) => {
+  // same answer whether or not the account exists, so usernames cannot be probed
+  const genericResponse = {
+    success: true,
+    message: "If the account exists and has an email address, a reset link has been sent.",
+  };
+
+  try {
+    const { username, email } = req.body;
+    if (!username && !email)
+      return res.status(400).json({ message: "username or email is required" });
+
+    let login;
+    if (username) {
+      login = await UserLogin.findOne({ username: username.toLowerCase() }).populate("user");
+    } else {
+      const user = await User.findOne({ email: email.toLowerCase(), isDeleted: { $ne: true } });
+      login = user && (await UserLogin.findOne({ user: user._id }).populate("user"));
+    }
+
+    const user = login?.user;
+    if (!user?.email || user.isDeleted || !user.isActive || !user.canLogin)
+      return res.status(200).json(genericResponse);
+
+    // ⏱️ One email per minute per account
+    if (login.passwordReset?.requestedAt && Date.now() - login.passwordReset.requestedAt < 60 * 1000)
+      return res.status(200).json(genericResponse);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiryMinutes = Number(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30;
+
+    login.passwordReset = {
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + expiryMinutes * 60 * 1000),
+      requestedAt: new Date(),
+    };
+    await login.save({ validateBeforeSave: false });
+
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || "http://localhost:5173/reset-password"}?token=${token}`;
+    // 📭 A failed send must look like any other request, or it reveals the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text:
+          `Hello ${user.fullName},\n\n` +
+          `Use the link below to set a new password for "${login.username}". ` +
+          `It works once and expires in ${expiryMinutes} minutes.\n\n${resetUrl}\n\n` +
+          "If you did not ask for this, ignore this email.",
+      });
+    } catch (mailError) {
+      console.error("Password reset email failed:", mailError);
+    }
+
+    return res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+/* ============================================================
+   🔑 RESET PASSWORD (with emailed token)
+============================================================ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword)
+      return res.status(400).json({ message: "token and newPassword are required" });
+
+    const resetFilter = {
+      "passwordReset.tokenHash": hashResetToken(token),
+      "passwordReset.expiresAt": { $gt: new Date() },
+    };
+
+    // 🔑 Check the enterprise password rules before the token is spent
+    const pending = await UserLogin.findOne(resetFilter).select("user").populate("user", "branch");
+    if (!pending)
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    const failures = await checkPasswordPolicy(newPassword, await getPasswordPolicy(pending.user), {
+      loginId: pending._id,
+    });
+    if (failures.length)
+      return res
+        .status(400)
+        .json({ message: "Password does not meet the password policy", errors: failures });
+
+    // 🔒 Claim the token atomically so it can only be used once
+    const login = await UserLogin.findOneAndUpdate(
+      resetFilter,
+      { $unset: { "passwordReset.tokenHash": 1 }, $set: { "passwordReset.expiresAt": null } },
+      { new: true }
+    );
+    if (!login)
+      return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    login.password = newPassword;
+    login.mustChangePassword = false;
+    // the mailbox owner proved themselves; lift temporary locks (permanent ones stay with admins)
+    login.failedLoginAttempts = 0;
+    login.lockUntil = null;
+    await login.save({ validateBeforeSave: false });
+
+    // 🚪 Anyone holding the old password is signed out everywhere
+    await revokeUserSessions([login.user]);
+
+    return res.status(200).json({
+      success: true,
+      message: "Password has been reset. Log in with the new password.",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
+
+/* ============================================================
+   🔑 CHANGE PASSWORD (logged in; clears mustChangePassword)
+============================================================ */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword)
+      return res.status(400).json({ message: "currentPassword and newPassword are required" });
+    if (newPassword === currentPassword)
+      return res.status(400).json({ message: "New password must differ from the current one" });
+
+    const login = await UserLogin.findOne({ user: req.user._id }).select("+password");
+    if (!login) return res.status(404).json({ message: "Login record not found" });
+
+    // 🚫 A stolen session must not be a way around the lockout policy
+    const lockMessage = getLockMessage(login);
+    if (lockMessage) return res.status(403).json({ message: lockMessage });
+
+    const isMatch = await bcrypt.compare(currentPassword, login.password);
+    if (!isMatch) {
+      const failure = await registerFailedAttempt(login, req.user);
+      return res.status(failure.status).json({ message: "Current password is incorrect. " + failure.message });
+    }
+
+    // 🔑 Enterprise password rules (including no reuse of recent passwords)
+    const failures = await checkPasswordPolicy(newPassword, await getPasswordPolicy(req.user), {
+      loginId: login._id,
+    });
+    if (failures.length)
+      return res
+        .status(400)
+        .json({ message: "Password does not meet the password policy", errors: failures });
+
+    login.password = newPassword;
+    login.mustChangePassword = false;
+    clearLockout(login);
+    await login.save({ validateBeforeSave: false });
+    invalidateSessionCache(req.user._id);
+
+    return res.status(200).json({ success: true, message: "Password changed successfully" });
+  } catch (error) {
+    console.error("Change password error:", error);
+    return res.status(500).json({ message: "Internal Server Error" });
+  }
+};
@@ -1,5 +1,7 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import  {Branch}  from "../models/branch.model.js";
+import { Location } from "../models/location.model.js";
+import { Asset } from "../models/asset.model.js";
 
 // ==============================
 // CREATE NEW BRANCH
@@ -85,7 +87,21 @@ export const deleteBranch = asyncHandler(async (req, res) => {
     throw new Error("Branch not found");
   }
 
-  await branch.remove();
+  // Refuse while any room / lab of this branch still holds assets
+  const locationIds = await Location.find({ branch: branch._id }).distinct("_id");
+  const assetsInLocations = await Asset.countDocuments({
+    location: { $in: locationIds },
+    isDeleted: { $ne: true },
+  });
+  if (assetsInLocations > 0) {
+    res.status(400);
+    throw new Error(
+      `Branch locations still hold ${assetsInLocations} asset(s). Move or remove them first`
+    );
+  }
+
+  await Location.deleteMany({ branch: branch._id });
+  await branch.deleteOne();
   res.status(200).json({ message: "Branch deleted successfully" });
 });
 
@@ -0,0 +1,475 @@
+// controllers/consumable.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Consumable } from "../models/consumable.model.js";
+import { ConsumableStock } from "../models/consumableStock.model.js";
+import { StockLedger } from "../models/stockLedger.model.js";
+import { Branch } from "../models/branch.model.js";
+import { User } from "../models/user.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleEnterpriseIds,
+  hasBranchAccess,
+  resolveTargetEnterprise,
+  resolveTargetBranch,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+import { addStock } from "../services/stock.service.js";
+
+const LEDGER_POPULATE = [
+  { path: "consumable", select: "name sku unit" },
+  { path: "branch", select: "branchName branchCode" },
+  { path: "issuedTo", select: "fullName userId department" },
+  { path: "asset", select: "assetTag assetName" },
+  { path: "vendor", select: "vendorName" },
+  { path: "performedBy", select: "fullName username" },
+];
+
+const findAccessibleConsumable = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid consumable ID");
+
+  const consumable = await Consumable.findById(id);
+  if (!consumable) throw new apiError(404, "Consumable not found");
+
+  if (!getAccessibleEnterpriseIds(currentUser).includes(consumable.enterprise.toString())) {
+    throw new apiError(403, "You do not have access to this consumable");
+  }
+  return consumable;
+};
+
+/**
+ * Resolve the branch a stock movement happens in; it must be accessible and
+ * belong to the consumable's enterprise.
+ */
+const resolveStockBranch = async (currentUser, consumable, branch) => {
+  const branchId = resolveTargetBranch(currentUser, branch);
+  const branchDoc = await Branch.findById(branchId).select("enterprise branchName");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+  if (branchDoc.enterprise.toString() !== consumable.enterprise.toString()) {
+    throw new apiError(400, "Branch belongs to another enterprise");
+  }
+  return branchDoc;
+};
+
+const parseQuantity = (raw) => {
+  const quantity = Number(raw);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new apiError(400, "quantity must be a whole number of at least 1");
+  }
+  return quantity;
+};
+
+/* ============================================================
+   🟢 CREATE CONSUMABLE
+============================================================ */
+export const createConsumable = asyncHandler(async (req, res) => {
+  const { name, sku, unit, category, description, defaultReorderLevel, enterprise } = req.body;
+
+  if (!name?.trim()) throw new apiError(400, "Name is required");
+  if (!sku?.trim()) throw new apiError(400, "SKU is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const finalEnterprise = resolveTargetEnterprise(currentUser, enterprise);
+
+  const duplicate = await Consumable.findOne({
+    enterprise: finalEnterprise,
+    sku: sku.trim().toUpperCase(),
+  });
+  if (duplicate) throw new apiError(409, "Consumable with this SKU already exists");
+
+  const consumable = await Consumable.create({
+    enterprise: finalEnterprise,
+    name,
+    sku,
+    unit,
+    category,
+    description,
+    defaultReorderLevel,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, consumable, "Consumable created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL CONSUMABLES
+============================================================ */
+export const getAllConsumables = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { enterprise, category, includeInactive, search, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = {};
+  if (enterprise) filter.enterprise = resolveTargetEnterprise(currentUser, enterprise);
+  else filter.enterprise = { $in: getAccessibleEnterpriseIds(currentUser) };
+  if (category) filter.category = category;
+  if (includeInactive !== "true") filter.isActive = true;
+
+  if (search) {
+    filter.$or = [
+      { name: { $regex: search, $options: "i" } },
+      { sku: { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [consumables, total] = await Promise.all([
+    Consumable.find(filter).sort({ name: 1 }).skip(skip).limit(Number(limit)),
+    Consumable.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { consumables, total, page: Number(page), limit: Number(limit) },
+      "Consumables fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   📉 LOW STOCK REPORT (quantity at or below reorder level)
+============================================================ */
+export const getLowStockReport = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchFilter = buildBranchFilter(currentUser, req.query.branch);
+
+  const rows = await ConsumableStock.aggregate([
+    { $match: { branch: branchFilter } },
+    {
+      $lookup: {
+        from: "consumables",
+        localField: "consumable",
+        foreignField: "_id",
+        as: "consumable",
+      },
+    },
+    { $unwind: "$consumable" },
+    { $match: { "consumable.isActive": true } },
+    {
+      $addFields: {
+        threshold: { $ifNull: ["$reorderLevel", "$consumable.defaultReorderLevel"] },
+      },
+    },
+    { $match: { $expr: { $and: [{ $gt: ["$threshold", 0] }, { $lte: ["$quantity", "$threshold"] }] } } },
+    {
+      $lookup: {
+        from: "branches",
+        localField: "branch",
+        foreignField: "_id",
+        as: "branch",
+      },
+    },
+    { $unwind: "$branch" },
+    {
+      $project: {
+        quantity: 1,
+        threshold: 1,
+        shortBy: { $subtract: ["$threshold", "$quantity"] },
+        lastMovementAt: 1,
+        "consumable._id": 1,
+        "consumable.name": 1,
+        "consumable.sku": 1,
+        "consumable.unit": 1,
+        "branch._id": 1,
+        "branch.branchName": 1,
+        "branch.branchCode": 1,
+      },
+    },
+    { $sort: { "branch.branchName": 1, shortBy: -1 } },
+  ]);
+
+  // 🔹 Group per branch for the store-keeper view
+  const grouped = new Map();
+  for (const row of rows) {
+    const key = row.branch._id.toString();
+    if (!grouped.has(key)) grouped.set(key, { branch: row.branch, items: [] });
+    const { branch, ...item } = row;
+    grouped.get(key).items.push(item);
+  }
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { total: rows.length, branches: [...grouped.values()] },
+      "Low stock report generated"
+    )
+  );
+});
+
+/* ============================================================
+   📒 STOCK LEDGER (filters: consumable, branch, type, issuedTo, from, to)
+============================================================ */
+export const getStockLedger = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { consumable, branch, type, issuedTo, from, to, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (consumable) filter.consumable = consumable;
+  if (type) filter.type = type;
+  if (issuedTo) filter.issuedTo = issuedTo;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const [entries, total] = await Promise.all([
+    StockLedger.find(filter)
+      .populate(LEDGER_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    StockLedger.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { entries, total, page: Number(page), limit: Number(limit) },
+      "Stock ledger fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE CONSUMABLE (with stock per branch)
+============================================================ */
+export const getConsumableById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+
+  const stock = await ConsumableStock.find({
+    consumable: consumable._id,
+    branch: buildBranchFilter(currentUser),
+  })
+    .populate("branch", "branchName branchCode")
+    .lean();
+
+  const stockWithThreshold = stock.map((s) => {
+    const threshold = s.reorderLevel ?? consumable.defaultReorderLevel;
+    return { ...s, threshold, isLowStock: threshold > 0 && s.quantity <= threshold };
+  });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        ...consumable.toObject(),
+        totalQuantity: stock.reduce((sum, s) => sum + s.quantity, 0),
+        stock: stockWithThreshold,
+      },
+      "Consumable fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE CONSUMABLE
+============================================================ */
+export const updateConsumable = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+
+  const { name, sku, unit, category, description, defaultReorderLevel, isActive } = req.body;
+
+  if (sku && sku.trim().toUpperCase() !== consumable.sku) {
+    const duplicate = await Consumable.findOne({
+      enterprise: consumable.enterprise,
+      sku: sku.trim().toUpperCase(),
+      _id: { $ne: consumable._id },
+    });
+    if (duplicate) throw new apiError(409, "Consumable with this SKU already exists");
+    consumable.sku = sku;
+  }
+
+  if (name) consumable.name = name;
+  if (unit) consumable.unit = unit;
+  if (category !== undefined) consumable.category = category;
+  if (description !== undefined) consumable.description = description;
+  if (defaultReorderLevel !== undefined) consumable.defaultReorderLevel = defaultReorderLevel;
+  if (isActive !== undefined) consumable.isActive = isActive === true || isActive === "true";
+
+  consumable.updatedBy = currentUser._id;
+  await consumable.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, consumable, "Consumable updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE CONSUMABLE (deactivate once it has movements)
+============================================================ */
+export const deleteConsumable = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+
+  const movements = await StockLedger.countDocuments({ consumable: consumable._id });
+
+  // keep the ledger intact: used consumables are only deactivated
+  if (movements > 0) {
+    consumable.isActive = false;
+    consumable.updatedBy = currentUser._id;
+    await consumable.save();
+    return res
+      .status(200)
+      .json(new apiResponse(200, consumable, "Consumable has stock movements and was deactivated"));
+  }
+
+  await ConsumableStock.deleteMany({ consumable: consumable._id });
+  await consumable.deleteOne();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: consumable._id }, "Consumable deleted successfully"));
+});
+
+/* ============================================================
+   📥 STOCK INWARD (purchase / receipt into a branch)
+============================================================ */
+export const receiveStock = asyncHandler(async (req, res) => {
+  const { branch, vendorId, unitCost, reference, note } = req.body;
+  const quantity = parseQuantity(req.body.quantity);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+  if (!consumable.isActive) throw new apiError(400, "Consumable is inactive");
+
+  const branchDoc = await resolveStockBranch(currentUser, consumable, branch);
+  const vendor = await resolveEnterpriseVendor(vendorId, consumable.enterprise);
+
+  const entry = await addStock({
+    consumable,
+    branchId: branchDoc._id,
+    quantity,
+    performedBy: currentUser._id,
+    vendor,
+    unitCost,
+    reference,
+    note,
+  });
+
+  await entry.populate(LEDGER_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, entry, `${quantity} ${consumable.unit} received into ${branchDoc.branchName}`));
+});
+
+/* ============================================================
+   📤 ISSUE STOCK (atomic — never goes below zero)
+============================================================ */
+export const issueStock = asyncHandler(async (req, res) => {
+  const { branch, issuedTo, assetId, reference, note } = req.body;
+  const quantity = parseQuantity(req.body.quantity);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+
+  const branchDoc = await resolveStockBranch(currentUser, consumable, branch);
+
+  // 🔹 Recipient user (optional) must be an active user of an accessible branch
+  let recipient = null;
+  if (issuedTo) {
+    if (!mongoose.Types.ObjectId.isValid(issuedTo)) throw new apiError(400, "Invalid user ID");
+    recipient = await User.findOne({ _id: issuedTo, isDeleted: { $ne: true }, isActive: true })
+      .select("fullName branch");
+    if (!recipient) throw new apiError(404, "Recipient not found or inactive");
+    if (!hasBranchAccess(currentUser, recipient.branch)) {
+      throw new apiError(403, "You cannot issue stock to users of a branch not assigned to you");
+    }
+  }
+
+  let asset = null;
+  if (assetId) {
+    asset = await findAccessibleAsset(currentUser, assetId);
+    if (asset.enterprise.toString() !== consumable.enterprise.toString()) {
+      throw new apiError(400, "Asset belongs to another enterprise");
+    }
+  }
+
+  // 🔒 Decrement only when enough stock is left — concurrent issues cannot oversell
+  const stock = await ConsumableStock.findOneAndUpdate(
+    { consumable: consumable._id, branch: branchDoc._id, quantity: { $gte: quantity } },
+    { $inc: { quantity: -quantity }, $set: { lastMovementAt: new Date() } },
+    { new: true }
+  );
+  if (!stock) {
+    const current = await ConsumableStock.findOne({
+      consumable: consumable._id,
+      branch: branchDoc._id,
+    }).select("quantity");
+    throw new apiError(
+      409,
+      `Insufficient stock in ${branchDoc.branchName}: ${current?.quantity || 0} ${consumable.unit} available`
+    );
+  }
+
+  let entry;
+  try {
+    entry = await StockLedger.create({
+      enterprise: consumable.enterprise,
+      branch: branchDoc._id,
+      consumable: consumable._id,
+      type: "outward",
+      quantity,
+      balanceAfter: stock.quantity,
+      issuedTo: recipient?._id || null,
+      asset: asset?._id || null,
+      reference,
+      performedBy: currentUser._id,
+      note,
+    });
+  } catch (error) {
+    await ConsumableStock.updateOne({ _id: stock._id }, { $inc: { quantity } });
+    throw error;
+  }
+
+  await entry.populate(LEDGER_POPULATE);
+
+  const threshold = stock.reorderLevel ?? consumable.defaultReorderLevel;
+
+  return res.status(201).json(
+    new apiResponse(
+      201,
+      { entry, balance: stock.quantity, isLowStock: threshold > 0 && stock.quantity <= threshold },
+      `${quantity} ${consumable.unit} issued from ${branchDoc.branchName}`
+    )
+  );
+});
+
+/* ============================================================
+   🎚️ SET BRANCH REORDER LEVEL
+============================================================ */
+export const setReorderLevel = asyncHandler(async (req, res) => {
+  const { branch, reorderLevel } = req.body;
+
+  // empty value = fall back to the consumable's default
+  const level = reorderLevel === undefined || reorderLevel === "" || reorderLevel === "null"
+    ? null
+    : Number(reorderLevel);
+  if (level !== null && (!Number.isInteger(level) || level < 0)) {
+    throw new apiError(400, "reorderLevel must be a whole number of 0 or more");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const consumable = await findAccessibleConsumable(currentUser, req.params.id);
+  const branchDoc = await resolveStockBranch(currentUser, consumable, branch);
+
+  const stock = await ConsumableStock.findOneAndUpdate(
+    { consumable: consumable._id, branch: branchDoc._id },
+    { $set: { reorderLevel: level }, $setOnInsert: { enterprise: consumable.enterprise } },
+    { new: true, upsert: true }
+  );
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, stock, "Reorder level updated successfully"));
+});
@@ -0,0 +1,161 @@
+// controllers/depreciation.controllers.js
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { AssetCategory } from "../models/assetCategory.model.js";
+import {
+  getCurrentUserWithBranches,
+  buildBranchFilter,
+  resolveTargetEnterprise,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import {
+  resolveDepreciationConfig,
+  computeDepreciation,
+  round2,
+} from "../utils/depreciation.helpers.js";
+
+const parseAsOf = (asOf) => {
+  const date = asOf ? new Date(asOf) : new Date();
+  if (Number.isNaN(date.getTime())) throw new apiError(400, "asOf must be a valid date");
+  return date;
+};
+
+const loadCategoryMap = async (enterpriseId) => {
+  const categories = await AssetCategory.find({ enterprise: enterpriseId })
+    .select("name parent depreciation")
+    .lean();
+  return new Map(categories.map((c) => [c._id.toString(), c]));
+};
+
+/* ============================================================
+   📉 ASSET DEPRECIATION SCHEDULE (?asOf=YYYY-MM-DD)
+============================================================ */
+export const getAssetDepreciation = asyncHandler(async (req, res) => {
+  const asOf = parseAsOf(req.query.asOf);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, req.params.id);
+
+  if (!asset.purchaseCost || !asset.purchaseDate) {
+    throw new apiError(400, "Asset needs a purchase cost and purchase date to be depreciated");
+  }
+
+  const categories = await loadCategoryMap(asset.enterprise);
+  const { config, sourceCategory } = resolveDepreciationConfig(asset.category, categories);
+  if (!config) {
+    throw new apiError(400, "No depreciation rule is configured for this asset's category");
+  }
+
+  const result = computeDepreciation({
+    cost: asset.purchaseCost,
+    purchaseDate: asset.purchaseDate,
+    config,
+    asOf,
+  });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        asset: { _id: asset._id, assetTag: asset.assetTag, assetName: asset.assetName },
+        asOf,
+        ruleFrom: { _id: sourceCategory, name: categories.get(sourceCategory)?.name },
+        ...result,
+      },
+      "Depreciation computed successfully"
+    )
+  );
+});
+
+/* ============================================================
+   📊 ENTERPRISE DEPRECIATION REPORT (aggregated by branch)
+============================================================ */
+export const getDepreciationReport = asyncHandler(async (req, res) => {
+  const { enterprise, branch } = req.query;
+  const asOf = parseAsOf(req.query.asOf);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const enterpriseId = resolveTargetEnterprise(currentUser, enterprise);
+
+  const [categories, assets] = await Promise.all([
+    loadCategoryMap(enterpriseId),
+    Asset.find({
+      enterprise: enterpriseId,
+      branch: buildBranchFilter(currentUser, branch),
+      status: { $ne: "disposed" },
+      isDeleted: { $ne: true },
+    })
+      .select("branch category purchaseCost purchaseDate")
+      .populate("branch", "branchName branchCode")
+      .lean(),
+  ]);
+
+  const emptyRow = (branchDoc) => ({
+    branch: branchDoc,
+    assetCount: 0,
+    depreciatedCount: 0,
+    skipped: { noCostOrDate: 0, noRule: 0 },
+    cost: 0,
+    accumulatedDepreciation: 0,
+    bookValue: 0,
+  });
+
+  const rows = new Map();
+  const totals = emptyRow(null);
+
+  for (const asset of assets) {
+    const key = asset.branch?._id?.toString() || "unknown";
+    if (!rows.has(key)) rows.set(key, emptyRow(asset.branch || null));
+    const row = rows.get(key);
+    row.assetCount++;
+    totals.assetCount++;
+
+    if (!asset.purchaseCost || !asset.purchaseDate) {
+      row.skipped.noCostOrDate++;
+      totals.skipped.noCostOrDate++;
+      continue;
+    }
+    const { config } = resolveDepreciationConfig(asset.category, categories);
+    if (!config) {
+      row.skipped.noRule++;
+      totals.skipped.noRule++;
+      continue;
+    }
+
+    const result = computeDepreciation({
+      cost: asset.purchaseCost,
+      purchaseDate: asset.purchaseDate,
+      config,
+      asOf,
+    });
+    for (const target of [row, totals]) {
+      target.depreciatedCount++;
+      target.cost += result.cost;
+      target.accumulatedDepreciation += result.accumulatedDepreciation;
+      target.bookValue += result.bookValue;
+    }
+  }
+
+  const finalize = (row) => ({
+    ...row,
+    cost: round2(row.cost),
+    accumulatedDepreciation: round2(row.accumulatedDepreciation),
+    bookValue: round2(row.bookValue),
+  });
+
+  const branches = [...rows.values()]
+    .map(finalize)
+    .sort((a, b) => (a.branch?.branchName || "").localeCompare(b.branch?.branchName || ""));
+  const totalRow = finalize(totals);
+  delete totalRow.branch;
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { enterprise: enterpriseId, asOf, totals: totalRow, branches },
+      "Depreciation report generated"
+    )
+  );
+});
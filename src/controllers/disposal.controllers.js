@@ -0,0 +1,343 @@
+// controllers/disposal.controllers.js
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { IpAllocation } from "../models/ipAllocation.model.js";
+import {
+  DisposalRequest,
+  DISPOSAL_METHODS,
+  DISPOSABLE_ASSET_STATUSES,
+} from "../models/disposalRequest.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  hasPermission,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import {
+  findApproverInChain,
+  findVisibleApprovalDoc,
+  assertCurrentApprover,
+} from "../utils/approval.helpers.js";
+import { isSameUser } from "../utils/user.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+import { releaseAssetSeats } from "../services/license.service.js";
+
+const APPROVE_PERMISSION = "approve_disposal";
+
+const DISPOSAL_POPULATE = [
+  { path: "asset", select: "assetTag assetName status purchaseCost purchaseDate" },
+  { path: "branch", select: "branchName branchCode" },
+  { path: "requestedBy", select: "fullName username" },
+  { path: "currentApprover", select: "fullName username" },
+  { path: "approvals.approver", select: "fullName username" },
+  { path: "vendor", select: "vendorName" },
+  { path: "completedBy", select: "fullName username" },
+];
+
+const findVisibleDisposal = (currentUser, id) =>
+  findVisibleApprovalDoc(DisposalRequest, currentUser, id, "disposal request");
+
+const assertAwaitingApprover = (currentUser, request) =>
+  assertCurrentApprover(currentUser, request, APPROVE_PERMISSION, "disposal request");
+
+/* ============================================================
+   🟢 REQUEST DISPOSAL
+============================================================ */
+export const requestDisposal = asyncHandler(async (req, res) => {
+  const { assetId, method, reason } = req.body;
+  if (!assetId) throw new apiError(400, "assetId is required");
+  if (!DISPOSAL_METHODS.includes(method)) {
+    throw new apiError(400, `method must be one of: ${DISPOSAL_METHODS.join(", ")}`);
+  }
+  if (!reason?.trim()) throw new apiError(400, "Reason is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, assetId);
+
+  if (!DISPOSABLE_ASSET_STATUSES.includes(asset.status) || asset.assignedTo) {
+    throw new apiError(
+      400,
+      `Asset cannot be disposed while ${asset.status}`,
+      [`Allowed statuses: ${DISPOSABLE_ASSET_STATUSES.join(", ")} (and not issued to anyone)`]
+    );
+  }
+
+  const openRequest = await DisposalRequest.findOne({
+    asset: asset._id,
+    status: { $in: ["pending", "approved"] },
+  });
+  if (openRequest) throw new apiError(409, "This asset already has an open disposal request");
+
+  // 🔹 Route to the first approve_disposal holder up the requester's reporting chain
+  const approver = await findApproverInChain(currentUser._id, APPROVE_PERMISSION);
+  if (!approver) {
+    throw new apiError(400, "Nobody in your reporting chain can approve disposals");
+  }
+
+  const request = await DisposalRequest.create({
+    enterprise: asset.enterprise,
+    branch: asset.branch,
+    asset: asset._id,
+    method,
+    reason,
+    requestedBy: currentUser._id,
+    currentApprover: approver._id,
+  });
+
+  await request.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, request, `Disposal request sent to ${approver.fullName} for approval`));
+});
+
+/* ============================================================
+   🔍 GET ALL DISPOSAL REQUESTS (?pendingWithMe=true for approvers)
+============================================================ */
+export const getAllDisposals = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, branch, method, pendingWithMe, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  // approvers may sit in another branch, so their inbox is not branch scoped
+  const filter =
+    pendingWithMe === "true"
+      ? { currentApprover: currentUser._id, status: "pending" }
+      : { branch: buildBranchFilter(currentUser, branch) };
+  if (status && pendingWithMe !== "true") filter.status = status;
+  if (method) filter.method = method;
+
+  const [requests, total] = await Promise.all([
+    DisposalRequest.find(filter)
+      .populate(DISPOSAL_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    DisposalRequest.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { requests, total, page: Number(page), limit: Number(limit) },
+      "Disposal requests fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE DISPOSAL REQUEST
+============================================================ */
+export const getDisposalById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+
+  await request.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, request, "Disposal request fetched successfully"));
+});
+
+/* ============================================================
+   ✅ APPROVE (final sign-off)
+============================================================ */
+export const approveDisposal = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, request);
+
+  const updated = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending", currentApprover: currentUser._id },
+    {
+      $set: { status: "approved", currentApprover: null },
+      $push: { approvals: { approver: currentUser._id, action: "approved", note } },
+    },
+    { new: true }
+  );
+  if (!updated) throw new apiError(409, "Disposal request changed meanwhile. Refresh and retry");
+
+  await updated.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, "Disposal approved"));
+});
+
+/* ============================================================
+   ⛔ REJECT
+============================================================ */
+export const rejectDisposal = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  if (!note?.trim()) throw new apiError(400, "A rejection note is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, request);
+
+  const updated = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending", currentApprover: currentUser._id },
+    {
+      $set: { status: "rejected", currentApprover: null },
+      $push: { approvals: { approver: currentUser._id, action: "rejected", note } },
+    },
+    { new: true }
+  );
+  if (!updated) throw new apiError(409, "Disposal request changed meanwhile. Refresh and retry");
+
+  await updated.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, "Disposal rejected"));
+});
+
+/* ============================================================
+   ⤴️ ESCALATE (pass to the next approver up the chain)
+============================================================ */
+export const escalateDisposal = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, request);
+
+  const nextApprover = await findApproverInChain(currentUser._id, APPROVE_PERMISSION);
+  if (!nextApprover) {
+    throw new apiError(400, "Nobody above you in the reporting chain can approve disposals");
+  }
+
+  const updated = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending", currentApprover: currentUser._id },
+    {
+      $set: { currentApprover: nextApprover._id },
+      $push: { approvals: { approver: currentUser._id, action: "escalated", note } },
+    },
+    { new: true }
+  );
+  if (!updated) throw new apiError(409, "Disposal request changed meanwhile. Refresh and retry");
+
+  await updated.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, `Disposal request escalated to ${nextApprover.fullName}`));
+});
+
+/* ============================================================
+   ♻️ COMPLETE (asset physically disposed, certificate received)
+============================================================ */
+export const completeDisposal = asyncHandler(async (req, res) => {
+  const { certificateRef, vendorId, recoveryAmount, disposedAt } = req.body;
+  if (!certificateRef?.trim()) throw new apiError(400, "certificateRef is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+
+  if (request.status !== "approved") {
+    throw new apiError(400, `Only approved requests can be completed (current: ${request.status})`);
+  }
+  const canComplete =
+    isSameUser(request.requestedBy, currentUser._id) ||
+    (hasPermission(currentUser, APPROVE_PERMISSION) && hasBranchAccess(currentUser, request.branch));
+  if (!canComplete) {
+    throw new apiError(403, "Only the requester or a disposal approver of this branch can complete it");
+  }
+
+  const vendor = await resolveEnterpriseVendor(vendorId, request.enterprise);
+  const disposedOn = disposedAt ? new Date(disposedAt) : new Date();
+  if (Number.isNaN(disposedOn.getTime())) throw new apiError(400, "disposedAt must be a valid date");
+
+  // 🔒 Claim the request first so it cannot be completed twice
+  const completed = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: "approved" },
+    {
+      $set: {
+        status: "completed",
+        certificateRef: certificateRef.trim(),
+        vendor,
+        recoveryAmount: recoveryAmount || 0,
+        disposedAt: disposedOn,
+        completedBy: currentUser._id,
+      },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!completed) throw new apiError(409, "Disposal request changed meanwhile. Refresh and retry");
+
+  // 🔹 Asset leaves the active inventory (and its room)
+  const asset = await Asset.findOneAndUpdate(
+    {
+      _id: request.asset,
+      status: { $in: DISPOSABLE_ASSET_STATUSES },
+      assignedTo: null,
+      isDeleted: { $ne: true },
+    },
+    {
+      $set: {
+        status: "disposed",
+        location: null,
+        disposal: {
+          request: request._id,
+          method: request.method,
+          certificateRef: certificateRef.trim(),
+          disposedAt: disposedOn,
+        },
+        updatedBy: currentUser._id,
+      },
+    }
+  );
+  if (!asset) {
+    await DisposalRequest.updateOne(
+      { _id: request._id },
+      {
+        $set: { status: "approved", completedBy: null, disposedAt: null },
+        $unset: { certificateRef: 1 },
+      }
+    );
+    throw new apiError(409, "Asset was issued, moved or sent for repair after approval. Resolve that first");
+  }
+
+  // 🔹 Free the asset's IP addresses for reuse
+  await IpAllocation.updateMany(
+    { asset: asset._id, status: "active" },
+    { $set: { status: "released", releasedBy: currentUser._id, releasedAt: new Date() } }
+  );
+
+  // 🔑 ...and its license seats
+  await releaseAssetSeats(asset._id, currentUser._id);
+
+  await completed.populate(DISPOSAL_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, completed, "Asset disposed successfully"));
+});
+
+/* ============================================================
+   ❌ CANCEL (requester only, before completion)
+============================================================ */
+export const cancelDisposal = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const request = await findVisibleDisposal(currentUser, req.params.id);
+
+  if (!isSameUser(request.requestedBy, currentUser._id)) {
+    throw new apiError(403, "Only the requester can cancel a disposal request");
+  }
+
+  const cancelled = await DisposalRequest.findOneAndUpdate(
+    { _id: request._id, status: { $in: ["pending", "approved"] } },
+    { $set: { status: "cancelled", currentApprover: null } },
+    { new: true }
+  );
+  if (!cancelled) throw new apiError(400, `Disposal request is already ${request.status}`);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, cancelled, "Disposal request cancelled"));
+});
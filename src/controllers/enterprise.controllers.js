@@ -1,7 +1,14 @@
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { apiError } from "../utils/apiError.js";
 import { apiResponse } from "../utils/apiResponse.js";
 import { Enterprise } from "../models/enterprise.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleEnterpriseIds,
+} from "../utils/branchAccess.helpers.js";
+import { normalizeLockoutPolicy } from "../services/lockout.service.js";
+import { normalizePasswordPolicy } from "../services/password.service.js";
 
 /**
  * 🏗️ Create new Enterprise
@@ -42,18 +49,31 @@ export const getAllEnterprises = asyncHandler(async (req, res) => {
 
 /**
  * ✏️ Update enterprise
+ * lockoutPolicy / passwordPolicy weaken or harden every login of the enterprise,
+ * so the route needs edit_enterprise and the caller must work in this enterprise.
  */
 export const updateEnterprise = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { enterpriseName, description, isActive } = req.body;
+  const { enterpriseName, description, isActive, purchaseOrderPrefix, lockoutPolicy, passwordPolicy } =
+    req.body;
   const admin = req.user;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid enterprise ID");
 
-  const enterprise = await enterprise.findById(id);
+  const enterprise = await Enterprise.findById(id);
   if (!enterprise) throw new apiError(404, "Enterprise not found");
 
+  // 🔒 Only admins working in this enterprise may change its settings, lockout and password policy
+  const currentUser = await getCurrentUserWithBranches(admin);
+  if (!getAccessibleEnterpriseIds(currentUser).includes(enterprise._id.toString())) {
+    throw new apiError(403, "You do not have access to this enterprise");
+  }
+
   if (enterpriseName) enterprise.enterpriseName = enterpriseName.toUpperCase();
   if (description) enterprise.description = description;
   if (typeof isActive === "boolean") enterprise.isActive = isActive;
+  if (purchaseOrderPrefix) enterprise.purchaseOrderPrefix = purchaseOrderPrefix;
+  if (lockoutPolicy !== undefined) enterprise.lockoutPolicy = normalizeLockoutPolicy(lockoutPolicy);
+  if (passwordPolicy !== undefined) enterprise.passwordPolicy = normalizePasswordPolicy(passwordPolicy);
   enterprise.updatedBy = admin._id;
 
   await enterprise.save();
@@ -0,0 +1,411 @@
+// controllers/helpdesk.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import {
+  HelpdeskTicket,
+  HELPDESK_CATEGORIES,
+  HELPDESK_TRANSITIONS,
+  HELPDESK_SLA_HOURS,
+  OPEN_HELPDESK_STATUSES,
+} from "../models/helpdeskTicket.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  hasPermission,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { isSameUser } from "../utils/user.helpers.js";
+import { nextSequence, formatSequence } from "../utils/sequence.helpers.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TICKET_POPULATE = [
+  { path: "branch", select: "branchName branchCode" },
+  { path: "requester", select: "fullName userId department designation canLogin" },
+  { path: "raisedBy", select: "fullName username" },
+  { path: "assignedTo", select: "fullName username" },
+  { path: "asset", select: "assetTag assetName labelCode" },
+  { path: "comments.author", select: "fullName username" },
+];
+
+const buildSlaTargets = (priority, from) => {
+  const hours = HELPDESK_SLA_HOURS[priority] || HELPDESK_SLA_HOURS.medium;
+  return {
+    responseDueAt: new Date(from.getTime() + hours.response * HOUR_MS),
+    resolutionDueAt: new Date(from.getTime() + hours.resolution * HOUR_MS),
+  };
+};
+
+/**
+ * IT staff see tickets of their branches; requesters (and whoever raised
+ * the ticket for them) see their own tickets without internal notes.
+ */
+const findVisibleTicket = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid ticket ID");
+
+  const ticket = await HelpdeskTicket.findById(id);
+  if (!ticket) throw new apiError(404, "Ticket not found");
+
+  const isStaff =
+    hasPermission(currentUser, "view_tickets") && hasBranchAccess(currentUser, ticket.branch);
+  const isRequester =
+    isSameUser(ticket.requester, currentUser._id) || isSameUser(ticket.raisedBy, currentUser._id);
+
+  if (!isStaff && !isRequester) throw new apiError(403, "You do not have access to this ticket");
+  return { ticket, isStaff };
+};
+
+const findManageableTicket = async (currentUser, id) => {
+  const { ticket, isStaff } = await findVisibleTicket(currentUser, id);
+  if (!isStaff || !hasPermission(currentUser, "manage_tickets")) {
+    throw new apiError(403, "You cannot manage tickets of this branch");
+  }
+  return ticket;
+};
+
+const hideInternalComments = (ticket) => {
+  const data = ticket.toObject();
+  data.comments = data.comments.filter((c) => !c.isInternal);
+  return data;
+};
+
+/* ============================================================
+   🟢 RAISE TICKET (self, or on behalf of another staff member)
+============================================================ */
+export const raiseTicket = asyncHandler(async (req, res) => {
+  const { requesterId, assetId, subject, description, category, priority } = req.body;
+
+  if (!subject?.trim()) throw new apiError(400, "Subject is required");
+  if (category && !HELPDESK_CATEGORIES.includes(category)) {
+    throw new apiError(400, `category must be one of: ${HELPDESK_CATEGORIES.join(", ")}`);
+  }
+  if (priority && !HELPDESK_SLA_HOURS[priority]) {
+    throw new apiError(400, `priority must be one of: ${Object.keys(HELPDESK_SLA_HOURS).join(", ")}`);
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  // 🔹 Requester: defaults to the caller; others need the on-behalf permission
+  let requester = currentUser;
+  if (requesterId && !isSameUser(requesterId, currentUser._id)) {
+    if (!mongoose.Types.ObjectId.isValid(requesterId)) throw new apiError(400, "Invalid requester ID");
+    if (!hasPermission(currentUser, "raise_ticket_on_behalf")) {
+      throw new apiError(403, "You cannot raise tickets on behalf of other users");
+    }
+    requester = await User.findOne({ _id: requesterId, isDeleted: { $ne: true } })
+      .select("fullName branch isActive")
+      .populate("branch", "enterprise");
+    if (!requester) throw new apiError(404, "Requester not found");
+    if (!requester.isActive) throw new apiError(400, "Requester is inactive");
+    if (!hasBranchAccess(currentUser, requester.branch)) {
+      throw new apiError(403, "Requester belongs to a branch not assigned to you");
+    }
+  }
+  if (!requester.branch?._id) throw new apiError(400, "Requester has no branch");
+
+  // tickets land in the requester's branch queue
+  const branchId = requester.branch._id;
+  const enterpriseId = requester.branch.enterprise;
+
+  let asset = null;
+  if (assetId) {
+    if (!mongoose.Types.ObjectId.isValid(assetId)) throw new apiError(400, "Invalid asset ID");
+    asset = await Asset.findOne({ _id: assetId, isDeleted: { $ne: true } }).select(
+      "enterprise branch assignedTo"
+    );
+    if (!asset) throw new apiError(404, "Asset not found");
+    // the requester's own device is always linkable
+    const ownDevice = isSameUser(asset.assignedTo, requester._id);
+    if (!ownDevice && !hasBranchAccess(currentUser, asset.branch)) {
+      throw new apiError(403, "You do not have access to this asset");
+    }
+    if (asset.enterprise.toString() !== enterpriseId.toString()) {
+      throw new apiError(400, "Asset belongs to another enterprise");
+    }
+  }
+
+  const seq = await nextSequence(`helpdesk:${enterpriseId}`);
+  const now = new Date();
+  const finalPriority = priority || "medium";
+
+  const ticket = await HelpdeskTicket.create({
+    enterprise: enterpriseId,
+    branch: branchId,
+    ticketNo: formatSequence("HD", seq),
+    requester: requester._id,
+    raisedBy: currentUser._id,
+    asset: asset?._id || null,
+    subject,
+    description,
+    category,
+    priority: finalPriority,
+    sla: buildSlaTargets(finalPriority, now),
+    statusHistory: [{ from: null, to: "open", changedBy: currentUser._id }],
+  });
+
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, ticket, `Ticket ${ticket.ticketNo} raised successfully`));
+});
+
+/* ============================================================
+   📥 BRANCH QUEUE (per assignedBranches)
+============================================================ */
+export const getTicketQueue = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const {
+    status,
+    priority,
+    category,
+    branch,
+    assignedTo,
+    requester,
+    asset,
+    breached,
+    search,
+    page = 1,
+    limit = 20,
+  } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status === "open-all") filter.status = { $in: OPEN_HELPDESK_STATUSES };
+  else if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (category) filter.category = category;
+  if (requester) filter.requester = requester;
+  if (asset) filter.asset = asset;
+  if (assignedTo === "me") filter.assignedTo = currentUser._id;
+  else if (assignedTo === "unassigned") filter.assignedTo = null;
+  else if (assignedTo) filter.assignedTo = assignedTo;
+
+  // 🔹 Open tickets already past their SLA targets
+  if (breached === "true") {
+    const now = new Date();
+    filter.status = { $in: OPEN_HELPDESK_STATUSES };
+    filter.$or = [
+      { "sla.respondedAt": null, "sla.responseDueAt": { $lt: now } },
+      { "sla.resolutionDueAt": { $lt: now } },
+    ];
+  }
+  if (search) {
+    filter.$and = [
+      {
+        $or: [
+          { ticketNo: { $regex: search, $options: "i" } },
+          { subject: { $regex: search, $options: "i" } },
+        ],
+      },
+    ];
+  }
+
+  const [tickets, total] = await Promise.all([
+    HelpdeskTicket.find(filter)
+      .select("-comments -statusHistory")
+      .populate(TICKET_POPULATE.filter((p) => p.path !== "comments.author"))
+      .sort({ "sla.resolutionDueAt": 1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    HelpdeskTicket.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { tickets, total, page: Number(page), limit: Number(limit) },
+      "Tickets fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   🙋 MY TICKETS (raised by me or for me)
+============================================================ */
+export const getMyTickets = asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { $or: [{ requester: req.user._id }, { raisedBy: req.user._id }] };
+  if (status === "open-all") filter.status = { $in: OPEN_HELPDESK_STATUSES };
+  else if (status) filter.status = status;
+
+  const [tickets, total] = await Promise.all([
+    HelpdeskTicket.find(filter)
+      .select("-comments -statusHistory")
+      .populate(TICKET_POPULATE.filter((p) => p.path !== "comments.author"))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    HelpdeskTicket.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { tickets, total, page: Number(page), limit: Number(limit) },
+      "Tickets fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE TICKET
+============================================================ */
+export const getTicketById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { ticket, isStaff } = await findVisibleTicket(currentUser, req.params.id);
+
+  await ticket.populate([...TICKET_POPULATE, { path: "statusHistory.changedBy", select: "fullName" }]);
+
+  return res
+    .status(200)
+    .json(
+      new apiResponse(200, isStaff ? ticket : hideInternalComments(ticket), "Ticket fetched successfully")
+    );
+});
+
+/* ============================================================
+   ✏️ UPDATE PRIORITY / CATEGORY (SLA targets follow priority)
+============================================================ */
+export const updateTicket = asyncHandler(async (req, res) => {
+  const { priority, category } = req.body;
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findManageableTicket(currentUser, req.params.id);
+
+  if (category) {
+    if (!HELPDESK_CATEGORIES.includes(category)) {
+      throw new apiError(400, `category must be one of: ${HELPDESK_CATEGORIES.join(", ")}`);
+    }
+    ticket.category = category;
+  }
+  if (priority && priority !== ticket.priority) {
+    if (!HELPDESK_SLA_HOURS[priority]) {
+      throw new apiError(400, `priority must be one of: ${Object.keys(HELPDESK_SLA_HOURS).join(", ")}`);
+    }
+    ticket.priority = priority;
+    // targets are always measured from when the ticket was raised
+    Object.assign(ticket.sla, buildSlaTargets(priority, ticket.createdAt));
+  }
+
+  await ticket.save();
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, "Ticket updated successfully"));
+});
+
+/* ============================================================
+   👷 ASSIGN TICKET
+============================================================ */
+export const assignTicket = asyncHandler(async (req, res) => {
+  const { assigneeId } = req.body;
+  if (!assigneeId) throw new apiError(400, "assigneeId is required");
+  if (!mongoose.Types.ObjectId.isValid(assigneeId)) throw new apiError(400, "Invalid assignee ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findManageableTicket(currentUser, req.params.id);
+
+  if (!OPEN_HELPDESK_STATUSES.includes(ticket.status)) {
+    throw new apiError(400, `Ticket is already ${ticket.status}`);
+  }
+
+  const exists = await User.exists({ _id: assigneeId, isDeleted: { $ne: true }, isActive: true });
+  if (!exists) throw new apiError(404, "Assignee not found or inactive");
+
+  const assignee = await getCurrentUserWithBranches({ _id: assigneeId });
+  if (!hasPermission(assignee, "manage_tickets")) {
+    throw new apiError(400, "Selected user does not have the manage_tickets permission");
+  }
+  if (!hasBranchAccess(assignee, ticket.branch)) {
+    throw new apiError(400, "Selected user is not assigned to this branch");
+  }
+
+  ticket.assignedTo = assignee._id;
+  if (!ticket.sla.respondedAt) ticket.sla.respondedAt = new Date();
+  await ticket.save();
+
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, `Ticket assigned to ${assignee.fullName}`));
+});
+
+/* ============================================================
+   🔄 UPDATE TICKET STATUS
+============================================================ */
+export const updateTicketStatus = asyncHandler(async (req, res) => {
+  const { status, note } = req.body;
+  if (!status) throw new apiError(400, "status is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findManageableTicket(currentUser, req.params.id);
+
+  const allowed = HELPDESK_TRANSITIONS[ticket.status] || [];
+  if (!allowed.includes(status)) {
+    throw new apiError(
+      400,
+      `Cannot move ticket from ${ticket.status} to ${status}`,
+      [`Allowed: ${allowed.join(", ") || "none"}`]
+    );
+  }
+
+  const now = new Date();
+  if (status === "in-progress" && !ticket.assignedTo) ticket.assignedTo = currentUser._id;
+  if (!ticket.sla.respondedAt) ticket.sla.respondedAt = now;
+
+  if (status === "resolved") ticket.sla.resolvedAt = now;
+  if (ticket.status === "resolved" && status === "in-progress") ticket.sla.resolvedAt = null; // reopened
+  if (["closed", "cancelled"].includes(status)) ticket.closedAt = now;
+
+  ticket.statusHistory.push({ from: ticket.status, to: status, changedBy: currentUser._id, note });
+  ticket.status = status;
+
+  await ticket.save();
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, `Ticket moved to ${status}`));
+});
+
+/* ============================================================
+   💬 ADD COMMENT (requester or IT staff; internal notes staff-only)
+============================================================ */
+export const addTicketComment = asyncHandler(async (req, res) => {
+  const { body, isInternal } = req.body;
+  if (!body?.trim()) throw new apiError(400, "Comment body is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { ticket, isStaff } = await findVisibleTicket(currentUser, req.params.id);
+
+  if (["closed", "cancelled"].includes(ticket.status)) {
+    throw new apiError(400, `Ticket is ${ticket.status}`);
+  }
+
+  const internal = isInternal === true || isInternal === "true";
+  if (internal && !isStaff) throw new apiError(403, "Only IT staff can add internal notes");
+
+  ticket.comments.push({ author: currentUser._id, body, isInternal: internal });
+
+  // first public reply from IT counts as the SLA response
+  const isRequester = isSameUser(ticket.requester, currentUser._id);
+  if (isStaff && !internal && !isRequester && !ticket.sla.respondedAt) {
+    ticket.sla.respondedAt = new Date();
+  }
+
+  await ticket.save();
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, isStaff ? ticket : hideInternalComments(ticket), "Comment added"));
+});
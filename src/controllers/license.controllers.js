@@ -0,0 +1,396 @@
+// controllers/license.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { SoftwareLicense } from "../models/softwareLicense.model.js";
+import { LicenseSeat } from "../models/licenseSeat.model.js";
+import { Branch } from "../models/branch.model.js";
+import { User } from "../models/user.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleBranchIds,
+  getAccessibleEnterpriseIds,
+  hasBranchAccess,
+  resolveTargetEnterprise,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+import { releaseSeats } from "../services/license.service.js";
+
+const SEAT_POPULATE = [
+  { path: "user", select: "fullName userId department" },
+  { path: "asset", select: "assetTag assetName" },
+  { path: "assignedBy", select: "fullName username" },
+  { path: "releasedBy", select: "fullName username" },
+];
+
+/**
+ * Branch pools need branch access; enterprise-wide pools need enterprise access.
+ */
+const canAccessLicense = (currentUser, license) =>
+  license.branch
+    ? hasBranchAccess(currentUser, license.branch)
+    : getAccessibleEnterpriseIds(currentUser).includes(license.enterprise.toString());
+
+const findAccessibleLicense = async (currentUser, id, withKey = false) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid license ID");
+
+  const query = SoftwareLicense.findById(id);
+  if (withKey) query.select("+licenseKey");
+  const license = await query;
+  if (!license) throw new apiError(404, "License not found");
+
+  if (!canAccessLicense(currentUser, license)) {
+    throw new apiError(403, "You do not have access to this license");
+  }
+  return license;
+};
+
+/* ============================================================
+   🟢 CREATE LICENSE POOL
+============================================================ */
+export const createLicense = asyncHandler(async (req, res) => {
+  const {
+    productName,
+    publisher,
+    licenseType,
+    licenseKey,
+    vendor,
+    totalSeats,
+    purchaseDate,
+    expiryDate,
+    cost,
+    remarks,
+    branch,
+    enterprise,
+  } = req.body;
+
+  if (!productName?.trim()) throw new apiError(400, "Product name is required");
+  if (!totalSeats || Number(totalSeats) < 1) throw new apiError(400, "totalSeats must be at least 1");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  // 🔹 Branch pool or enterprise-wide pool
+  let finalEnterprise;
+  let finalBranch = null;
+  if (branch) {
+    if (!hasBranchAccess(currentUser, branch)) {
+      throw new apiError(403, "This branch is not assigned to you");
+    }
+    const branchDoc = await Branch.findById(branch).select("enterprise");
+    if (!branchDoc) throw new apiError(404, "Branch not found");
+    finalBranch = branchDoc._id;
+    finalEnterprise = branchDoc.enterprise.toString();
+  } else {
+    finalEnterprise = resolveTargetEnterprise(currentUser, enterprise);
+  }
+
+  const license = await SoftwareLicense.create({
+    enterprise: finalEnterprise,
+    branch: finalBranch,
+    productName,
+    publisher,
+    licenseType,
+    licenseKey,
+    vendor: await resolveEnterpriseVendor(vendor, finalEnterprise),
+    totalSeats,
+    purchaseDate,
+    expiryDate: expiryDate || null,
+    cost,
+    remarks,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, license, "License created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL LICENSES
+============================================================ */
+export const getAllLicenses = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { licenseType, expiringInDays, exhausted, search, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  // my branch pools + enterprise-wide pools of my enterprises
+  const filter = {
+    isActive: true,
+    $or: [
+      { branch: { $in: getAccessibleBranchIds(currentUser) } },
+      { branch: null, enterprise: { $in: getAccessibleEnterpriseIds(currentUser) } },
+    ],
+  };
+  if (licenseType) filter.licenseType = licenseType;
+  if (exhausted === "true") filter.$expr = { $gte: ["$usedSeats", "$totalSeats"] };
+  if (expiringInDays !== undefined) {
+    const until = new Date(Date.now() + Number(expiringInDays) * 24 * 60 * 60 * 1000);
+    filter.expiryDate = { $ne: null, $lte: until };
+  }
+  if (search) {
+    filter.$and = [
+      {
+        $or: [
+          { productName: { $regex: search, $options: "i" } },
+          { publisher: { $regex: search, $options: "i" } },
+        ],
+      },
+    ];
+  }
+
+  const [licenses, total] = await Promise.all([
+    SoftwareLicense.find(filter)
+      .populate("branch", "branchName branchCode")
+      .populate("vendor", "vendorName")
+      .sort({ productName: 1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    SoftwareLicense.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { licenses, total, page: Number(page), limit: Number(limit) },
+      "Licenses fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE LICENSE (with seats)
+============================================================ */
+export const getLicenseById = asyncHandler(async (req, res) => {
+  const { includeReleased } = req.query;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const license = await findAccessibleLicense(currentUser, req.params.id, true);
+
+  const seatFilter = { license: license._id };
+  if (includeReleased !== "true") seatFilter.releasedAt = null;
+
+  const seats = await LicenseSeat.find(seatFilter)
+    .populate(SEAT_POPULATE)
+    .sort({ assignedAt: -1 });
+
+  await license.populate([
+    { path: "branch", select: "branchName branchCode" },
+    { path: "vendor", select: "vendorName" },
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(200, { ...license.toObject(), seats }, "License fetched successfully")
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE LICENSE
+============================================================ */
+export const updateLicense = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const license = await findAccessibleLicense(currentUser, req.params.id);
+
+  const {
+    productName,
+    publisher,
+    licenseType,
+    licenseKey,
+    vendor,
+    totalSeats,
+    purchaseDate,
+    expiryDate,
+    cost,
+    remarks,
+  } = req.body;
+
+  if (totalSeats !== undefined) {
+    if (Number(totalSeats) < license.usedSeats) {
+      throw new apiError(
+        400,
+        `Cannot reduce seats below the ${license.usedSeats} currently in use. Release seats first`
+      );
+    }
+    license.totalSeats = totalSeats;
+  }
+
+  if (productName) license.productName = productName;
+  if (publisher !== undefined) license.publisher = publisher;
+  if (licenseType) license.licenseType = licenseType;
+  if (licenseKey !== undefined) license.licenseKey = licenseKey;
+  if (vendor !== undefined) license.vendor = await resolveEnterpriseVendor(vendor, license.enterprise);
+  if (purchaseDate !== undefined) license.purchaseDate = purchaseDate;
+  if (expiryDate !== undefined) license.expiryDate = expiryDate || null;
+  if (cost !== undefined) license.cost = cost;
+  if (remarks !== undefined) license.remarks = remarks;
+
+  license.updatedBy = currentUser._id;
+  await license.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, license, "License updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE LICENSE (deactivate; seats must be released)
+============================================================ */
+export const deleteLicense = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const license = await findAccessibleLicense(currentUser, req.params.id);
+
+  if (license.usedSeats > 0) {
+    throw new apiError(400, `License still has ${license.usedSeats} seat(s) in use. Release them first`);
+  }
+
+  license.isActive = false;
+  license.updatedBy = currentUser._id;
+  await license.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: license._id }, "License deactivated successfully"));
+});
+
+/* ============================================================
+   🎟️ ASSIGN SEAT (to user and/or asset)
+============================================================ */
+export const assignLicenseSeat = asyncHandler(async (req, res) => {
+  const { userId, assetId, note } = req.body;
+  if (!userId && !assetId) throw new apiError(400, "userId or assetId is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const license = await findAccessibleLicense(currentUser, req.params.id);
+
+  if (!license.isActive) throw new apiError(400, "License is inactive");
+  if (license.expiryDate && license.expiryDate < new Date()) {
+    throw new apiError(400, "License has expired");
+  }
+
+  // 🔹 Holder must be reachable by the caller and inside the license's scope
+  let holderUser = null;
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) throw new apiError(400, "Invalid user ID");
+    holderUser = await User.findOne({ _id: userId, isDeleted: { $ne: true } })
+      .select("fullName branch isActive")
+      .populate("branch", "enterprise");
+    if (!holderUser) throw new apiError(404, "User not found");
+    if (!holderUser.isActive) throw new apiError(400, "Cannot assign seats to an inactive user");
+    if (!hasBranchAccess(currentUser, holderUser.branch)) {
+      throw new apiError(403, "You cannot assign seats to users of a branch not assigned to you");
+    }
+    if (holderUser.branch?.enterprise?.toString() !== license.enterprise.toString()) {
+      throw new apiError(400, "User belongs to another enterprise");
+    }
+    if (license.branch && holderUser.branch._id.toString() !== license.branch.toString()) {
+      throw new apiError(400, "This license pool is limited to another branch");
+    }
+  }
+
+  let holderAsset = null;
+  if (assetId) {
+    holderAsset = await findAccessibleAsset(currentUser, assetId);
+    if (holderAsset.enterprise.toString() !== license.enterprise.toString()) {
+      throw new apiError(400, "Asset belongs to another enterprise");
+    }
+    if (license.branch && holderAsset.branch.toString() !== license.branch.toString()) {
+      throw new apiError(400, "This license pool is limited to another branch");
+    }
+  }
+
+  const duplicate = await LicenseSeat.findOne({
+    license: license._id,
+    user: holderUser?._id || null,
+    asset: holderAsset?._id || null,
+    releasedAt: null,
+  });
+  if (duplicate) throw new apiError(409, "A seat of this license is already assigned here");
+
+  // 🔒 Take a seat atomically — refuses once the pool is exhausted
+  const reserved = await SoftwareLicense.findOneAndUpdate(
+    { _id: license._id, $expr: { $lt: ["$usedSeats", "$totalSeats"] } },
+    { $inc: { usedSeats: 1 } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new apiError(409, `No free seats left (${license.totalSeats} of ${license.totalSeats} used)`);
+  }
+
+  let seat;
+  try {
+    seat = await LicenseSeat.create({
+      license: license._id,
+      user: holderUser?._id || null,
+      asset: holderAsset?._id || null,
+      assignedBy: currentUser._id,
+      note,
+    });
+  } catch (error) {
+    await SoftwareLicense.updateOne({ _id: license._id }, { $inc: { usedSeats: -1 } });
+    throw error;
+  }
+
+  await seat.populate(SEAT_POPULATE);
+
+  return res.status(201).json(
+    new apiResponse(
+      201,
+      { seat, usedSeats: reserved.usedSeats, totalSeats: reserved.totalSeats },
+      "License seat assigned successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ♻️ RELEASE SEAT
+============================================================ */
+export const releaseLicenseSeat = asyncHandler(async (req, res) => {
+  const { seatId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(seatId)) throw new apiError(400, "Invalid seat ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const license = await findAccessibleLicense(currentUser, req.params.id);
+
+  const seat = await LicenseSeat.findOne({ _id: seatId, license: license._id });
+  if (!seat) throw new apiError(404, "Seat not found for this license");
+  if (seat.releasedAt) throw new apiError(400, "Seat is already released");
+
+  const [released] = await releaseSeats({ _id: seat._id }, currentUser._id, "manual");
+  if (!released) throw new apiError(409, "Seat was released meanwhile");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: seat._id }, "License seat released successfully"));
+});
+
+/* ============================================================
+   🧾 LICENSES HELD BY A USER
+============================================================ */
+export const getUserLicenses = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid user ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const targetUser = await User.findById(id).select("fullName userId branch reportingTo");
+  if (!targetUser) throw new apiError(404, "User not found");
+
+  const isReportingToUser =
+    targetUser.reportingTo?.toString() === currentUser._id.toString();
+  if (!hasBranchAccess(currentUser, targetUser.branch) && !isReportingToUser) {
+    throw new apiError(403, "You do not have permission to view this user's licenses");
+  }
+
+  const seats = await LicenseSeat.find({ user: targetUser._id, releasedAt: null })
+    .populate("license", "productName publisher licenseType expiryDate")
+    .populate("asset", "assetTag assetName")
+    .sort({ assignedAt: -1 });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { user: targetUser, total: seats.length, seats },
+      "User licenses fetched successfully"
+    )
+  );
+});
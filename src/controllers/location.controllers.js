@@ -0,0 +1,190 @@
+// controllers/location.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Location } from "../models/location.model.js";
+import { Branch } from "../models/branch.model.js";
+import { Asset } from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+} from "../utils/branchAccess.helpers.js";
+
+/**
+ * Validate the :id branch param and the caller's access to it.
+ */
+const loadAccessibleBranch = async (currentUser, branchId) => {
+  if (!mongoose.Types.ObjectId.isValid(branchId)) throw new apiError(400, "Invalid branch ID");
+
+  const branch = await Branch.findById(branchId).select("branchName branchCode");
+  if (!branch) throw new apiError(404, "Branch not found");
+
+  if (!hasBranchAccess(currentUser, branch._id)) {
+    throw new apiError(403, "You are not assigned to this branch");
+  }
+  return branch;
+};
+
+const loadBranchLocation = async (branch, locationId) => {
+  if (!mongoose.Types.ObjectId.isValid(locationId)) throw new apiError(400, "Invalid location ID");
+
+  const location = await Location.findOne({ _id: locationId, branch: branch._id });
+  if (!location) throw new apiError(404, "Location not found in this branch");
+  return location;
+};
+
+/* ============================================================
+   🟢 CREATE LOCATION IN BRANCH
+============================================================ */
+export const createLocation = asyncHandler(async (req, res) => {
+  const { name, type, building, floor, room, remarks } = req.body;
+  if (!name?.trim()) throw new apiError(400, "Location name is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branch = await loadAccessibleBranch(currentUser, req.params.id);
+
+  const existing = await Location.findOne({ branch: branch._id, name: name.trim() });
+  if (existing) throw new apiError(409, "Location with this name already exists in the branch");
+
+  const location = await Location.create({
+    branch: branch._id,
+    name,
+    type,
+    building,
+    floor,
+    room,
+    remarks,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, location, "Location created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL LOCATIONS OF A BRANCH (with asset counts)
+============================================================ */
+export const getBranchLocations = asyncHandler(async (req, res) => {
+  const { type, includeInactive } = req.query;
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branch = await loadAccessibleBranch(currentUser, req.params.id);
+
+  const filter = { branch: branch._id };
+  if (type) filter.type = type.toLowerCase();
+  if (includeInactive !== "true") filter.isActive = true;
+
+  const locations = await Location.find(filter).sort({ building: 1, floor: 1, name: 1 }).lean();
+
+  const counts = await Asset.aggregate([
+    {
+      $match: {
+        location: { $in: locations.map((l) => l._id) },
+        isDeleted: { $ne: true },
+      },
+    },
+    { $group: { _id: "$location", assetCount: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map((c) => [c._id.toString(), c.assetCount]));
+
+  const data = locations.map((l) => ({
+    ...l,
+    assetCount: countMap.get(l._id.toString()) || 0,
+  }));
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { branch, total: data.length, locations: data },
+      "Locations fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE LOCATION (with assets and users pinned)
+============================================================ */
+export const getLocationById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branch = await loadAccessibleBranch(currentUser, req.params.id);
+  const location = await loadBranchLocation(branch, req.params.locationId);
+
+  const [assets, users] = await Promise.all([
+    Asset.find({ location: location._id, isDeleted: { $ne: true } })
+      .select("assetTag assetName category status assignedTo")
+      .populate("category", "name"),
+    User.find({ location: location._id, isDeleted: { $ne: true } }).select(
+      "fullName userId department designation"
+    ),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { ...location.toObject(), assets, users },
+      "Location fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE LOCATION
+============================================================ */
+export const updateLocation = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branch = await loadAccessibleBranch(currentUser, req.params.id);
+  const location = await loadBranchLocation(branch, req.params.locationId);
+
+  const { name, type, building, floor, room, remarks, isActive } = req.body;
+
+  if (name && name.trim() !== location.name) {
+    const duplicate = await Location.findOne({
+      branch: branch._id,
+      name: name.trim(),
+      _id: { $ne: location._id },
+    });
+    if (duplicate) throw new apiError(409, "Location with this name already exists in the branch");
+    location.name = name;
+  }
+
+  if (type) location.type = type;
+  if (building !== undefined) location.building = building;
+  if (floor !== undefined) location.floor = floor;
+  if (room !== undefined) location.room = room;
+  if (remarks !== undefined) location.remarks = remarks;
+  if (isActive !== undefined) location.isActive = isActive === true || isActive === "true";
+
+  location.updatedBy = currentUser._id;
+  await location.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, location, "Location updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE LOCATION (refuse while it still holds assets)
+============================================================ */
+export const deleteLocation = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branch = await loadAccessibleBranch(currentUser, req.params.id);
+  const location = await loadBranchLocation(branch, req.params.locationId);
+
+  const assetCount = await Asset.countDocuments({
+    location: location._id,
+    isDeleted: { $ne: true },
+  });
+  if (assetCount > 0) {
+    throw new apiError(400, `Location still holds ${assetCount} asset(s). Move them first`);
+  }
+
+  // users pinned here simply lose their pin
+  await User.updateMany({ location: location._id }, { $set: { location: null } });
+  await location.deleteOne();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: location._id }, "Location deleted successfully"));
+});
@@ -0,0 +1,122 @@
+// controllers/lockout.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { User } from "../models/user.model.js";
+import { UserLogin } from "../models/userLogin.model.js";
+import { ActivityLog } from "../models/activityLog.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { isSeniorRole } from "../utils/user.helpers.js";
+import { clearLockout } from "../services/lockout.service.js";
+
+// permanently locked, or still inside a temporary lock
+const lockedFilter = () => ({
+  $or: [{ isPermanentlyLocked: true }, { lockUntil: { $gt: new Date() } }],
+});
+
+/* ============================================================
+   🔓 UNLOCK USER (temporary or permanent lock)
+============================================================ */
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid user ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const targetUser = await User.findOne({ _id: id, isDeleted: { $ne: true } })
+    .select("fullName userId branch role")
+    .populate("role", "roleName roleLevel");
+  if (!targetUser) throw new apiError(404, "User not found");
+
+  if (!hasBranchAccess(currentUser, targetUser.branch)) {
+    throw new apiError(403, "You do not have access to users of this branch");
+  }
+  if (!isSeniorRole(currentUser.role, targetUser.role)) {
+    throw new apiError(403, "You can only unlock users below your role level");
+  }
+
+  const login = await UserLogin.findOne({ user: targetUser._id });
+  if (!login) throw new apiError(404, "Login record not found");
+
+  const wasPermanent = login.isPermanentlyLocked;
+  const wasLocked = wasPermanent || (login.lockUntil && login.lockUntil > new Date());
+  if (!wasLocked && !login.failedLoginAttempts) throw new apiError(400, "Account is not locked");
+
+  clearLockout(login);
+  login.unlockedBy = currentUser._id;
+  login.unlockedAt = new Date();
+  await login.save({ validateBeforeSave: false });
+
+  await ActivityLog.create({
+    user: currentUser._id,
+    action: "unlock_user",
+    description: `Unlocked ${targetUser.fullName} (${wasPermanent ? "permanent" : "temporary"} lock)`,
+    targetModel: "User",
+    targetId: targetUser._id,
+    ipAddress: req.ip,
+    userAgent: req.headers["user-agent"] || null,
+  });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { user: targetUser._id, wasPermanent, unlockedAt: login.unlockedAt },
+      `${targetUser.fullName} unlocked successfully`
+    )
+  );
+});
+
+/* ============================================================
+   📊 LOCKED ACCOUNTS REPORT (grouped by branch)
+============================================================ */
+export const getLockedAccountsReport = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const users = await User.find({
+    branch: buildBranchFilter(currentUser, req.query.branch),
+    isDeleted: { $ne: true },
+  })
+    .select("fullName userId designation branch")
+    .populate("branch", "branchName branchCode")
+    .lean();
+
+  const usersById = new Map(users.map((u) => [u._id.toString(), u]));
+  const logins = await UserLogin.find({ user: { $in: [...usersById.keys()] }, ...lockedFilter() })
+    .select("user username lockLevel lockUntil lockedAt isPermanentlyLocked")
+    .lean();
+
+  const byBranch = new Map();
+  for (const login of logins) {
+    const user = usersById.get(login.user.toString());
+    const branchKey = user.branch._id.toString();
+    if (!byBranch.has(branchKey)) {
+      byBranch.set(branchKey, { branch: user.branch, permanent: 0, temporary: 0, accounts: [] });
+    }
+    const group = byBranch.get(branchKey);
+    group[login.isPermanentlyLocked ? "permanent" : "temporary"] += 1;
+    group.accounts.push({
+      user: { _id: user._id, fullName: user.fullName, userId: user.userId, designation: user.designation },
+      username: login.username,
+      lockType: login.isPermanentlyLocked ? "permanent" : "temporary",
+      lockLevel: login.lockLevel,
+      lockUntil: login.isPermanentlyLocked ? null : login.lockUntil,
+      lockedAt: login.lockedAt,
+    });
+  }
+
+  const branches = [...byBranch.values()].sort((a, b) =>
+    (a.branch.branchName || "").localeCompare(b.branch.branchName || "")
+  );
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { branches, total: logins.length },
+      "Locked accounts fetched successfully"
+    )
+  );
+});
@@ -0,0 +1,271 @@
+// controllers/maintenance.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { User } from "../models/user.model.js";
+import {
+  MaintenanceTicket,
+  MAINTENANCE_TRANSITIONS,
+  OPEN_MAINTENANCE_STATUSES,
+  MAINTENANCE_PRIORITIES,
+} from "../models/maintenanceTicket.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  hasPermission,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset, isUnderCoverage } from "../utils/asset.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+
+const TICKET_POPULATE = [
+  { path: "asset", select: "assetTag assetName status assignedTo" },
+  { path: "branch", select: "branchName branchCode" },
+  { path: "raisedBy", select: "fullName username" },
+  { path: "assignedTo", select: "fullName username" },
+  { path: "vendor", select: "vendorName supportSla" },
+];
+
+const findAccessibleTicket = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid ticket ID");
+
+  const ticket = await MaintenanceTicket.findById(id);
+  if (!ticket) throw new apiError(404, "Maintenance ticket not found");
+
+  if (!hasBranchAccess(currentUser, ticket.branch)) {
+    throw new apiError(403, "You do not have access to tickets of this branch");
+  }
+  return ticket;
+};
+
+/**
+ * Technician must be an active user holding `manage_maintenance` with access to the branch.
+ */
+const loadTechnician = async (technicianId, branchId) => {
+  if (!mongoose.Types.ObjectId.isValid(technicianId)) {
+    throw new apiError(400, "Invalid technician ID");
+  }
+
+  const exists = await User.exists({ _id: technicianId, isDeleted: { $ne: true }, isActive: true });
+  if (!exists) throw new apiError(404, "Technician not found or inactive");
+
+  const technician = await getCurrentUserWithBranches({ _id: technicianId });
+  if (!hasPermission(technician, "manage_maintenance")) {
+    throw new apiError(400, "Selected user does not have the manage_maintenance permission");
+  }
+  if (!hasBranchAccess(technician, branchId)) {
+    throw new apiError(400, "Selected technician is not assigned to this branch");
+  }
+  return technician;
+};
+
+/* ============================================================
+   🟢 RAISE MAINTENANCE TICKET
+============================================================ */
+export const raiseMaintenanceTicket = asyncHandler(async (req, res) => {
+  const { assetId, title, description, priority, vendorId } = req.body;
+  if (!assetId) throw new apiError(400, "assetId is required");
+  if (!title?.trim()) throw new apiError(400, "Title is required");
+  if (priority && !MAINTENANCE_PRIORITIES.includes(priority)) {
+    throw new apiError(400, `priority must be one of ${MAINTENANCE_PRIORITIES.join(", ")}`);
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, assetId);
+
+  if (!["available", "assigned"].includes(asset.status)) {
+    throw new apiError(400, `Cannot raise a repair ticket for an asset that is ${asset.status}`);
+  }
+
+  const openTicket = await MaintenanceTicket.findOne({
+    asset: asset._id,
+    status: { $in: OPEN_MAINTENANCE_STATUSES },
+  });
+  if (openTicket) throw new apiError(409, "This asset already has an open maintenance ticket");
+
+  // under warranty / AMC → the coverage provider is the default repair vendor
+  const isWarrantyClaim = isUnderCoverage(asset);
+  const coverageProvider = isWarrantyClaim
+    ? asset.warranty?.provider || asset.amc?.provider || null
+    : null;
+  const repairVendor = vendorId
+    ? await resolveEnterpriseVendor(vendorId, asset.enterprise)
+    : coverageProvider;
+
+  // 🔒 Flip asset to under-repair only if nobody changed it meanwhile
+  const flipped = await Asset.findOneAndUpdate(
+    { _id: asset._id, status: asset.status },
+    { $set: { status: "under-repair", updatedBy: currentUser._id } }
+  );
+  if (!flipped) throw new apiError(409, "Asset status changed meanwhile. Refresh and retry");
+
+  let ticket;
+  try {
+    ticket = await MaintenanceTicket.create({
+      enterprise: asset.enterprise,
+      branch: asset.branch,
+      asset: asset._id,
+      title,
+      description,
+      priority,
+      vendor: repairVendor,
+      isWarrantyClaim,
+      raisedBy: currentUser._id,
+      statusHistory: [{ from: null, to: "open", changedBy: currentUser._id }],
+    });
+  } catch (error) {
+    // no ticket → the asset must not stay stuck in under-repair
+    await Asset.updateOne(
+      { _id: asset._id, status: "under-repair" },
+      { $set: { status: asset.status, updatedBy: currentUser._id } }
+    );
+    throw error;
+  }
+
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, ticket, "Maintenance ticket raised successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL TICKETS (branch scoped + filters)
+============================================================ */
+export const getAllMaintenanceTickets = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, priority, branch, asset, assignedTo, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status === "open-all") filter.status = { $in: OPEN_MAINTENANCE_STATUSES };
+  else if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (asset) filter.asset = asset;
+  if (assignedTo) filter.assignedTo = assignedTo === "me" ? currentUser._id : assignedTo;
+
+  const [tickets, total] = await Promise.all([
+    MaintenanceTicket.find(filter)
+      .populate(TICKET_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    MaintenanceTicket.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { tickets, total, page: Number(page), limit: Number(limit) },
+      "Maintenance tickets fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE TICKET
+============================================================ */
+export const getMaintenanceTicketById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findAccessibleTicket(currentUser, req.params.id);
+
+  await ticket.populate([...TICKET_POPULATE, { path: "statusHistory.changedBy", select: "fullName" }]);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, "Maintenance ticket fetched successfully"));
+});
+
+/* ============================================================
+   👷 ASSIGN TECHNICIAN
+============================================================ */
+export const assignTechnician = asyncHandler(async (req, res) => {
+  const { technicianId } = req.body;
+  if (!technicianId) throw new apiError(400, "technicianId is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findAccessibleTicket(currentUser, req.params.id);
+
+  if (!OPEN_MAINTENANCE_STATUSES.includes(ticket.status)) {
+    throw new apiError(400, `Ticket is already ${ticket.status}`);
+  }
+
+  const technician = await loadTechnician(technicianId, ticket.branch);
+  ticket.assignedTo = technician._id;
+  await ticket.save();
+
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, `Ticket assigned to ${technician.fullName}`));
+});
+
+/* ============================================================
+   🔄 UPDATE TICKET STATUS (with repair cost + downtime)
+============================================================ */
+export const updateMaintenanceStatus = asyncHandler(async (req, res) => {
+  const { status, note, repairCost, resolutionNotes, vendorId } = req.body;
+  if (!status) throw new apiError(400, "status is required");
+
+  const hasRepairCost = repairCost !== undefined && repairCost !== "";
+  if (hasRepairCost && !(Number.isFinite(Number(repairCost)) && Number(repairCost) >= 0)) {
+    throw new apiError(400, "repairCost must be a non-negative number");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const ticket = await findAccessibleTicket(currentUser, req.params.id);
+
+  const allowed = MAINTENANCE_TRANSITIONS[ticket.status] || [];
+  if (!allowed.includes(status)) {
+    throw new apiError(
+      400,
+      `Cannot move ticket from ${ticket.status} to ${status}`,
+      [`Allowed: ${allowed.join(", ") || "none"}`]
+    );
+  }
+
+  // whoever starts the work becomes the technician if none was assigned
+  if (status === "in-progress" && !ticket.assignedTo) ticket.assignedTo = currentUser._id;
+
+  if (vendorId !== undefined) {
+    ticket.vendor = await resolveEnterpriseVendor(vendorId, ticket.enterprise);
+  }
+  if (hasRepairCost) ticket.repairCost = Number(repairCost);
+  if (resolutionNotes !== undefined) ticket.resolutionNotes = resolutionNotes;
+
+  ticket.statusHistory.push({
+    from: ticket.status,
+    to: status,
+    changedBy: currentUser._id,
+    note,
+  });
+  ticket.status = status;
+
+  // 🔹 Closing: record downtime
+  const isClosing = !OPEN_MAINTENANCE_STATUSES.includes(status);
+  if (isClosing) {
+    ticket.closedAt = new Date();
+    ticket.downtimeMinutes = Math.round((ticket.closedAt - ticket.createdAt) / 60000);
+  }
+
+  await ticket.save();
+
+  // 🔹 Only once the ticket is closed does the asset get its normal status back
+  if (isClosing) {
+    const asset = await Asset.findById(ticket.asset).select("status assignedTo");
+    if (asset?.status === "under-repair") {
+      asset.status = asset.assignedTo ? "assigned" : "available";
+      asset.updatedBy = currentUser._id;
+      await asset.save();
+    }
+  }
+
+  await ticket.populate(TICKET_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, ticket, `Ticket moved to ${status}`));
+});
@@ -0,0 +1,671 @@
+// controllers/network.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { Branch } from "../models/branch.model.js";
+import { NetworkSubnet } from "../models/networkSubnet.model.js";
+import { IpAllocation, IP_ALLOCATION_TYPES } from "../models/ipAllocation.model.js";
+import { MacAddress } from "../models/macAddress.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleEnterpriseIds,
+  hasBranchAccess,
+  buildBranchFilter,
+  resolveTargetBranch,
+} from "../utils/branchAccess.helpers.js";
+import { findAccessibleAsset } from "../utils/asset.helpers.js";
+import {
+  ipToNumber,
+  numberToIp,
+  parseCidr,
+  isHostInSubnet,
+  normalizeMac,
+} from "../utils/network.helpers.js";
+
+const MAX_NEXT_FREE = 50;
+
+const ALLOCATION_POPULATE = [
+  { path: "subnet", select: "name cidr vlanId" },
+  { path: "branch", select: "branchName branchCode" },
+  { path: "asset", select: "assetTag assetName status" },
+  { path: "allocatedBy", select: "fullName username" },
+];
+
+const findAccessibleSubnet = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid subnet ID");
+
+  const subnet = await NetworkSubnet.findById(id);
+  if (!subnet) throw new apiError(404, "Subnet not found");
+
+  if (!hasBranchAccess(currentUser, subnet.branch)) {
+    throw new apiError(403, "You do not have access to this branch network");
+  }
+  return subnet;
+};
+
+/**
+ * Validate gateway and DHCP pool against the subnet bounds.
+ * @returns {{ gateway?: string, dhcpRange?: {start, end} }} normalised values
+ */
+const validateSubnetAddresses = (bounds, { gateway, dhcpStart, dhcpEnd }) => {
+  const result = {};
+
+  if (gateway !== undefined) {
+    if (gateway) {
+      const n = ipToNumber(gateway);
+      if (n === null || !isHostInSubnet(bounds, n)) {
+        throw new apiError(400, "Gateway must be a host address inside the subnet");
+      }
+      result.gateway = numberToIp(n);
+    } else result.gateway = null;
+  }
+
+  if (dhcpStart !== undefined || dhcpEnd !== undefined) {
+    if (!dhcpStart && !dhcpEnd) result.dhcpRange = {};
+    else {
+      const start = ipToNumber(dhcpStart);
+      const end = ipToNumber(dhcpEnd);
+      if (
+        start === null ||
+        end === null ||
+        start > end ||
+        !isHostInSubnet(bounds, start) ||
+        !isHostInSubnet(bounds, end)
+      ) {
+        throw new apiError(400, "DHCP range must be start ≤ end, both inside the subnet");
+      }
+      result.dhcpRange = { start: numberToIp(start), end: numberToIp(end) };
+    }
+  }
+
+  return result;
+};
+
+// [start, end] of the DHCP pool as numbers, or null when the subnet has none
+const dhcpBounds = (subnet) => {
+  if (!subnet.dhcpRange?.start || !subnet.dhcpRange?.end) return null;
+  return [ipToNumber(subnet.dhcpRange.start), ipToNumber(subnet.dhcpRange.end)];
+};
+
+const inDhcpRange = (subnet, n) => {
+  const pool = dhcpBounds(subnet);
+  return !!pool && n >= pool[0] && n <= pool[1];
+};
+
+/**
+ * First `count` host addresses that are not the gateway, not in the DHCP pool
+ * and not held by an active allocation.
+ * Walks the gaps between blocked ranges instead of testing every address, so a
+ * /8 costs as much as its allocations, not its 16M hosts.
+ */
+const findFreeAddresses = async (subnet, count) => {
+  const taken = await IpAllocation.find({ subnet: subnet._id, status: "active" }).distinct("ipNumber");
+
+  const blocked = taken.map((n) => [n, n]);
+  if (subnet.gateway) {
+    const gateway = ipToNumber(subnet.gateway);
+    blocked.push([gateway, gateway]);
+  }
+  const pool = dhcpBounds(subnet);
+  if (pool) blocked.push(pool);
+  blocked.sort((a, b) => a[0] - b[0]);
+
+  const free = [];
+  let n = subnet.networkNumber + 1;
+  for (const [start, end] of [...blocked, [subnet.broadcastNumber, subnet.broadcastNumber]]) {
+    for (; n < start && n < subnet.broadcastNumber && free.length < count; n++) {
+      free.push(numberToIp(n));
+    }
+    if (free.length >= count || n >= subnet.broadcastNumber) break;
+    n = Math.max(n, end + 1);
+  }
+  return free;
+};
+
+/**
+ * Registry entry for a MAC, or 409 when another asset already owns it.
+ * Unknown MACs on an asset are registered on the fly.
+ */
+const claimMacForAsset = async (macAddress, asset, currentUser) => {
+  const owner = await MacAddress.findOne({
+    enterprise: asset.enterprise,
+    macAddress,
+    isActive: true,
+  }).populate("asset", "assetTag");
+
+  if (owner && owner.asset?._id.toString() !== asset._id.toString()) {
+    throw new apiError(409, `MAC ${macAddress} is registered to asset ${owner.asset?.assetTag}`);
+  }
+  if (owner) return owner;
+
+  return MacAddress.create({
+    enterprise: asset.enterprise,
+    asset: asset._id,
+    macAddress,
+    registeredBy: currentUser._id,
+  });
+};
+
+/* ============================================================
+   🟢 CREATE SUBNET
+============================================================ */
+export const createSubnet = asyncHandler(async (req, res) => {
+  const { branch, name, cidr, gateway, vlanId, dhcpStart, dhcpEnd, description } = req.body;
+
+  if (!name?.trim()) throw new apiError(400, "Subnet name is required");
+  const bounds = parseCidr(cidr);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchId = resolveTargetBranch(currentUser, branch);
+  const branchDoc = await Branch.findById(branchId).select("enterprise");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+
+  // 🔹 Subnets of one branch LAN must not overlap
+  const overlapping = await NetworkSubnet.findOne({
+    branch: branchDoc._id,
+    networkNumber: { $lte: bounds.broadcastNumber },
+    broadcastNumber: { $gte: bounds.networkNumber },
+  });
+  if (overlapping) {
+    throw new apiError(409, `Overlaps subnet ${overlapping.name} (${overlapping.cidr}) of this branch`);
+  }
+
+  const subnet = await NetworkSubnet.create({
+    enterprise: branchDoc.enterprise,
+    branch: branchDoc._id,
+    name,
+    ...bounds,
+    ...validateSubnetAddresses(bounds, { gateway, dhcpStart, dhcpEnd }),
+    vlanId: vlanId || null,
+    description,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, subnet, "Subnet created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL SUBNETS (with utilisation)
+============================================================ */
+export const getAllSubnets = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { branch, includeInactive } = req.query;
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (includeInactive !== "true") filter.isActive = true;
+
+  const subnets = await NetworkSubnet.find(filter)
+    .populate("branch", "branchName branchCode")
+    .sort({ branch: 1, networkNumber: 1 })
+    .lean();
+
+  const counts = await IpAllocation.aggregate([
+    { $match: { subnet: { $in: subnets.map((s) => s._id) }, status: "active" } },
+    { $group: { _id: "$subnet", allocated: { $sum: 1 } } },
+  ]);
+  const countMap = new Map(counts.map((c) => [c._id.toString(), c.allocated]));
+
+  const data = subnets.map((s) => {
+    const usableHosts = s.broadcastNumber - s.networkNumber - 1;
+    const allocated = countMap.get(s._id.toString()) || 0;
+    return {
+      ...s,
+      usableHosts,
+      allocated,
+      utilisationPercent: Math.round((allocated / usableHosts) * 1000) / 10,
+    };
+  });
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { total: data.length, subnets: data }, "Subnets fetched successfully"));
+});
+
+/* ============================================================
+   👁️ GET SINGLE SUBNET (with active allocations)
+============================================================ */
+export const getSubnetById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const subnet = await findAccessibleSubnet(currentUser, req.params.id);
+
+  const allocations = await IpAllocation.find({ subnet: subnet._id, status: "active" })
+    .populate("asset", "assetTag assetName status")
+    .sort({ ipNumber: 1 });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { ...subnet.toObject(), allocations },
+      "Subnet fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE SUBNET (CIDR is fixed once created)
+============================================================ */
+export const updateSubnet = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const subnet = await findAccessibleSubnet(currentUser, req.params.id);
+
+  const { name, gateway, vlanId, dhcpStart, dhcpEnd, description, isActive } = req.body;
+  if (req.body.cidr !== undefined && parseCidr(req.body.cidr).cidr !== subnet.cidr) {
+    throw new apiError(400, "CIDR cannot be changed; create a new subnet instead");
+  }
+
+  if (name !== undefined) {
+    if (!name.trim()) throw new apiError(400, "Subnet name cannot be empty");
+    subnet.name = name;
+  }
+  Object.assign(subnet, validateSubnetAddresses(subnet, { gateway, dhcpStart, dhcpEnd }));
+
+  // 🔹 The gateway address must not already be handed to a device
+  if (subnet.isModified("gateway") && subnet.gateway) {
+    const holder = await IpAllocation.findOne({
+      subnet: subnet._id,
+      ipNumber: ipToNumber(subnet.gateway),
+      status: "active",
+    });
+    if (holder) throw new apiError(409, `${subnet.gateway} is already allocated`);
+  }
+
+  if (vlanId !== undefined) subnet.vlanId = vlanId || null;
+  if (description !== undefined) subnet.description = description;
+  if (isActive !== undefined) subnet.isActive = isActive === true || isActive === "true";
+  subnet.updatedBy = currentUser._id;
+
+  await subnet.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, subnet, "Subnet updated successfully"));
+});
+
+/* ============================================================
+   🗑️ DELETE SUBNET (only if it never held an allocation)
+============================================================ */
+export const deleteSubnet = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const subnet = await findAccessibleSubnet(currentUser, req.params.id);
+
+  const used = await IpAllocation.exists({ subnet: subnet._id });
+  if (used) {
+    throw new apiError(400, "Subnet has allocation history; deactivate it instead");
+  }
+
+  await subnet.deleteOne();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, null, "Subnet deleted successfully"));
+});
+
+/* ============================================================
+   🔎 NEXT FREE ADDRESSES
+============================================================ */
+export const getNextFreeAddresses = asyncHandler(async (req, res) => {
+  const count = Math.min(Math.max(Number(req.query.count) || 1, 1), MAX_NEXT_FREE);
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const subnet = await findAccessibleSubnet(currentUser, req.params.id);
+
+  const addresses = await findFreeAddresses(subnet, count);
+  if (!addresses.length) throw new apiError(404, `No free address left in ${subnet.cidr}`);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { subnet: { _id: subnet._id, name: subnet.name, cidr: subnet.cidr }, addresses },
+      "Free addresses fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   📌 ALLOCATE IP (explicit address or next free)
+============================================================ */
+export const allocateIp = asyncHandler(async (req, res) => {
+  const { subnet: subnetId, ipAddress, asset: assetId, hostname, note } = req.body;
+  const type = req.body.type || "static";
+
+  if (!IP_ALLOCATION_TYPES.includes(type)) {
+    throw new apiError(400, `type must be one of ${IP_ALLOCATION_TYPES.join(", ")}`);
+  }
+  if (!assetId && type !== "reserved") {
+    throw new apiError(400, "Asset is required unless the address is only reserved");
+  }
+
+  let macAddress = null;
+  if (req.body.macAddress) {
+    macAddress = normalizeMac(req.body.macAddress);
+    if (!macAddress) throw new apiError(400, "Invalid MAC address");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const subnet = await findAccessibleSubnet(currentUser, subnetId);
+  if (!subnet.isActive) throw new apiError(400, "Subnet is inactive");
+
+  let asset = null;
+  if (assetId) {
+    asset = await findAccessibleAsset(currentUser, assetId);
+    if (asset.branch.toString() !== subnet.branch.toString()) {
+      throw new apiError(400, "Asset is not in the branch of this subnet");
+    }
+    if (asset.status === "disposed") throw new apiError(400, "Disposed assets cannot get an address");
+  }
+
+  // 🔹 Resolve the address: explicit one must be a usable host, otherwise take the next free
+  let ipNumber;
+  if (ipAddress) {
+    ipNumber = ipToNumber(ipAddress);
+    if (ipNumber === null || !isHostInSubnet(subnet, ipNumber)) {
+      throw new apiError(400, `${ipAddress} is not a host address of ${subnet.cidr}`);
+    }
+    if (subnet.gateway && ipNumber === ipToNumber(subnet.gateway)) {
+      throw new apiError(409, `${ipAddress} is the subnet gateway`);
+    }
+    // static addresses inside the DHCP pool collide with leases
+    if (type !== "dhcp-reservation" && inDhcpRange(subnet, ipNumber)) {
+      throw new apiError(409, `${ipAddress} is inside the DHCP pool; use a dhcp-reservation`);
+    }
+  } else {
+    const [next] = await findFreeAddresses(subnet, 1);
+    if (!next) throw new apiError(404, `No free address left in ${subnet.cidr}`);
+    ipNumber = ipToNumber(next);
+  }
+
+  const holder = await IpAllocation.findOne({ subnet: subnet._id, ipNumber, status: "active" })
+    .populate("asset", "assetTag");
+  if (holder) {
+    throw new apiError(
+      409,
+      `${holder.ipAddress} is already allocated${holder.asset ? ` to ${holder.asset.assetTag}` : ""}`
+    );
+  }
+
+  if (macAddress) {
+    if (asset) await claimMacForAsset(macAddress, asset, currentUser);
+    else {
+      const owner = await MacAddress.exists({ enterprise: subnet.enterprise, macAddress, isActive: true });
+      if (owner) throw new apiError(409, `MAC ${macAddress} belongs to a registered asset; allocate to it`);
+    }
+  }
+
+  let allocation;
+  try {
+    allocation = await IpAllocation.create({
+      enterprise: subnet.enterprise,
+      branch: subnet.branch,
+      subnet: subnet._id,
+      ipAddress: numberToIp(ipNumber),
+      ipNumber,
+      type,
+      asset: asset?._id || null,
+      macAddress,
+      hostname,
+      note,
+      allocatedBy: currentUser._id,
+    });
+  } catch (error) {
+    // 🔒 Unique partial index: someone took the address between the check and the insert
+    if (error?.code === 11000) throw new apiError(409, `${numberToIp(ipNumber)} was allocated meanwhile`);
+    throw error;
+  }
+
+  await allocation.populate(ALLOCATION_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, allocation, `${allocation.ipAddress} allocated`));
+});
+
+/* ============================================================
+   🔍 GET ALLOCATIONS
+============================================================ */
+export const getAllocations = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { branch, subnet, asset, type, search, status = "active", page = 1, limit = 50 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status !== "all") filter.status = status;
+  if (subnet) filter.subnet = subnet;
+  if (asset) filter.asset = asset;
+  if (type) filter.type = type;
+  if (search) {
+    const mac = normalizeMac(search);
+    filter.$or = [
+      ...(/^[\d.]+$/.test(search) ? [{ ipAddress: { $regex: `^${search.replace(/\./g, "\\.")}` } }] : []),
+      { hostname: { $regex: search, $options: "i" } },
+      ...(mac ? [{ macAddress: mac }] : []),
+    ];
+  }
+
+  const [allocations, total] = await Promise.all([
+    IpAllocation.find(filter)
+      .populate(ALLOCATION_POPULATE)
+      .sort({ subnet: 1, ipNumber: 1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    IpAllocation.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { allocations, total, page: Number(page), limit: Number(limit) },
+      "IP allocations fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ↩️ RELEASE ALLOCATION
+============================================================ */
+export const releaseAllocation = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw new apiError(400, "Invalid allocation ID");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const allocation = await IpAllocation.findById(req.params.id);
+  if (!allocation) throw new apiError(404, "Allocation not found");
+  if (!hasBranchAccess(currentUser, allocation.branch)) {
+    throw new apiError(403, "You do not have access to this branch network");
+  }
+
+  const released = await IpAllocation.findOneAndUpdate(
+    { _id: allocation._id, status: "active" },
+    { $set: { status: "released", releasedBy: currentUser._id, releasedAt: new Date() } },
+    { new: true }
+  );
+  if (!released) throw new apiError(400, "Allocation is already released");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, released, `${released.ipAddress} released`));
+});
+
+/* ============================================================
+   🔌 MAC REGISTRY
+============================================================ */
+export const registerMacAddress = asyncHandler(async (req, res) => {
+  const { asset: assetId, interfaceName } = req.body;
+  const macAddress = normalizeMac(req.body.macAddress);
+  if (!macAddress) throw new apiError(400, "Invalid MAC address");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const asset = await findAccessibleAsset(currentUser, assetId);
+
+  const owner = await MacAddress.findOne({ enterprise: asset.enterprise, macAddress, isActive: true })
+    .populate("asset", "assetTag");
+  if (owner) {
+    throw new apiError(409, `MAC ${macAddress} is already registered to asset ${owner.asset?.assetTag}`);
+  }
+
+  const entry = await MacAddress.create({
+    enterprise: asset.enterprise,
+    asset: asset._id,
+    macAddress,
+    interfaceName,
+    registeredBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, entry, "MAC address registered"));
+});
+
+export const getMacAddresses = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { branch, asset, search } = req.query;
+
+  // 🔹 Branch scope follows the asset's current branch (assets move between branches)
+  const assetIds = asset
+    ? [(await findAccessibleAsset(currentUser, asset))._id]
+    : await Asset.find({
+        branch: buildBranchFilter(currentUser, branch),
+        isDeleted: { $ne: true },
+      }).distinct("_id");
+
+  const filter = { asset: { $in: assetIds }, isActive: true };
+  if (search) {
+    // partial MACs match in any notation: "aabb", "AA-BB" and "AA:BB" all find AA:BB:...
+    const hex = search.replace(/[^0-9a-fA-F]/g, "").toUpperCase();
+    if (hex) filter.macAddress = { $regex: hex.match(/.{1,2}/g).join(":") };
+  }
+
+  const macs = await MacAddress.find(filter)
+    .populate("asset", "assetTag assetName branch")
+    .sort({ macAddress: 1 });
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { total: macs.length, macs }, "MAC addresses fetched successfully"));
+});
+
+export const removeMacAddress = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw new apiError(400, "Invalid MAC entry ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const entry = await MacAddress.findOne({ _id: req.params.id, isActive: true });
+  if (!entry) throw new apiError(404, "MAC entry not found");
+  await findAccessibleAsset(currentUser, entry.asset);
+
+  const inUse = await IpAllocation.find({
+    enterprise: entry.enterprise,
+    macAddress: entry.macAddress,
+    status: "active",
+  }).select("ipAddress");
+  if (inUse.length) {
+    throw new apiError(
+      400,
+      "Release the IP allocations using this MAC first",
+      inUse.map((a) => a.ipAddress)
+    );
+  }
+
+  entry.isActive = false;
+  await entry.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, entry, "MAC address removed"));
+});
+
+/* ============================================================
+   ⚠️ CONFLICT REPORT (duplicate IPs / MACs, statics in DHCP pools)
+============================================================ */
+export const getNetworkConflicts = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchFilter = buildBranchFilter(currentUser, req.query.branch);
+  const enterpriseIds = getAccessibleEnterpriseIds(currentUser).map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+
+  const [duplicateIps, duplicateMacs, macAllocations, subnets] = await Promise.all([
+    // same address live twice on one branch LAN (legacy imports, overlapping data)
+    IpAllocation.aggregate([
+      { $match: { branch: branchFilter, status: "active" } },
+      {
+        $group: {
+          _id: { branch: "$branch", ipAddress: "$ipAddress" },
+          allocations: { $push: { _id: "$_id", asset: "$asset", subnet: "$subnet" } },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ]),
+    // one NIC registered on several assets
+    MacAddress.aggregate([
+      { $match: { enterprise: { $in: enterpriseIds }, isActive: true } },
+      { $group: { _id: "$macAddress", assets: { $addToSet: "$asset" } } },
+      { $match: { "assets.1": { $exists: true } } },
+    ]),
+    // one MAC answering on allocations of different assets
+    IpAllocation.aggregate([
+      { $match: { branch: branchFilter, status: "active", macAddress: { $ne: null } } },
+      {
+        $group: {
+          _id: "$macAddress",
+          assets: { $addToSet: "$asset" },
+          ipAddresses: { $addToSet: "$ipAddress" },
+        },
+      },
+      { $match: { "assets.1": { $exists: true } } },
+    ]),
+    NetworkSubnet.find({ branch: branchFilter, "dhcpRange.start": { $exists: true, $ne: null } }),
+  ]);
+
+  // 🔹 Static addresses that drifted inside a DHCP pool (pool widened after allocation)
+  const staticsInDhcpPool = [];
+  for (const subnet of subnets) {
+    if (!subnet.dhcpRange?.start) continue;
+    const hits = await IpAllocation.find({
+      subnet: subnet._id,
+      status: "active",
+      type: { $ne: "dhcp-reservation" },
+      ipNumber: {
+        $gte: ipToNumber(subnet.dhcpRange.start),
+        $lte: ipToNumber(subnet.dhcpRange.end),
+      },
+    })
+      .select("ipAddress asset")
+      .populate("asset", "assetTag");
+    hits.forEach((a) => staticsInDhcpPool.push({ subnet: subnet.cidr, allocation: a }));
+  }
+
+  // 🔹 Registry duplicates are enterprise wide; keep those touching the caller's branches
+  const assetIds = [...duplicateMacs, ...macAllocations].flatMap((d) => d.assets).filter(Boolean);
+  const assets = await Asset.find({ _id: { $in: assetIds } }).select("assetTag assetName branch");
+  const assetMap = new Map(assets.map((a) => [a._id.toString(), a]));
+  const describe = (ids) => ids.map((id) => assetMap.get(id?.toString()) || id);
+
+  const visibleMacDuplicates = duplicateMacs
+    .map((d) => ({ macAddress: d._id, assets: describe(d.assets) }))
+    .filter((d) => d.assets.some((a) => a.branch && hasBranchAccess(currentUser, a.branch)));
+
+  const data = {
+    duplicateIps: duplicateIps.map((d) => ({ ...d._id, allocations: d.allocations })),
+    duplicateMacs: visibleMacDuplicates,
+    sharedMacAllocations: macAllocations.map((d) => ({
+      macAddress: d._id,
+      ipAddresses: d.ipAddresses,
+      assets: describe(d.assets),
+    })),
+    staticsInDhcpPool,
+  };
+  data.total =
+    data.duplicateIps.length +
+    data.duplicateMacs.length +
+    data.sharedMacAllocations.length +
+    data.staticsInDhcpPool.length;
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, data, "Network conflicts fetched successfully"));
+});
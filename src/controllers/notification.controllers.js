@@ -0,0 +1,69 @@
+// controllers/notification.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Notification } from "../models/notification.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+
+/* ============================================================
+   🔔 GET MY NOTIFICATIONS (branch scoped)
+============================================================ */
+export const getNotifications = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { type, branch, unread, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (type) filter.type = type;
+  if (unread === "true") filter.readBy = { $ne: currentUser._id };
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(filter)
+      .populate("branch", "branchName branchCode")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .lean(),
+    Notification.countDocuments(filter),
+  ]);
+
+  const data = notifications.map(({ readBy, ...n }) => ({
+    ...n,
+    isRead: (readBy || []).some((id) => id.toString() === currentUser._id.toString()),
+  }));
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { notifications: data, total, page: Number(page), limit: Number(limit) },
+      "Notifications fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✅ MARK NOTIFICATION AS READ
+============================================================ */
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid notification ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const notification = await Notification.findById(id).select("branch");
+  if (!notification) throw new apiError(404, "Notification not found");
+  if (!hasBranchAccess(currentUser, notification.branch)) {
+    throw new apiError(403, "You do not have access to this notification");
+  }
+
+  await Notification.updateOne({ _id: id }, { $addToSet: { readBy: currentUser._id } });
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id }, "Notification marked as read"));
+});
@@ -0,0 +1,208 @@
+// controllers/offboarding.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { AssetCustodyLog, CUSTODY_CONDITIONS } from "../models/assetCustodyLog.model.js";
+import { OffboardingCase, CHECKLIST_RESOLUTIONS } from "../models/offboardingCase.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { releaseSeats } from "../services/license.service.js";
+import { syncChecklist } from "../services/offboarding.service.js";
+
+const OFFBOARDING_POPULATE = [
+  { path: "user", select: "fullName userId department designation isActive isDeleted" },
+  { path: "branch", select: "branchName branchCode" },
+  { path: "initiatedBy", select: "fullName username" },
+  { path: "closedBy", select: "fullName username" },
+  { path: "items.asset", select: "assetTag assetName status assignedTo" },
+  { path: "items.resolvedBy", select: "fullName username" },
+];
+
+const findAccessibleCase = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid offboarding case ID");
+
+  const offboarding = await OffboardingCase.findById(id);
+  if (!offboarding) throw new apiError(404, "Offboarding case not found");
+
+  if (!hasBranchAccess(currentUser, offboarding.branch)) {
+    throw new apiError(403, "You do not have access to offboarding cases of this branch");
+  }
+  return offboarding;
+};
+
+/* ============================================================
+   🔍 GET ALL OFFBOARDING CASES
+============================================================ */
+export const getAllOffboardingCases = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status = "open", branch, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status !== "all") filter.status = status;
+
+  const [cases, total] = await Promise.all([
+    OffboardingCase.find(filter)
+      .populate(OFFBOARDING_POPULATE.slice(0, 3))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit))
+      .lean(),
+    OffboardingCase.countDocuments(filter),
+  ]);
+
+  const data = cases.map((c) => ({
+    ...c,
+    pendingItems: c.items.filter((i) => i.status === "pending").length,
+  }));
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { cases: data, total, page: Number(page), limit: Number(limit) },
+      "Offboarding cases fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE CASE (checklist refreshed first)
+============================================================ */
+export const getOffboardingCaseById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const offboarding = await findAccessibleCase(currentUser, req.params.id);
+
+  if (offboarding.status === "open") await syncChecklist(offboarding);
+  await offboarding.populate(OFFBOARDING_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, offboarding, "Offboarding case fetched successfully"));
+});
+
+/* ============================================================
+   ✅ RESOLVE CHECKLIST ITEM (returned / written-off)
+============================================================ */
+export const resolveChecklistItem = asyncHandler(async (req, res) => {
+  const { resolution, note, condition } = req.body;
+  if (!CHECKLIST_RESOLUTIONS.includes(resolution)) {
+    throw new apiError(400, `resolution must be one of ${CHECKLIST_RESOLUTIONS.join(", ")}`);
+  }
+  if (resolution === "written-off" && !note?.trim()) {
+    throw new apiError(400, "A note is required to write an item off");
+  }
+  if (condition && !CUSTODY_CONDITIONS.includes(condition)) {
+    throw new apiError(400, `condition must be one of ${CUSTODY_CONDITIONS.join(", ")}`);
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const offboarding = await findAccessibleCase(currentUser, req.params.id);
+  if (offboarding.status !== "open") throw new apiError(400, `Case is already ${offboarding.status}`);
+
+  const item = offboarding.items.id(req.params.itemId);
+  if (!item) throw new apiError(404, "Checklist item not found");
+  if (item.status !== "pending") throw new apiError(400, `Item is already ${item.status}`);
+
+  if (item.kind === "asset") {
+    const asset = await Asset.findById(item.asset);
+
+    // 🔹 Still with the leaver: check it in here (returned) or mark it missing (written off)
+    if (asset && asset.assignedTo?.toString() === offboarding.user.toString()) {
+      const released = await Asset.findOneAndUpdate(
+        { _id: asset._id, assignedTo: offboarding.user },
+        {
+          $set: {
+            status:
+              resolution === "written-off"
+                ? "missing"
+                : asset.status === "assigned"
+                  ? "available"
+                  : asset.status,
+            assignedTo: null,
+            assignedAt: null,
+            updatedBy: currentUser._id,
+          },
+        }
+      );
+      if (!released) throw new apiError(409, "Asset custody changed meanwhile. Refresh and retry");
+
+      await AssetCustodyLog.create({
+        asset: asset._id,
+        user: offboarding.user,
+        branch: asset.branch,
+        action: "return",
+        performedBy: currentUser._id,
+        condition,
+        note: resolution === "written-off" ? `Written off at offboarding: ${note}` : note,
+      });
+    }
+  } else {
+    await releaseSeats({ _id: item.licenseSeat }, currentUser._id, "user-offboarded");
+  }
+
+  // 🔒 Only flip the line if it is still pending in an open case
+  const updated = await OffboardingCase.findOneAndUpdate(
+    { _id: offboarding._id, status: "open", items: { $elemMatch: { _id: item._id, status: "pending" } } },
+    {
+      $set: {
+        "items.$.status": resolution,
+        "items.$.resolvedBy": currentUser._id,
+        "items.$.resolvedAt": new Date(),
+        "items.$.note": note,
+      },
+    },
+    { new: true }
+  );
+  if (!updated) throw new apiError(409, "Checklist changed meanwhile. Refresh and retry");
+
+  await updated.populate(OFFBOARDING_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, `Item marked ${resolution}`));
+});
+
+/* ============================================================
+   🏁 CLOSE CASE (every item returned or written off)
+============================================================ */
+export const closeOffboardingCase = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const offboarding = await findAccessibleCase(currentUser, req.params.id);
+  if (offboarding.status !== "open") throw new apiError(400, `Case is already ${offboarding.status}`);
+
+  await syncChecklist(offboarding);
+
+  const pending = offboarding.items.filter((i) => i.status === "pending");
+  if (pending.length) {
+    throw new apiError(
+      400,
+      `${pending.length} item(s) are still outstanding`,
+      pending.map((i) => i.label)
+    );
+  }
+
+  const closed = await OffboardingCase.findOneAndUpdate(
+    { _id: offboarding._id, status: "open", "items.status": { $ne: "pending" } },
+    {
+      $set: {
+        status: "closed",
+        closedBy: currentUser._id,
+        closedAt: new Date(),
+        closingNote: req.body.note,
+      },
+    },
+    { new: true }
+  );
+  if (!closed) throw new apiError(409, "Case changed meanwhile. Refresh and retry");
+
+  await closed.populate(OFFBOARDING_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, closed, "Offboarding case closed"));
+});
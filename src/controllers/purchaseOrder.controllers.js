@@ -0,0 +1,415 @@
+// controllers/purchaseOrder.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Asset } from "../models/asset.model.js";
+import { Consumable } from "../models/consumable.model.js";
+import { Enterprise } from "../models/enterprise.model.js";
+import { PurchaseOrder } from "../models/purchaseOrder.model.js";
+import { PurchaseRequisition } from "../models/purchaseRequisition.model.js";
+import {
+  getCurrentUserWithBranches,
+  hasBranchAccess,
+  buildBranchFilter,
+} from "../utils/branchAccess.helpers.js";
+import { resolveEnterpriseVendor } from "../utils/vendor.helpers.js";
+import { resolveCategoryAttributes } from "../utils/assetCategory.helpers.js";
+import { nextSequence, formatSequence } from "../utils/sequence.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+import { sumLines } from "../utils/purchase.helpers.js";
+import { addStock, revertAddedStock } from "../services/stock.service.js";
+
+const RECEIVABLE_STATUSES = ["issued", "partially-received"];
+
+const ORDER_POPULATE = [
+  { path: "branch", select: "branchName branchCode" },
+  { path: "vendor", select: "vendorName" },
+  { path: "requisition", select: "requisitionNo requestedBy" },
+  { path: "createdBy", select: "fullName username" },
+  { path: "lines.category", select: "name" },
+  { path: "lines.consumable", select: "name sku unit" },
+  { path: "receipts.receivedBy", select: "fullName username" },
+  { path: "receipts.lines.assets", select: "assetTag assetName" },
+];
+
+const findAccessibleOrder = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid purchase order ID");
+
+  const order = await PurchaseOrder.findById(id);
+  if (!order) throw new apiError(404, "Purchase order not found");
+
+  if (!hasBranchAccess(currentUser, order.branch)) {
+    throw new apiError(403, "You do not have access to this purchase order");
+  }
+  return order;
+};
+
+/* ============================================================
+   🟢 CREATE PURCHASE ORDER (from an approved requisition)
+============================================================ */
+export const createPurchaseOrder = asyncHandler(async (req, res) => {
+  const { requisitionId, vendorId, expectedDate, remarks } = req.body;
+  const costOverrides = parseJsonInput(req.body.lines, "lines") || [];
+
+  if (!mongoose.Types.ObjectId.isValid(requisitionId)) {
+    throw new apiError(400, "Invalid requisition ID");
+  }
+  if (!vendorId) throw new apiError(400, "Vendor is required");
+  if (!Array.isArray(costOverrides)) throw new apiError(400, "lines must be an array");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+
+  const requisition = await PurchaseRequisition.findById(requisitionId);
+  if (!requisition) throw new apiError(404, "Requisition not found");
+  if (!hasBranchAccess(currentUser, requisition.branch)) {
+    throw new apiError(403, "You do not have access to this requisition");
+  }
+  if (requisition.status !== "approved") {
+    throw new apiError(400, `Only approved requisitions can be ordered (this one is ${requisition.status})`);
+  }
+
+  const vendor = await resolveEnterpriseVendor(vendorId, requisition.enterprise);
+
+  // 🔹 Quoted unit costs replace the requisition estimates line by line
+  const costByLine = new Map();
+  const errors = [];
+  for (const [i, o] of costOverrides.entries()) {
+    const unitCost = Number(o?.unitCost);
+    if (!requisition.lines.id(o?.lineId)) errors.push(`lines[${i}]: lineId not on the requisition`);
+    else if (Number.isNaN(unitCost) || unitCost < 0) errors.push(`lines[${i}]: unitCost cannot be negative`);
+    else costByLine.set(o.lineId.toString(), unitCost);
+  }
+  if (errors.length) throw new apiError(400, "Invalid order lines", errors);
+
+  const lines = requisition.lines.map((l) => ({
+    _id: l._id, // keep requisition line ids so receipts can be traced back
+    itemType: l.itemType,
+    description: l.description,
+    category: l.category,
+    consumable: l.consumable,
+    make: l.make,
+    modelNo: l.modelNo,
+    quantity: l.quantity,
+    unitCost: costByLine.get(l._id.toString()) ?? l.estimatedUnitCost,
+  }));
+
+  const enterprise = await Enterprise.findById(requisition.enterprise).select("purchaseOrderPrefix");
+  const seq = await nextSequence(`purchase-order:${requisition.enterprise}`);
+
+  const order = await PurchaseOrder.create({
+    enterprise: requisition.enterprise,
+    branch: requisition.branch,
+    poNumber: formatSequence(enterprise?.purchaseOrderPrefix || "PO", seq),
+    requisition: requisition._id,
+    vendor,
+    lines,
+    totalAmount: sumLines(lines, "unitCost"),
+    expectedDate: expectedDate || null,
+    remarks,
+    createdBy: currentUser._id,
+  });
+
+  // 🔒 One PO per requisition: roll back if someone else ordered or cancelled it meanwhile
+  const claimed = await PurchaseRequisition.findOneAndUpdate(
+    { _id: requisition._id, status: "approved" },
+    { $set: { status: "ordered", purchaseOrder: order._id } }
+  );
+  if (!claimed) {
+    await PurchaseOrder.deleteOne({ _id: order._id });
+    throw new apiError(409, "Requisition changed meanwhile. Refresh and retry");
+  }
+
+  await order.populate(ORDER_POPULATE);
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, order, `Purchase order ${order.poNumber} issued`));
+});
+
+/* ============================================================
+   🔍 GET ALL PURCHASE ORDERS
+============================================================ */
+export const getAllPurchaseOrders = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, branch, vendor, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = { branch: buildBranchFilter(currentUser, branch) };
+  if (status) filter.status = status;
+  if (vendor) filter.vendor = vendor;
+
+  const [orders, total] = await Promise.all([
+    PurchaseOrder.find(filter)
+      .select("-receipts")
+      .populate(ORDER_POPULATE.slice(0, 4))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    PurchaseOrder.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { orders, total, page: Number(page), limit: Number(limit) },
+      "Purchase orders fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE PURCHASE ORDER
+============================================================ */
+export const getPurchaseOrderById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const order = await findAccessibleOrder(currentUser, req.params.id);
+
+  await order.populate(ORDER_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, order, "Purchase order fetched successfully"));
+});
+
+/* ============================================================
+   📦 RECEIVE GOODS (asset lines → assets, consumable lines → stock)
+============================================================ */
+export const receiveGoods = asyncHandler(async (req, res) => {
+  const { reference, note } = req.body;
+  const rawLines = parseJsonInput(req.body.lines, "lines");
+  if (!Array.isArray(rawLines) || !rawLines.length) {
+    throw new apiError(400, "lines must be a non-empty array");
+  }
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const order = await findAccessibleOrder(currentUser, req.params.id);
+  if (!RECEIVABLE_STATUSES.includes(order.status)) {
+    throw new apiError(400, `Cannot receive against a ${order.status} purchase order`);
+  }
+
+  // 🔹 Validate every line before anything is written
+  const errors = [];
+  const plans = [];
+  const seenLines = new Set();
+  const newTags = new Set();
+
+  for (const [i, raw] of rawLines.entries()) {
+    const label = `lines[${i}]`;
+    const line = order.lines.id(raw?.lineId);
+    if (!line) {
+      errors.push(`${label}: lineId not on this purchase order`);
+      continue;
+    }
+    if (seenLines.has(line._id.toString())) {
+      errors.push(`${label}: line listed twice`);
+      continue;
+    }
+    seenLines.add(line._id.toString());
+
+    const quantity = Number(raw.quantity);
+    const remaining = line.quantity - line.receivedQuantity;
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${label}: quantity must be a whole number of at least 1`);
+      continue;
+    }
+    if (quantity > remaining) {
+      errors.push(`${label}: only ${remaining} left to receive`);
+      continue;
+    }
+
+    const plan = { line, quantity };
+
+    if (line.itemType === "asset") {
+      const tags = Array.isArray(raw.assetTags) ? raw.assetTags : [];
+      const serials = Array.isArray(raw.serialNumbers) ? raw.serialNumbers : [];
+      if (tags.length && tags.length !== quantity) {
+        errors.push(`${label}: assetTags must have one tag per unit received`);
+        continue;
+      }
+
+      const lineNo = order.lines.indexOf(line) + 1;
+      plan.units = Array.from({ length: quantity }, (_, n) => ({
+        assetTag: (tags[n] || `${order.poNumber}-${lineNo}-${line.receivedQuantity + n + 1}`)
+          .toString()
+          .trim()
+          .toUpperCase(),
+        serialNumber: serials[n],
+      }));
+
+      for (const { assetTag } of plan.units) {
+        if (newTags.has(assetTag)) errors.push(`${label}: asset tag ${assetTag} repeated`);
+        newTags.add(assetTag);
+      }
+
+      try {
+        ({ attributes: plan.attributes } = await resolveCategoryAttributes(
+          line.category,
+          order.enterprise,
+          raw.attributes
+        ));
+      } catch (error) {
+        if (!(error instanceof apiError)) throw error;
+        errors.push(`${label}: ${error.message}`, ...(error.errors || []));
+      }
+    } else {
+      plan.consumable = await Consumable.findById(line.consumable);
+      if (!plan.consumable) errors.push(`${label}: consumable no longer exists`);
+    }
+
+    plans.push(plan);
+  }
+
+  if (newTags.size) {
+    const taken = await Asset.find({
+      enterprise: order.enterprise,
+      assetTag: { $in: [...newTags] },
+      isDeleted: { $ne: true },
+    }).select("assetTag");
+    for (const t of taken) errors.push(`Asset tag ${t.assetTag} already exists`);
+  }
+
+  if (errors.length) throw new apiError(400, "Invalid receipt", errors);
+
+  // 🔒 Reserve quantities atomically so concurrent receipts cannot overshoot a line
+  const reserved = [];
+  const releaseReservations = () =>
+    Promise.all(
+      reserved.map((p) =>
+        PurchaseOrder.updateOne(
+          { _id: order._id, "lines._id": p.line._id },
+          { $inc: { "lines.$.receivedQuantity": -p.quantity } }
+        )
+      )
+    );
+
+  for (const plan of plans) {
+    const ok = await PurchaseOrder.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: { $in: RECEIVABLE_STATUSES },
+        lines: {
+          $elemMatch: {
+            _id: plan.line._id,
+            receivedQuantity: { $lte: plan.line.quantity - plan.quantity },
+          },
+        },
+      },
+      { $inc: { "lines.$.receivedQuantity": plan.quantity } }
+    );
+    if (!ok) {
+      await releaseReservations();
+      throw new apiError(409, "Purchase order changed meanwhile. Refresh and retry");
+    }
+    reserved.push(plan);
+  }
+
+  // 🔹 Create assets first (they can fail on a tag race), then add stock; any failure undoes both
+  const receivedAt = new Date();
+  const createdAssetIds = [];
+  const stockEntries = [];
+  const receiptLines = [];
+
+  try {
+    for (const plan of plans.filter((p) => p.line.itemType === "asset")) {
+      const assets = [];
+      for (const unit of plan.units) {
+        const asset = await Asset.create({
+          enterprise: order.enterprise,
+          branch: order.branch,
+          vendor: order.vendor,
+          assetTag: unit.assetTag,
+          serialNumber: unit.serialNumber,
+          assetName: plan.line.description,
+          category: plan.line.category,
+          attributes: plan.attributes,
+          make: plan.line.make,
+          modelNo: plan.line.modelNo,
+          status: "available",
+          purchaseDate: receivedAt,
+          purchaseCost: plan.line.unitCost,
+          remarks: `Received against ${order.poNumber}`,
+          createdBy: currentUser._id,
+        });
+        createdAssetIds.push(asset._id);
+        assets.push(asset._id);
+      }
+      receiptLines.push({ line: plan.line._id, quantity: plan.quantity, assets });
+    }
+
+    for (const plan of plans.filter((p) => p.line.itemType === "consumable")) {
+      const entry = await addStock({
+        consumable: plan.consumable,
+        branchId: order.branch,
+        quantity: plan.quantity,
+        performedBy: currentUser._id,
+        vendor: order.vendor,
+        unitCost: plan.line.unitCost,
+        reference: order.poNumber,
+        note,
+      });
+      stockEntries.push(entry);
+      receiptLines.push({ line: plan.line._id, quantity: plan.quantity, ledgerEntry: entry._id });
+    }
+  } catch (error) {
+    // 🔙 Nothing of a failed receipt may stay behind: assets, stock or reserved quantities
+    await Asset.deleteMany({ _id: { $in: createdAssetIds } });
+    for (const entry of stockEntries) await revertAddedStock(entry);
+    await releaseReservations();
+    if (error?.code === 11000) throw new apiError(409, "An asset tag was taken meanwhile. Retry");
+    throw error;
+  }
+
+
+  // 🔹 Record the receipt and settle the status from the fresh line totals
+  const updated = await PurchaseOrder.findByIdAndUpdate(
+    order._id,
+    {
+      $push: {
+        receipts: { receivedBy: currentUser._id, receivedAt, reference, note, lines: receiptLines },
+      },
+    },
+    { new: true }
+  );
+  updated.status = updated.lines.every((l) => l.receivedQuantity >= l.quantity)
+    ? "received"
+    : "partially-received";
+  await updated.save();
+
+  await updated.populate(ORDER_POPULATE);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { order: updated, createdAssets: createdAssetIds.length },
+      `Goods received against ${updated.poNumber}`
+    )
+  );
+});
+
+/* ============================================================
+   ❌ CANCEL PURCHASE ORDER (nothing received yet)
+============================================================ */
+export const cancelPurchaseOrder = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const order = await findAccessibleOrder(currentUser, req.params.id);
+
+  const cancelled = await PurchaseOrder.findOneAndUpdate(
+    { _id: order._id, status: "issued", "lines.receivedQuantity": { $not: { $gt: 0 } } },
+    { $set: { status: "cancelled", cancelledBy: currentUser._id } },
+    { new: true }
+  );
+  if (!cancelled) {
+    throw new apiError(400, "Only purchase orders with nothing received can be cancelled");
+  }
+
+  // 🔹 Hand the requisition back so a new PO can be raised against it
+  await PurchaseRequisition.updateOne(
+    { _id: order.requisition, purchaseOrder: order._id },
+    { $set: { status: "approved", purchaseOrder: null } }
+  );
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, cancelled, "Purchase order cancelled"));
+});
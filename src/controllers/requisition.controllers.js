@@ -0,0 +1,233 @@
+// controllers/requisition.controllers.js
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Branch } from "../models/branch.model.js";
+import { PurchaseRequisition } from "../models/purchaseRequisition.model.js";
+import {
+  getCurrentUserWithBranches,
+  buildBranchFilter,
+  resolveTargetBranch,
+} from "../utils/branchAccess.helpers.js";
+import {
+  findApproverInChain,
+  findVisibleApprovalDoc,
+  assertCurrentApprover,
+} from "../utils/approval.helpers.js";
+import { isSameUser } from "../utils/user.helpers.js";
+import { nextSequence, formatSequence } from "../utils/sequence.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+import { normalizeRequisitionLines, sumLines } from "../utils/purchase.helpers.js";
+
+const APPROVE_PERMISSION = "approve_requisition";
+
+const REQUISITION_POPULATE = [
+  { path: "branch", select: "branchName branchCode" },
+  { path: "requestedBy", select: "fullName username" },
+  { path: "currentApprover", select: "fullName username" },
+  { path: "approvals.approver", select: "fullName username" },
+  { path: "lines.category", select: "name" },
+  { path: "lines.consumable", select: "name sku unit" },
+  { path: "purchaseOrder", select: "poNumber status" },
+];
+
+const findVisibleRequisition = (currentUser, id) =>
+  findVisibleApprovalDoc(PurchaseRequisition, currentUser, id, "requisition");
+
+const assertAwaitingApprover = (currentUser, requisition) =>
+  assertCurrentApprover(currentUser, requisition, APPROVE_PERMISSION, "requisition");
+
+/**
+ * Record an approver's decision only if the requisition is still waiting on them.
+ */
+const recordDecision = async (requisition, currentUser, set, action, note) => {
+  const updated = await PurchaseRequisition.findOneAndUpdate(
+    { _id: requisition._id, status: "pending", currentApprover: currentUser._id },
+    { $set: set, $push: { approvals: { approver: currentUser._id, action, note } } },
+    { new: true }
+  );
+  if (!updated) throw new apiError(409, "Requisition changed meanwhile. Refresh and retry");
+  await updated.populate(REQUISITION_POPULATE);
+  return updated;
+};
+
+/* ============================================================
+   🟢 RAISE REQUISITION
+============================================================ */
+export const raiseRequisition = asyncHandler(async (req, res) => {
+  const { branch, justification } = req.body;
+  const rawLines = parseJsonInput(req.body.lines, "lines");
+
+  if (!justification?.trim()) throw new apiError(400, "Justification is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const branchId = resolveTargetBranch(currentUser, branch);
+  const branchDoc = await Branch.findById(branchId).select("enterprise");
+  if (!branchDoc) throw new apiError(404, "Branch not found");
+
+  const lines = await normalizeRequisitionLines(rawLines, branchDoc.enterprise);
+
+  // 🔹 Route to the first approve_requisition holder up the requester's reporting chain
+  const approver = await findApproverInChain(currentUser._id, APPROVE_PERMISSION);
+  if (!approver) {
+    throw new apiError(400, "Nobody in your reporting chain can approve requisitions");
+  }
+
+  const seq = await nextSequence(`requisition:${branchDoc.enterprise}`);
+
+  const requisition = await PurchaseRequisition.create({
+    enterprise: branchDoc.enterprise,
+    branch: branchDoc._id,
+    requisitionNo: formatSequence("PR", seq),
+    requestedBy: currentUser._id,
+    justification,
+    lines,
+    estimatedTotal: sumLines(lines, "estimatedUnitCost"),
+    currentApprover: approver._id,
+  });
+
+  await requisition.populate(REQUISITION_POPULATE);
+
+  return res.status(201).json(
+    new apiResponse(
+      201,
+      requisition,
+      `Requisition ${requisition.requisitionNo} sent to ${approver.fullName} for approval`
+    )
+  );
+});
+
+/* ============================================================
+   🔍 GET ALL REQUISITIONS (?pendingWithMe=true for approvers)
+============================================================ */
+export const getAllRequisitions = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { status, branch, pendingWithMe, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  // approvers may sit in another branch, so their inbox is not branch scoped
+  const filter =
+    pendingWithMe === "true"
+      ? { currentApprover: currentUser._id, status: "pending" }
+      : { branch: buildBranchFilter(currentUser, branch) };
+  if (status && pendingWithMe !== "true") filter.status = status;
+
+  const [requisitions, total] = await Promise.all([
+    PurchaseRequisition.find(filter)
+      .populate(REQUISITION_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(Number(limit)),
+    PurchaseRequisition.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { requisitions, total, page: Number(page), limit: Number(limit) },
+      "Requisitions fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   👁️ GET SINGLE REQUISITION
+============================================================ */
+export const getRequisitionById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const requisition = await findVisibleRequisition(currentUser, req.params.id);
+
+  await requisition.populate(REQUISITION_POPULATE);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, requisition, "Requisition fetched successfully"));
+});
+
+/* ============================================================
+   ✅ APPROVE / ⛔ REJECT / ⤴️ ESCALATE
+============================================================ */
+export const approveRequisition = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const requisition = await findVisibleRequisition(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, requisition);
+
+  const updated = await recordDecision(
+    requisition,
+    currentUser,
+    { status: "approved", currentApprover: null },
+    "approved",
+    req.body.note
+  );
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, "Requisition approved"));
+});
+
+export const rejectRequisition = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+  if (!note?.trim()) throw new apiError(400, "A rejection note is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const requisition = await findVisibleRequisition(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, requisition);
+
+  const updated = await recordDecision(
+    requisition,
+    currentUser,
+    { status: "rejected", currentApprover: null },
+    "rejected",
+    note
+  );
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, "Requisition rejected"));
+});
+
+export const escalateRequisition = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const requisition = await findVisibleRequisition(currentUser, req.params.id);
+  assertAwaitingApprover(currentUser, requisition);
+
+  const nextApprover = await findApproverInChain(currentUser._id, APPROVE_PERMISSION);
+  if (!nextApprover) {
+    throw new apiError(400, "Nobody above you in the reporting chain can approve requisitions");
+  }
+
+  const updated = await recordDecision(
+    requisition,
+    currentUser,
+    { currentApprover: nextApprover._id },
+    "escalated",
+    req.body.note
+  );
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, updated, `Requisition escalated to ${nextApprover.fullName}`));
+});
+
+/* ============================================================
+   ❌ CANCEL (requester only, before a PO is raised)
+============================================================ */
+export const cancelRequisition = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const requisition = await findVisibleRequisition(currentUser, req.params.id);
+
+  if (!isSameUser(requisition.requestedBy, currentUser._id)) {
+    throw new apiError(403, "Only the requester can cancel a requisition");
+  }
+
+  const cancelled = await PurchaseRequisition.findOneAndUpdate(
+    { _id: requisition._id, status: { $in: ["pending", "approved"] } },
+    { $set: { status: "cancelled", currentApprover: null } },
+    { new: true }
+  );
+  if (!cancelled) throw new apiError(400, `Requisition is already ${requisition.status}`);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, cancelled, "Requisition cancelled"));
+});
@@ -0,0 +1,144 @@
+// controllers/session.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { User } from "../models/user.model.js";
+import { UserLogin } from "../models/userLogin.model.js";
+import { UserRole } from "../models/userRole.model.js";
+import { getCurrentUserWithBranches, hasBranchAccess } from "../utils/branchAccess.helpers.js";
+import { isSeniorRole } from "../utils/user.helpers.js";
+import { describeSessions, getDeviceLimit, revokeDevice } from "../services/session.service.js";
+
+const loadLogin = async (userId) => {
+  const login = await UserLogin.findOne({ user: userId });
+  if (!login) throw new apiError(404, "Login record not found");
+  return login;
+};
+
+/**
+ * Target user for the admin endpoints: someone else, in a reachable branch,
+ * whose role is junior to the caller's (higher roleLevel number).
+ */
+const loadManagedUser = async (req) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid user ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  if (currentUser._id.toString() === id) {
+    throw new apiError(400, "Use /auth/sessions for your own devices");
+  }
+
+  const targetUser = await User.findOne({ _id: id, isDeleted: { $ne: true } })
+    .select("fullName userId branch role")
+    .populate("role", "roleName roleLevel maxAllowedDevices");
+  if (!targetUser) throw new apiError(404, "User not found");
+
+  if (!hasBranchAccess(currentUser, targetUser.branch)) {
+    throw new apiError(403, "You do not have access to users of this branch");
+  }
+  if (!isSeniorRole(currentUser.role, targetUser.role)) {
+    throw new apiError(403, "You can only manage sessions of users below your role level");
+  }
+  return targetUser;
+};
+
+/* ============================================================
+   🖥️ MY SESSIONS
+============================================================ */
+export const getMySessions = asyncHandler(async (req, res) => {
+  const login = await loadLogin(req.user._id);
+  const role = await UserRole.findById(req.user.role?._id || req.user.role).select("maxAllowedDevices");
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        maxAllowedDevices: getDeviceLimit(login, role),
+        sessions: describeSessions(login, req.deviceId),
+      },
+      "Sessions fetched successfully"
+    )
+  );
+});
+
+export const revokeMySession = asyncHandler(async (req, res) => {
+  const revoked = await revokeDevice(req.user._id, req.params.deviceId);
+  if (!revoked) throw new apiError(404, "Device not found");
+
+  const isCurrent = req.params.deviceId === req.deviceId;
+  if (isCurrent) {
+    res.clearCookie("accessToken");
+    res.clearCookie("refreshToken");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new apiResponse(
+        200,
+        { deviceId: req.params.deviceId, current: isCurrent },
+        "Device signed out"
+      )
+    );
+});
+
+/* ============================================================
+   🛠️ ADMIN: SESSIONS OF A JUNIOR USER
+============================================================ */
+export const getUserSessions = asyncHandler(async (req, res) => {
+  const targetUser = await loadManagedUser(req);
+  const login = await loadLogin(targetUser._id);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        user: { _id: targetUser._id, fullName: targetUser.fullName, userId: targetUser.userId },
+        maxAllowedDevices: getDeviceLimit(login, targetUser.role),
+        userDeviceLimit: login.maxAllowedDevices,
+        roleDeviceLimit: targetUser.role?.maxAllowedDevices ?? null,
+        sessions: describeSessions(login),
+      },
+      "User sessions fetched successfully"
+    )
+  );
+});
+
+export const revokeUserSession = asyncHandler(async (req, res) => {
+  const targetUser = await loadManagedUser(req);
+
+  const revoked = await revokeDevice(targetUser._id, req.params.deviceId);
+  if (!revoked) throw new apiError(404, "Device not found");
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { deviceId: req.params.deviceId }, `Device of ${targetUser.fullName} signed out`));
+});
+
+/* ============================================================
+   🔢 ADMIN: PER-USER DEVICE LIMIT
+============================================================ */
+export const setUserDeviceLimit = asyncHandler(async (req, res) => {
+  const limit = Number(req.body.maxAllowedDevices);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 20) {
+    throw new apiError(400, "maxAllowedDevices must be a whole number between 1 and 20");
+  }
+
+  const targetUser = await loadManagedUser(req);
+  const login = await loadLogin(targetUser._id);
+
+  login.maxAllowedDevices = limit;
+  await login.save({ validateBeforeSave: false });
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        userDeviceLimit: limit,
+        maxAllowedDevices: getDeviceLimit(login, targetUser.role),
+      },
+      "Device limit updated"
+    )
+  );
+});
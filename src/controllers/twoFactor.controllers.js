@@ -0,0 +1,178 @@
+// controllers/twoFactor.controllers.js
+import mongoose from "mongoose";
+import bcrypt from "bcrypt";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { User } from "../models/user.model.js";
+import { UserLogin } from "../models/userLogin.model.js";
+import { UserRole } from "../models/userRole.model.js";
+import { getCurrentUserWithBranches, hasBranchAccess } from "../utils/branchAccess.helpers.js";
+import {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateBackupCodes,
+  clearTwoFactor,
+} from "../services/twoFactor.service.js";
+import { getLockMessage, registerFailedAttempt, clearLockout } from "../services/lockout.service.js";
+import { revokeUserSessions } from "../services/session.service.js";
+import { isSeniorRole } from "../utils/user.helpers.js";
+
+const loadOwnLogin = async (userId, extraFields = "") => {
+  const login = await UserLogin.findOne({ user: userId }).select(
+    `${TWO_FACTOR_SECRET_FIELDS} ${extraFields}`.trim()
+  );
+  if (!login) throw new apiError(404, "Login record not found");
+  return login;
+};
+
+const isRequiredFor = async (user) =>
+  isTwoFactorRequired(await UserRole.findById(user.role?._id || user.role).select("roleName requireTwoFactor"));
+
+/* ============================================================
+   🔍 MY 2FA STATUS
+============================================================ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const login = await loadOwnLogin(req.user._id);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        enabled: login.twoFactor.enabled,
+        enabledAt: login.twoFactor.enabledAt,
+        backupCodesLeft: login.twoFactor.backupCodes?.length || 0,
+        requiredByRole: await isRequiredFor(req.user),
+      },
+      "Two-factor status fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   🟢 ENROL (setup → enable with first code)
+============================================================ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const login = await loadOwnLogin(req.user._id);
+  if (login.twoFactor.enabled) throw new apiError(400, "Two-factor authentication is already enabled");
+
+  const provisioning = await beginEnrollment(login);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, provisioning, "Scan the QR code, then confirm a code to enable"));
+});
+
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  if (!req.body.code) throw new apiError(400, "Code is required");
+
+  const login = await loadOwnLogin(req.user._id);
+  if (login.twoFactor.enabled) throw new apiError(400, "Two-factor authentication is already enabled");
+  if (!login.twoFactor.pendingSecret) throw new apiError(400, "Start the two-factor setup first");
+
+  const backupCodes = await confirmEnrollment(login, req.body.code);
+  if (!backupCodes) throw new apiError(400, "Invalid code. Check the time on your device and retry");
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { enabled: true, backupCodes },
+      "Two-factor authentication enabled. Store the backup codes safely; they are shown once"
+    )
+  );
+});
+
+/* ============================================================
+   🚫 DISABLE (password + code; not allowed for 2FA roles)
+============================================================ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+  if (!password) throw new apiError(400, "Password is required");
+
+  if (await isRequiredFor(req.user)) {
+    throw new apiError(403, "Your role requires two-factor authentication");
+  }
+
+  const login = await loadOwnLogin(req.user._id, "+password");
+  if (!login.twoFactor.enabled) throw new apiError(400, "Two-factor authentication is not enabled");
+
+  // 🚫 Password and code guesses count towards the lockout policy
+  const lockMessage = getLockMessage(login);
+  if (lockMessage) throw new apiError(403, lockMessage);
+
+  if (!(await bcrypt.compare(password, login.password))) {
+    const failure = await registerFailedAttempt(login, req.user);
+    throw new apiError(failure.status, `Incorrect password. ${failure.message}`);
+  }
+  if (!verifySecondFactor(login, { code, backupCode })) {
+    const failure = await registerFailedAttempt(login, req.user);
+    throw new apiError(failure.status, `Valid two-factor code required. ${failure.message}`);
+  }
+
+  clearLockout(login);
+  await clearTwoFactor(login);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { enabled: false }, "Two-factor authentication disabled"));
+});
+
+/* ============================================================
+   🔁 NEW BACKUP CODES
+============================================================ */
+export const regenerateTwoFactorBackupCodes = asyncHandler(async (req, res) => {
+  const login = await loadOwnLogin(req.user._id);
+  if (!login.twoFactor.enabled) throw new apiError(400, "Two-factor authentication is not enabled");
+
+  const lockMessage = getLockMessage(login);
+  if (lockMessage) throw new apiError(403, lockMessage);
+
+  if (!verifySecondFactor(login, { code: req.body.code })) {
+    const failure = await registerFailedAttempt(login, req.user);
+    throw new apiError(failure.status, `Valid authenticator code required. ${failure.message}`);
+  }
+  clearLockout(login);
+
+  const backupCodes = await regenerateBackupCodes(login);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { backupCodes }, "Backup codes replaced; old codes no longer work"));
+});
+
+/* ============================================================
+   🛠️ ADMIN RESET (lost phone) – user re-enrols at next login
+============================================================ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid user ID");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  if (currentUser._id.toString() === id) {
+    throw new apiError(400, "You cannot reset your own two-factor authentication");
+  }
+
+  const targetUser = await User.findOne({ _id: id, isDeleted: { $ne: true } })
+    .select("fullName branch role")
+    .populate("role", "roleName roleLevel");
+  if (!targetUser) throw new apiError(404, "User not found");
+  if (!hasBranchAccess(currentUser, targetUser.branch)) {
+    throw new apiError(403, "You do not have access to users of this branch");
+  }
+  if (!isSeniorRole(currentUser.role, targetUser.role)) {
+    throw new apiError(403, "You can only reset two-factor for users below your role level");
+  }
+
+  const login = await loadOwnLogin(targetUser._id);
+  await clearTwoFactor(login);
+
+  // 🚪 Sessions opened with the old authenticator must log in (and enrol) again
+  await revokeUserSessions([targetUser._id]);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: targetUser._id }, `Two-factor reset for ${targetUser.fullName}`));
+});
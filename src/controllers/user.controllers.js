@@ -6,6 +6,10 @@ import { apiResponse } from "../utils/apiResponse.js";
 import { User } from "../models/user.model.js";
 import { UserLogin } from "../models/userLogin.model.js";
 import { UserRole } from "../models/userRole.model.js"; // ✅ Ensure this import
+import { resolveBranchLocation } from "../utils/location.helpers.js";
+import { startOffboarding, cancelOffboarding } from "../services/offboarding.service.js";
+import { revokeUserSessions, invalidateSessionCache } from "../services/session.service.js";
+import { getPasswordPolicy, assertPasswordPolicy } from "../services/password.service.js";
 
 /* ============================================================
    🟢 REGISTER USER (Full permission + branch logic)
@@ -20,6 +24,7 @@ export const registerUser = asyncHandler(async (req, res) => {
     phoneNo,
     email,
     branch,
+    location,
     department,
     designation,
     isActive,
@@ -88,6 +93,9 @@ export const registerUser = asyncHandler(async (req, res) => {
     );
   }
 
+  // 🔹 Optional location must be inside the chosen branch
+  const finalLocation = await resolveBranchLocation(location, finalBranch);
+
   // ============================================================
   // 🔹 Default Role Assignment ('user')
   // ============================================================
@@ -105,6 +113,11 @@ export const registerUser = asyncHandler(async (req, res) => {
   if (phoneNo && (await User.findOne({ phoneNo, isDeleted: { $ne: true } })))
     throw new apiError(409, "Phone number already exists");
 
+  // 🔑 Enterprise password rules, before anything is written
+  if (loginAllowed && finalRoleName !== "user" && password?.trim()) {
+    await assertPasswordPolicy(password, await getPasswordPolicy({ branch: finalBranch }));
+  }
+
   // ============================================================
   // 🔹 Create User Record
   // ============================================================
@@ -115,6 +128,7 @@ export const registerUser = asyncHandler(async (req, res) => {
     username: username?.toLowerCase(),
     role: finalRole,
     branch: finalBranch,
+    location: finalLocation,
     canLogin: loginAllowed,
     email,
     phoneNo,
@@ -142,6 +156,7 @@ export const registerUser = asyncHandler(async (req, res) => {
       user: newUser._id,
       username: username.toLowerCase(),
       password,
+      mustChangePassword: true, // admin-chosen password: user replaces it at first login
     });
   }
 
@@ -335,6 +350,7 @@ export const updateUser = asyncHandler(async (req, res) => {
     department,
     designation,
     branch,
+    location,
     remarks,
     role,
     canLogin,
@@ -400,6 +416,7 @@ export const updateUser = asyncHandler(async (req, res) => {
     if (!hasAccessToNewBranch)
       throw new apiError(403, "You cannot assign user to this branch");
 
+    if (user.branch?._id?.toString() !== branch.toString()) user.location = null;
     user.branch = branch;
 
     // auto-add new branch into assignedBranches if not already present
@@ -408,8 +425,14 @@ export const updateUser = asyncHandler(async (req, res) => {
       user.assignedBranches.push(branch);
     }
   }
+  if (location !== undefined) {
+    user.location = await resolveBranchLocation(location, user.branch);
+  }
   if (remarks) user.remarks = remarks;
-  if (role) user.role = role;
+  // 🎫 Role changes must sign the user out, which only the change-role endpoint does
+  if (role && role.toString() !== user.role?.toString()) {
+    throw new apiError(400, "Role cannot be changed here. Use PUT /users/change-role instead");
+  }
 
   // ============================================================
   // 🔹 Handle Login Logic
@@ -424,17 +447,28 @@ export const updateUser = asyncHandler(async (req, res) => {
     if (!password && !loginDoc)
       throw new apiError(400, "Password required for first-time login setup");
 
+    // 🔑 Enterprise password rules (reuse is checked against the existing login)
+    if (password) {
+      await assertPasswordPolicy(password, await getPasswordPolicy(user), { loginId: loginDoc?._id });
+    }
+
     if (loginDoc) {
       // update existing login
       loginDoc.username = username.toLowerCase();
-      if (password) loginDoc.password = password;
+      if (password) {
+        loginDoc.password = password;
+        // 🔑 Password set by someone else must be replaced by its owner
+        loginDoc.mustChangePassword = user._id.toString() !== currentUser._id.toString();
+      }
       await loginDoc.save();
+      invalidateSessionCache(user._id);
     } else {
       // create new login
       await UserLogin.create({
         user: user._id,
         username: username.toLowerCase(),
         password,
+        mustChangePassword: true,
       });
     }
   } else {
@@ -502,10 +536,21 @@ export const toggleUserStatus = asyncHandler(async (req, res) => {
   targetUser.updatedBy = currentUser._id;
   await targetUser.save();
 
+  // 🧾 Deactivation starts offboarding; reactivation cancels the open case
+  const offboarding = targetUser.isActive
+    ? await cancelOffboarding(targetUser._id, currentUser._id)
+    : (await startOffboarding(targetUser, currentUser._id, "deactivated")).offboarding;
+
   return res.status(200).json(
     new apiResponse(
       200,
-      { id: targetUser._id, isActive: targetUser.isActive },
+      {
+        id: targetUser._id,
+        isActive: targetUser.isActive,
+        offboarding: offboarding
+          ? { id: offboarding._id, status: offboarding.status, items: offboarding.items.length }
+          : null,
+      },
       `User ${targetUser.isActive ? "activated" : "disabled"} successfully`
     )
   );
@@ -556,11 +601,33 @@ export const deleteUser = asyncHandler(async (req, res) => {
   targetUser.deletedBy = currentUser._id;
   await targetUser.save();
 
+  // 🧾 Revoke sessions, give license seats back and open the return checklist
+  const { offboarding, releasedSeats } = await startOffboarding(
+    targetUser,
+    currentUser._id,
+    "deleted"
+  );
+
   // 🗑️ Remove associated login record
   await UserLogin.deleteOne({ user: targetUser._id });
 
   return res.status(200).json(
-    new apiResponse(200, { id: targetUser._id }, "User soft-deleted successfully")
+    new apiResponse(
+      200,
+      {
+        id: targetUser._id,
+        offboarding: {
+          id: offboarding._id,
+          pendingItems: offboarding.items.filter((i) => i.status === "pending").length,
+        },
+        releasedLicenseSeats: releasedSeats.map((s) => ({
+          seat: s._id,
+          license: s.license._id,
+          productName: s.license.productName,
+        })),
+      },
+      "User soft-deleted successfully"
+    )
   );
 });
 
@@ -608,6 +675,8 @@ export const restoreUser = asyncHandler(async (req, res) => {
   targetUser.deletedBy = null;
   await targetUser.save();
 
+  await cancelOffboarding(targetUser._id, currentUser._id);
+
   return res
     .status(200)
     .json(new apiResponse(200, targetUser, "User restored successfully"));
@@ -679,10 +748,14 @@ export const changeUserRole = asyncHandler(async (req, res) => {
   }
 
   // ✅ 4. Update user’s role
+  const roleChanged = user.role?.toString() !== newRole._id.toString();
   user.role = newRole._id;
   user.updatedBy = req.user?._id || null;
   await user.save();
 
+  // 🎫 Tokens still carry the old role: sign the user out everywhere
+  if (roleChanged) await revokeUserSessions([user._id]);
+
   // ✅ 5. Populate for response
   const updatedUser = await User.findById(userId)
     .populate("role", "roleName description isActive")
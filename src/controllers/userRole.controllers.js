@@ -15,7 +15,8 @@ import { ALL_PERMISSIONS } from "../config/permissions.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
 export const createUserRole = asyncHandler(async (req, res) => {
-  const { roleName, description, permissions = [], enterprise } = req.body;
+  const { roleName, description, permissions = [], enterprise, requireTwoFactor, maxAllowedDevices } =
+    req.body;
 
   if (!roleName?.trim()) throw new apiError(400, "Role name is required");
 
@@ -51,6 +52,8 @@ export const createUserRole = asyncHandler(async (req, res) => {
     description,
     permissions: normalizedPermissions,
     enterprise: enterprise || null,
+    requireTwoFactor: requireTwoFactor === true || requireTwoFactor === "true",
+    maxAllowedDevices: maxAllowedDevices ? Number(maxAllowedDevices) : null,
     createdBy: req.user?._id || null,
   });
 
@@ -198,7 +201,8 @@ export const getUserRoleById = async (req, res) => {
  */
 export const updateUserRole = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { roleName, description, permissions, isActive } = req.body;
+  const { roleName, description, permissions, isActive, requireTwoFactor, maxAllowedDevices } =
+    req.body;
 
   const role = await UserRole.findById(id);
   if (!role) throw new apiError(404, "Role not found");
@@ -239,6 +243,12 @@ export const updateUserRole = asyncHandler(async (req, res) => {
   role.description = description ?? role.description;
   role.permissions = normalizedPermissions;
   role.isActive = typeof isActive === "boolean" ? isActive : role.isActive;
+  if (requireTwoFactor !== undefined) {
+    role.requireTwoFactor = requireTwoFactor === true || requireTwoFactor === "true";
+  }
+  if (maxAllowedDevices !== undefined) {
+    role.maxAllowedDevices = maxAllowedDevices ? Number(maxAllowedDevices) : null;
+  }
 
   await role.save();
 
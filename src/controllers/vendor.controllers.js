@@ -0,0 +1,288 @@
+// controllers/vendor.controllers.js
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { apiError } from "../utils/apiError.js";
+import { apiResponse } from "../utils/apiResponse.js";
+import { Vendor } from "../models/vendor.model.js";
+import { Asset } from "../models/asset.model.js";
+import { MaintenanceTicket } from "../models/maintenanceTicket.model.js";
+import {
+  getCurrentUserWithBranches,
+  getAccessibleEnterpriseIds,
+  resolveTargetEnterprise,
+} from "../utils/branchAccess.helpers.js";
+import { parseJsonInput } from "../utils/request.helpers.js";
+
+const findAccessibleVendor = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid vendor ID");
+
+  const vendor = await Vendor.findById(id);
+  if (!vendor) throw new apiError(404, "Vendor not found");
+
+  if (!getAccessibleEnterpriseIds(currentUser).includes(vendor.enterprise.toString())) {
+    throw new apiError(403, "You do not have access to this vendor");
+  }
+  return vendor;
+};
+
+const EMPTY_SPEND = {
+  assetCount: 0,
+  purchaseSpend: 0,
+  repairTickets: 0,
+  warrantyClaims: 0,
+  repairSpend: 0,
+};
+
+/**
+ * Purchase spend + repair spend per vendor for the given vendor ids.
+ * @returns {Promise<Map<string, Object>>}
+ */
+const getVendorSpend = async (vendorIds) => {
+  const [purchases, repairs] = await Promise.all([
+    Asset.aggregate([
+      { $match: { vendor: { $in: vendorIds }, isDeleted: { $ne: true } } },
+      {
+        $group: {
+          _id: "$vendor",
+          assetCount: { $sum: 1 },
+          purchaseSpend: { $sum: { $ifNull: ["$purchaseCost", 0] } },
+        },
+      },
+    ]),
+    MaintenanceTicket.aggregate([
+      { $match: { vendor: { $in: vendorIds } } },
+      {
+        $group: {
+          _id: "$vendor",
+          repairTickets: { $sum: 1 },
+          warrantyClaims: { $sum: { $cond: ["$isWarrantyClaim", 1, 0] } },
+          repairSpend: { $sum: { $ifNull: ["$repairCost", 0] } },
+        },
+      },
+    ]),
+  ]);
+
+  const spend = new Map();
+  const entry = (id) => {
+    const key = id.toString();
+    if (!spend.has(key)) {
+      spend.set(key, { ...EMPTY_SPEND });
+    }
+    return spend.get(key);
+  };
+  purchases.forEach((p) => Object.assign(entry(p._id), { assetCount: p.assetCount, purchaseSpend: p.purchaseSpend }));
+  repairs.forEach((r) =>
+    Object.assign(entry(r._id), {
+      repairTickets: r.repairTickets,
+      warrantyClaims: r.warrantyClaims,
+      repairSpend: r.repairSpend,
+    })
+  );
+  return spend;
+};
+
+/* ============================================================
+   🟢 CREATE VENDOR
+============================================================ */
+export const createVendor = asyncHandler(async (req, res) => {
+  const { vendorName, vendorType, taxId, address, city, website, remarks, enterprise } = req.body;
+  const contacts = parseJsonInput(req.body.contacts, "contacts") || [];
+  const supportSla = parseJsonInput(req.body.supportSla, "supportSla");
+
+  if (!vendorName?.trim()) throw new apiError(400, "Vendor name is required");
+
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const finalEnterprise = resolveTargetEnterprise(currentUser, enterprise);
+
+  const duplicate = await Vendor.findOne({
+    enterprise: finalEnterprise,
+    $or: [
+      { vendorName: vendorName.trim() },
+      ...(taxId?.trim() ? [{ taxId: taxId.trim().toUpperCase() }] : []),
+    ],
+  });
+  if (duplicate) throw new apiError(409, "Vendor with this name or tax id already exists");
+
+  const vendor = await Vendor.create({
+    enterprise: finalEnterprise,
+    vendorName,
+    vendorType,
+    taxId: taxId?.trim() || undefined,
+    address,
+    city,
+    website,
+    contacts,
+    supportSla,
+    remarks,
+    createdBy: currentUser._id,
+  });
+
+  return res
+    .status(201)
+    .json(new apiResponse(201, vendor, "Vendor created successfully"));
+});
+
+/* ============================================================
+   🔍 GET ALL VENDORS
+============================================================ */
+export const getAllVendors = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { enterprise, vendorType, isActive, search, page = 1, limit = 20 } = req.query;
+  const skip = (Number(page) - 1) * Number(limit);
+
+  const filter = {};
+  if (enterprise) filter.enterprise = resolveTargetEnterprise(currentUser, enterprise);
+  else filter.enterprise = { $in: getAccessibleEnterpriseIds(currentUser) };
+  if (vendorType) filter.vendorType = vendorType;
+  if (isActive !== undefined) filter.isActive = isActive === "true";
+
+  if (search) {
+    filter.$or = [
+      { vendorName: { $regex: search, $options: "i" } },
+      { taxId: { $regex: search, $options: "i" } },
+      { city: { $regex: search, $options: "i" } },
+      { "contacts.name": { $regex: search, $options: "i" } },
+    ];
+  }
+
+  const [vendors, total] = await Promise.all([
+    Vendor.find(filter).sort({ vendorName: 1 }).skip(skip).limit(Number(limit)),
+    Vendor.countDocuments(filter),
+  ]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      { vendors, total, page: Number(page), limit: Number(limit) },
+      "Vendors fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   📊 SPEND REPORT PER VENDOR
+============================================================ */
+export const getVendorSpendReport = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const { enterprise } = req.query;
+
+  const enterpriseFilter = enterprise
+    ? resolveTargetEnterprise(currentUser, enterprise)
+    : { $in: getAccessibleEnterpriseIds(currentUser) };
+
+  const vendors = await Vendor.find({ enterprise: enterpriseFilter })
+    .select("vendorName vendorType enterprise isActive")
+    .lean();
+  const spend = await getVendorSpend(vendors.map((v) => v._id));
+
+  const report = vendors
+    .map((v) => {
+      const s = spend.get(v._id.toString()) || EMPTY_SPEND;
+      return { ...v, ...s, totalSpend: s.purchaseSpend + s.repairSpend };
+    })
+    .sort((a, b) => b.totalSpend - a.totalSpend);
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { total: report.length, vendors: report }, "Vendor spend report generated"));
+});
+
+/* ============================================================
+   👁️ GET SINGLE VENDOR (with spend summary)
+============================================================ */
+export const getVendorById = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const vendor = await findAccessibleVendor(currentUser, req.params.id);
+
+  const spend = await getVendorSpend([vendor._id]);
+
+  return res.status(200).json(
+    new apiResponse(
+      200,
+      {
+        ...vendor.toObject(),
+        summary: spend.get(vendor._id.toString()) || EMPTY_SPEND,
+      },
+      "Vendor fetched successfully"
+    )
+  );
+});
+
+/* ============================================================
+   ✏️ UPDATE VENDOR
+============================================================ */
+export const updateVendor = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const vendor = await findAccessibleVendor(currentUser, req.params.id);
+
+  const { vendorName, vendorType, taxId, address, city, website, remarks, isActive } = req.body;
+  const contacts = parseJsonInput(req.body.contacts, "contacts");
+  const supportSla = parseJsonInput(req.body.supportSla, "supportSla");
+
+  if (vendorName && vendorName.trim() !== vendor.vendorName) {
+    const duplicate = await Vendor.findOne({
+      enterprise: vendor.enterprise,
+      vendorName: vendorName.trim(),
+      _id: { $ne: vendor._id },
+    });
+    if (duplicate) throw new apiError(409, "Vendor with this name already exists");
+    vendor.vendorName = vendorName;
+  }
+
+  if (taxId !== undefined && taxId.trim().toUpperCase() !== vendor.taxId) {
+    if (taxId.trim()) {
+      const duplicate = await Vendor.findOne({
+        enterprise: vendor.enterprise,
+        taxId: taxId.trim().toUpperCase(),
+        _id: { $ne: vendor._id },
+      });
+      if (duplicate) throw new apiError(409, "Vendor with this tax id already exists");
+    }
+    vendor.taxId = taxId.trim() || undefined;
+  }
+
+  if (vendorType) vendor.vendorType = vendorType;
+  if (address !== undefined) vendor.address = address;
+  if (city !== undefined) vendor.city = city;
+  if (website !== undefined) vendor.website = website;
+  if (remarks !== undefined) vendor.remarks = remarks;
+  if (contacts !== undefined) vendor.contacts = contacts;
+  if (supportSla !== undefined) vendor.supportSla = supportSla;
+  if (isActive !== undefined) vendor.isActive = isActive === true || isActive === "true";
+
+  vendor.updatedBy = currentUser._id;
+  await vendor.save();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, vendor, "Vendor updated successfully"));
+});
+
+/* ============================================================
+   ❌ DELETE VENDOR (deactivate when still referenced)
+============================================================ */
+export const deleteVendor = asyncHandler(async (req, res) => {
+  const currentUser = await getCurrentUserWithBranches(req.user);
+  const vendor = await findAccessibleVendor(currentUser, req.params.id);
+
+  const [assetRefs, ticketRefs] = await Promise.all([
+    Asset.countDocuments({ vendor: vendor._id }),
+    MaintenanceTicket.countDocuments({ vendor: vendor._id }),
+  ]);
+
+  // keep history intact: referenced vendors are only deactivated
+  if (assetRefs + ticketRefs > 0) {
+    vendor.isActive = false;
+    vendor.updatedBy = currentUser._id;
+    await vendor.save();
+    return res
+      .status(200)
+      .json(new apiResponse(200, vendor, "Vendor is referenced by records and was deactivated"));
+  }
+
+  await vendor.deleteOne();
+
+  return res
+    .status(200)
+    .json(new apiResponse(200, { id: vendor._id }, "Vendor deleted successfully"));
+});
@@ -1,6 +1,7 @@
 import dotenv from "dotenv"
 import connectDB from "./db/index.js"
 import { app } from "./app.js"
+import { startWarrantyAlertJob } from "./jobs/warrantyAlert.job.js"
 
 dotenv.config({
     path:"./.env"
@@ -8,6 +9,7 @@ dotenv.config({
 
 connectDB()
 .then(()=>{
+    startWarrantyAlertJob()
     app.listen(process.env.PORT || 4000), ()=>{
         console.log(`Server is running at port : ${process.env.PORT}`)
     }
@@ -0,0 +1,28 @@
+// jobs/warrantyAlert.job.js
+import { generateExpiryNotifications } from "../services/warrantyAlert.service.js";
+
+const DEFAULT_INTERVAL_MS = 24 * 60 * 60 * 1000; // once a day
+
+/**
+ * Run the warranty / AMC expiry scan once.
+ */
+export const runWarrantyAlertJob = async () => {
+  const days = Number(process.env.WARRANTY_ALERT_DAYS) || 30;
+  try {
+    const { checked, created, skipped } = await generateExpiryNotifications({ days });
+    console.log(`Warranty alert job: ${checked} expiring coverage(s), ${created} new notification(s)`);
+    if (skipped) console.warn(`Warranty alert job: skipped ${skipped} coverage(s) on deleted branches`);
+  } catch (error) {
+    console.error("Warranty alert job failed:", error);
+  }
+};
+
+/**
+ * Start the daily scan (runs once immediately). Returns the timer so callers can stop it.
+ */
+export const startWarrantyAlertJob = (intervalMs = DEFAULT_INTERVAL_MS) => {
+  runWarrantyAlertJob();
+  const timer = setInterval(runWarrantyAlertJob, intervalMs);
+  timer.unref();
+  return timer;
+};
@@ -1,12 +1,15 @@
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
 import { apiError } from "../utils/apiError.js";
+import { getActiveSession } from "../services/session.service.js";
 
 /**
  * ✅ Universal JWT Auth Middleware
- * Supports both cookies and Authorization headers
+ * Supports both cookies and Authorization headers.
+ * Users flagged mustChangePassword only get through where
+ * `allowPendingPasswordChange` is set (the change-password endpoint).
  */
-const authenticateJWT = async (req, res, next) => {
+const authenticate = ({ allowPendingPasswordChange = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -33,12 +36,23 @@ const authenticateJWT = async (req, res, next) => {
       return res.status(401).json({ message: "Invalid or expired access token" });
     }
 
+    // 2FA challenge tokens share the signing key but are not access tokens
+    if (decoded.purpose) {
+      return res.status(401).json({ message: "Invalid or expired access token" });
+    }
+
+    // 🎫 Device session must still be open (logout, forced logout, deactivation, role change)
+    const session = await getActiveSession(decoded.id, decoded.deviceId, decoded.sid);
+    if (!session) {
+      return res.status(401).json({ message: "Session has ended. Please log in again" });
+    }
+
     // ✅ 5️⃣ Fetch user (populate role & branch safely)
     const user = await User.findById(decoded.id)
       .populate("role", "roleName permissions")
       .populate("branch", "branchName code location");
 
-    if (!user) {
+    if (!user || user.isDeleted) {
       return res.status(404).json({ message: "User not found" });
     }
 
@@ -46,8 +60,17 @@ const authenticateJWT = async (req, res, next) => {
       return res.status(403).json({ message: "User account inactive" });
     }
 
-    // ✅ 6️⃣ Attach user to request for later use
+    // 🔑 Admin-set password: only the change-password endpoint until it is replaced
+    if (!allowPendingPasswordChange && session.mustChangePassword) {
+      return res.status(403).json({
+        message: "Password change required before continuing",
+        mustChangePassword: true,
+      });
+    }
+
+    // ✅ 6️⃣ Attach user (and the device the token was issued to) for later use
     req.user = user;
+    req.deviceId = decoded.deviceId;
 
     next();
   } catch (error) {
@@ -56,4 +79,7 @@ const authenticateJWT = async (req, res, next) => {
   }
 };
 
-export { authenticateJWT };
+const authenticateJWT = authenticate();
+const authenticateForPasswordChange = authenticate({ allowPendingPasswordChange: true });
+
+export { authenticateJWT, authenticateForPasswordChange };
@@ -19,7 +19,13 @@ const authorizePermission = (requiredPermission) => {
         return res.status(403).json({ message: "Role not found" });
       }
 
-      if (!role.permissions.includes(requiredPermission)) {
+      const isGranted = role.permissions.some(
+        (perm) =>
+          perm.action === requiredPermission &&
+          (perm.granted === true || perm.granted === "true")
+      );
+
+      if (!isGranted) {
         return res.status(403).json({ message: "Permission denied" });
       }
 
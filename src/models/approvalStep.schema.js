@@ -0,0 +1,17 @@
+// models/approvalStep.schema.js
+import { Schema } from "mongoose";
+
+// one sign-off on a document routed up the reportingTo chain (disposals, requisitions)
+export const approvalStepSchema = new Schema(
+  {
+    approver: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    action: {
+      type: String,
+      enum: ["approved", "rejected", "escalated"],
+      required: true,
+    },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
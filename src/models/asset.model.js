@@ -0,0 +1,176 @@
+// models/asset.model.js
+import crypto from "crypto";
+import mongoose, { Schema } from "mongoose";
+
+// label codes skip look-alike characters (0/O, 1/I/L) so they can be typed from a worn sticker
+const LABEL_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+const LABEL_CODE_LENGTH = 8;
+
+export const generateLabelCode = () =>
+  Array.from(
+    crypto.randomBytes(LABEL_CODE_LENGTH),
+    (b) => LABEL_CODE_ALPHABET[b % LABEL_CODE_ALPHABET.length]
+  ).join("");
+
+const warrantySchema = new Schema(
+  {
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, default: null, index: true },
+    coverageType: {
+      type: String,
+      enum: ["standard", "extended", "onsite", "carry-in", "parts-only"],
+      default: "standard",
+    },
+    provider: { type: Schema.Types.ObjectId, ref: "Vendor", default: null },
+  },
+  { _id: false }
+);
+
+const amcSchema = new Schema(
+  {
+    contractRef: { type: String, trim: true }, // AMC contract / PO reference
+    startDate: { type: Date, default: null },
+    endDate: { type: Date, default: null, index: true },
+    coverageType: {
+      type: String,
+      enum: ["comprehensive", "non-comprehensive"],
+      default: "non-comprehensive",
+    },
+    provider: { type: Schema.Types.ObjectId, ref: "Vendor", default: null },
+  },
+  { _id: false }
+);
+
+const assetSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    location: {
+      type: Schema.Types.ObjectId,
+      ref: "Location",
+      default: null, // room / lab inside the branch
+      index: true,
+    },
+
+    assetTag: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    // 🏷️ Short code printed on the QR / barcode label; never changes once issued
+    labelCode: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    serialNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    assetName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: Schema.Types.ObjectId,
+      ref: "AssetCategory",
+      required: true,
+      index: true,
+    },
+    // values for the category's custom attribute definitions (e.g. { ramGb: 16 })
+    attributes: {
+      type: Schema.Types.Mixed,
+      default: {},
+    },
+    make: {
+      type: String,
+      trim: true,
+    },
+    modelNo: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["available", "assigned", "in-transit", "under-repair", "missing", "retired", "disposed"],
+      default: "available",
+      index: true,
+    },
+    assignedTo: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // current custodian
+      index: true,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+    vendor: {
+      type: Schema.Types.ObjectId,
+      ref: "Vendor",
+      default: null, // supplier the asset was bought from
+      index: true,
+    },
+    purchaseDate: Date,
+    purchaseCost: {
+      type: Number,
+      min: [0, "Purchase cost cannot be negative"],
+    },
+
+    // 🛡️ Warranty / AMC coverage
+    warranty: { type: warrantySchema, default: () => ({}) },
+    amc: { type: amcSchema, default: () => ({}) },
+
+    // ♻️ Set when a disposal request completes (status "disposed")
+    disposal: {
+      request: { type: Schema.Types.ObjectId, ref: "DisposalRequest", default: null },
+      method: { type: String, trim: true },
+      certificateRef: { type: String, trim: true },
+      disposedAt: { type: Date, default: null },
+    },
+
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: Date,
+    deletedBy: { type: Schema.Types.ObjectId, ref: "User" },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+assetSchema.virtual("custodyLogs", {
+  ref: "AssetCustodyLog",
+  localField: "_id",
+  foreignField: "asset",
+  options: { sort: { createdAt: -1 } }, // newest first
+});
+
+// asset tags are unique inside an enterprise (soft-deleted assets free their tag)
+assetSchema.index(
+  { enterprise: 1, assetTag: 1 },
+  { unique: true, partialFilterExpression: { isDeleted: false } }
+);
+
+// label codes are global so a scan resolves without knowing the enterprise
+assetSchema.index(
+  { labelCode: 1 },
+  { unique: true, partialFilterExpression: { labelCode: { $type: "string" } } }
+);
+
+assetSchema.pre("validate", function (next) {
+  if (!this.labelCode) this.labelCode = generateLabelCode();
+  next();
+});
+
+export const Asset = mongoose.model("Asset", assetSchema);
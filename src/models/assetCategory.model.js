@@ -0,0 +1,78 @@
+// models/assetCategory.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const ATTRIBUTE_TYPES = ["string", "number", "boolean", "date", "enum"];
+export const DEPRECIATION_METHODS = ["straight-line", "wdv"];
+
+const attributeDefinitionSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, "Attribute key must be alphanumeric (e.g. ramGb)"],
+    },
+    label: { type: String, trim: true },
+    type: { type: String, enum: ATTRIBUTE_TYPES, default: "string" },
+    required: { type: Boolean, default: false },
+    options: [{ type: String, trim: true }], // only for type "enum"
+    unit: { type: String, trim: true }, // e.g. "GB", "hours"
+  },
+  { _id: false }
+);
+
+// 📉 Depreciation rule; sub-categories without their own rule inherit the parent's
+const depreciationSchema = new Schema(
+  {
+    method: { type: String, enum: DEPRECIATION_METHODS, required: true },
+    usefulLifeYears: { type: Number, required: true, min: [1, "Useful life must be at least 1 year"] },
+    salvagePercent: {
+      type: Number,
+      default: 5,
+      min: [0, "Salvage % cannot be negative"],
+      max: [100, "Salvage % cannot exceed 100"],
+    },
+    ratePercent: { type: Number, default: null }, // WDV only; derived from life + salvage when empty
+  },
+  { _id: false }
+);
+
+const assetCategorySchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "AssetCategory",
+      default: null, // null = top-level category
+      index: true,
+    },
+
+    // ✅ Custom attributes assets of this category (and its children) carry
+    attributes: [attributeDefinitionSchema],
+
+    depreciation: { type: depreciationSchema, default: null },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// sibling names are unique inside an enterprise
+assetCategorySchema.index({ enterprise: 1, parent: 1, name: 1 }, { unique: true });
+
+export const AssetCategory = mongoose.model("AssetCategory", assetCategorySchema);
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+export const CUSTODY_CONDITIONS = ["new", "good", "fair", "damaged"];
+
+const assetCustodyLogSchema = new mongoose.Schema(
+  {
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true }, // custodian
+    branch: { type: mongoose.Schema.Types.ObjectId, ref: "Branch" },
+    action: { type: String, enum: ["issue", "return"], required: true },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    condition: {
+      type: String,
+      enum: CUSTODY_CONDITIONS,
+      default: "good",
+    },
+    note: { type: String, trim: true }, // optional (e.g., accessories handed over)
+  },
+  { timestamps: true }
+);
+
+export const AssetCustodyLog = mongoose.model("AssetCustodyLog", assetCustodyLogSchema);
@@ -0,0 +1,48 @@
+// models/assetTransfer.model.js
+import mongoose, { Schema } from "mongoose";
+
+const transferHistorySchema = new Schema(
+  {
+    action: {
+      type: String,
+      enum: ["request", "approve", "reject", "receive", "cancel"],
+      required: true,
+    },
+    performedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const assetTransferSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    fromBranch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    toBranch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    assets: [{ type: Schema.Types.ObjectId, ref: "Asset", required: true }],
+
+    // pending → in-transit → received, or pending → rejected / cancelled
+    status: {
+      type: String,
+      enum: ["pending", "in-transit", "received", "rejected", "cancelled"],
+      default: "pending",
+      index: true,
+    },
+    reason: { type: String, trim: true },
+
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    approvedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    approvedAt: { type: Date, default: null },
+    receivedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    receivedAt: { type: Date, default: null },
+    closedBy: { type: Schema.Types.ObjectId, ref: "User", default: null }, // rejected / cancelled by
+    closedAt: { type: Date, default: null },
+
+    // ✅ Every step of the workflow
+    history: [transferHistorySchema],
+  },
+  { timestamps: true }
+);
+
+export const AssetTransfer = mongoose.model("AssetTransfer", assetTransferSchema);
@@ -0,0 +1,64 @@
+// models/auditSession.model.js
+import mongoose, { Schema } from "mongoose";
+
+// asset statuses expected to be physically present during a stock-take
+export const AUDITABLE_ASSET_STATUSES = ["available", "assigned"];
+
+const auditScanSchema = new Schema(
+  {
+    code: { type: String, required: true, trim: true, uppercase: true }, // what the scanner read
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", default: null }, // null = unknown code
+    // where the auditor was standing when scanning
+    scannedLocation: { type: Schema.Types.ObjectId, ref: "Location", default: null },
+    outcome: {
+      type: String,
+      enum: ["found", "unexpected-location", "unknown"],
+      required: true,
+    },
+    scannedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    scannedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const auditSessionSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    location: { type: Schema.Types.ObjectId, ref: "Location", default: null }, // null = whole branch
+
+    title: {
+      type: String,
+      trim: true, // e.g. "Term 2 stock-take – Lab 3"
+    },
+    status: {
+      type: String,
+      enum: ["open", "closed", "cancelled"],
+      default: "open",
+      index: true,
+    },
+    conductedBy: { type: Schema.Types.ObjectId, ref: "User", required: true }, // session owner
+
+    // snapshot of assets that should be present, taken when the session opens
+    expectedAssets: [{ type: Schema.Types.ObjectId, ref: "Asset" }],
+    scans: [auditScanSchema],
+
+    // 📋 Result (filled on close)
+    summary: {
+      expected: { type: Number, default: 0 },
+      found: { type: Number, default: 0 },
+      missing: { type: Number, default: 0 },
+      unexpectedLocation: { type: Number, default: 0 },
+      unknown: { type: Number, default: 0 },
+    },
+    missingAssets: [{ type: Schema.Types.ObjectId, ref: "Asset" }],
+    markedMissing: [{ type: Schema.Types.ObjectId, ref: "Asset" }], // flipped to status "missing"
+
+    remarks: { type: String, trim: true },
+    closedAt: { type: Date, default: null },
+    closedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+export const AuditSession = mongoose.model("AuditSession", auditSessionSchema);
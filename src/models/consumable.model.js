@@ -0,0 +1,50 @@
+// models/consumable.model.js
+import mongoose, { Schema } from "mongoose";
+
+// 📦 Non-serialized stock item (toner, cables, mice...). Quantities live per branch in ConsumableStock.
+const consumableSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    sku: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+    },
+    unit: {
+      type: String,
+      trim: true,
+      default: "pcs", // pcs, box, metre...
+    },
+    category: {
+      type: String,
+      trim: true, // free text grouping, e.g. "Toner", "Peripherals"
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    defaultReorderLevel: {
+      type: Number,
+      min: [0, "Reorder level cannot be negative"],
+      default: 0, // used for branches without their own threshold
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+consumableSchema.index({ enterprise: 1, sku: 1 }, { unique: true });
+
+export const Consumable = mongoose.model("Consumable", consumableSchema);
@@ -0,0 +1,28 @@
+// models/consumableStock.model.js
+import mongoose, { Schema } from "mongoose";
+
+// one row per consumable per branch; quantity only changes through atomic $inc updates
+const consumableStockSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    consumable: { type: Schema.Types.ObjectId, ref: "Consumable", required: true },
+
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, "Stock cannot go negative"],
+    },
+    reorderLevel: {
+      type: Number,
+      min: [0, "Reorder level cannot be negative"],
+      default: null, // null = use consumable.defaultReorderLevel
+    },
+    lastMovementAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+consumableStockSchema.index({ consumable: 1, branch: 1 }, { unique: true });
+
+export const ConsumableStock = mongoose.model("ConsumableStock", consumableStockSchema);
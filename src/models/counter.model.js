@@ -0,0 +1,13 @@
+// models/counter.model.js
+import mongoose, { Schema } from "mongoose";
+
+// running number per key, e.g. "helpdesk:<enterpriseId>"
+const counterSchema = new Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+export const Counter = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,45 @@
+// models/disposalRequest.model.js
+import mongoose, { Schema } from "mongoose";
+import { approvalStepSchema } from "./approvalStep.schema.js";
+
+export const DISPOSAL_METHODS = ["scrap", "e-waste", "sale", "donation", "buyback", "write-off"];
+
+// asset statuses a disposal can start from (custody / workflows must be closed first)
+export const DISPOSABLE_ASSET_STATUSES = ["available", "missing", "retired"];
+
+const disposalRequestSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+
+    method: { type: String, enum: DISPOSAL_METHODS, required: true },
+    reason: { type: String, required: true, trim: true },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled", "completed"],
+      default: "pending",
+      index: true,
+    },
+
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    // whose sign-off is awaited (first approve_disposal holder up the requester's reportingTo chain)
+    currentApprover: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    approvals: [approvalStepSchema],
+
+    // ♻️ Completion (after the asset physically left)
+    certificateRef: { type: String, trim: true }, // e-waste / destruction certificate number
+    vendor: { type: Schema.Types.ObjectId, ref: "Vendor", default: null }, // recycler / buyer
+    recoveryAmount: {
+      type: Number,
+      min: [0, "Recovery amount cannot be negative"],
+      default: 0,
+    },
+    disposedAt: { type: Date, default: null },
+    completedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+export const DisposalRequest = mongoose.model("DisposalRequest", disposalRequestSchema);
@@ -13,6 +13,32 @@ const enterpriseSchema = new Schema(
       type: String,
       trim: true,
     },
+    // 🧾 Purchase order numbers look like "<prefix>-000123"
+    purchaseOrderPrefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: "PO",
+      match: [/^[A-Z0-9/-]{1,12}$/, "PO prefix may only contain letters, digits, / and -"],
+    },
+    // 🔒 Failed-login lockout ladder (defaults mirror DEFAULT_LOCKOUT_POLICY)
+    lockoutPolicy: {
+      maxFailedAttempts: { type: Number, min: 1, max: 20, default: 3 }, // wrong attempts per lock
+      lockDurationsMinutes: { type: [Number], default: [1, 3, 5] }, // nth lock; last one repeats
+      permanentLockAfter: { type: Number, min: 0, default: 4 }, // lock number that is permanent, 0 = never
+    },
+    // 🔑 Password rules (defaults mirror DEFAULT_PASSWORD_POLICY)
+    passwordPolicy: {
+      minLength: { type: Number, min: 6, max: 128, default: 8 },
+      requireUppercase: { type: Boolean, default: true },
+      requireLowercase: { type: Boolean, default: true },
+      requireDigit: { type: Boolean, default: true },
+      requireSymbol: { type: Boolean, default: false },
+      blockCommonPasswords: { type: Boolean, default: true }, // bundled list in config/bannedPasswords.js
+      historyCount: { type: Number, min: 0, max: 24, default: 5 }, // recent passwords that may not be reused, 0 = off
+      maxAgeDays: { type: Number, min: 0, default: 0 }, // 0 = never expires
+      expiryWarningDays: { type: Number, min: 0, default: 14 }, // warn at login this close to expiry
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,113 @@
+// models/helpdeskTicket.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const HELPDESK_CATEGORIES = [
+  "hardware",
+  "software",
+  "network",
+  "email",
+  "printer",
+  "access",
+  "other",
+];
+
+// allowed status moves; resolved tickets can be reopened until closed
+export const HELPDESK_TRANSITIONS = {
+  open: ["in-progress", "on-hold", "resolved", "cancelled"],
+  "in-progress": ["on-hold", "resolved", "cancelled"],
+  "on-hold": ["in-progress", "resolved", "cancelled"],
+  resolved: ["closed", "in-progress"],
+  closed: [],
+  cancelled: [],
+};
+
+export const OPEN_HELPDESK_STATUSES = ["open", "in-progress", "on-hold"];
+
+// ⏱️ SLA targets in hours per priority (first response / resolution)
+export const HELPDESK_SLA_HOURS = {
+  critical: { response: 1, resolution: 4 },
+  high: { response: 2, resolution: 8 },
+  medium: { response: 4, resolution: 24 },
+  low: { response: 8, resolution: 72 },
+};
+
+const ticketCommentSchema = new Schema(
+  {
+    author: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    body: { type: String, required: true, trim: true },
+    isInternal: { type: Boolean, default: false }, // IT-only note, hidden from the requester
+    at: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const statusHistorySchema = new Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const helpdeskTicketSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true }, // queue
+    ticketNo: { type: String, required: true }, // HD-000123, per enterprise
+
+    // requester may be a canLogin=false staff member; raisedBy is whoever logged it
+    requester: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    raisedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", default: null, index: true },
+
+    subject: { type: String, required: true, trim: true },
+    description: { type: String, trim: true },
+    category: { type: String, enum: HELPDESK_CATEGORIES, default: "other" },
+    priority: {
+      type: String,
+      enum: Object.keys(HELPDESK_SLA_HOURS),
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: Object.keys(HELPDESK_TRANSITIONS),
+      default: "open",
+      index: true,
+    },
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
+
+    sla: {
+      responseDueAt: { type: Date, required: true },
+      resolutionDueAt: { type: Date, required: true },
+      respondedAt: { type: Date, default: null }, // first staff action
+      resolvedAt: { type: Date, default: null },
+    },
+
+    comments: [ticketCommentSchema],
+    statusHistory: [statusHistorySchema],
+    closedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+helpdeskTicketSchema.index({ enterprise: 1, ticketNo: 1 }, { unique: true });
+
+helpdeskTicketSchema.virtual("slaStatus").get(function () {
+  if (!this.sla) return undefined;
+  const now = new Date();
+  const respondedBy = this.sla.respondedAt || now;
+  const resolvedBy = this.sla.resolvedAt || now;
+  return {
+    responseBreached: respondedBy > this.sla.responseDueAt,
+    resolutionBreached: resolvedBy > this.sla.resolutionDueAt,
+  };
+});
+
+export const HelpdeskTicket = mongoose.model("HelpdeskTicket", helpdeskTicketSchema);
@@ -0,0 +1,37 @@
+// models/ipAllocation.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const IP_ALLOCATION_TYPES = ["static", "dhcp-reservation", "reserved"];
+
+const ipAllocationSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    subnet: { type: Schema.Types.ObjectId, ref: "NetworkSubnet", required: true, index: true },
+
+    ipAddress: { type: String, required: true, trim: true },
+    ipNumber: { type: Number, required: true }, // unsigned 32-bit form, for sorting and scans
+
+    type: { type: String, enum: IP_ALLOCATION_TYPES, default: "static" },
+    // "reserved" entries (printers on loan, future switches...) may have no asset yet
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", default: null, index: true },
+    macAddress: { type: String, uppercase: true, trim: true, default: null },
+    hostname: { type: String, trim: true, lowercase: true },
+    note: { type: String, trim: true },
+
+    status: { type: String, enum: ["active", "released"], default: "active", index: true },
+    allocatedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    releasedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// an address is held by at most one active allocation; released rows stay as history
+ipAllocationSchema.index(
+  { subnet: 1, ipNumber: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+ipAllocationSchema.index({ enterprise: 1, macAddress: 1 });
+
+export const IpAllocation = mongoose.model("IpAllocation", ipAllocationSchema);
@@ -0,0 +1,32 @@
+// models/licenseSeat.model.js
+import mongoose from "mongoose";
+
+const licenseSeatSchema = new mongoose.Schema(
+  {
+    license: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SoftwareLicense",
+      required: true,
+      index: true,
+    },
+    // a seat is held by a user, an asset, or both (named-user on a device)
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    asset: { type: mongoose.Schema.Types.ObjectId, ref: "Asset", default: null, index: true },
+
+    assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    assignedAt: { type: Date, default: Date.now },
+    note: { type: String, trim: true },
+
+    // release info (seat history is kept, never deleted)
+    releasedAt: { type: Date, default: null },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    releaseReason: {
+      type: String,
+      enum: ["manual", "user-offboarded", "asset-removed", "license-expired"],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+export const LicenseSeat = mongoose.model("LicenseSeat", licenseSeatSchema);
@@ -0,0 +1,57 @@
+// models/location.model.js
+import mongoose, { Schema } from "mongoose";
+
+const locationSchema = new Schema(
+  {
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true, // e.g. "Computer Lab 1", "Staff Room"
+    },
+    type: {
+      type: String,
+      enum: [
+        "classroom",
+        "computer-lab",
+        "staff-room",
+        "server-room",
+        "office",
+        "library",
+        "store",
+        "other",
+      ],
+      default: "other",
+      lowercase: true,
+    },
+    building: {
+      type: String,
+      trim: true,
+    },
+    floor: {
+      type: String,
+      trim: true, // "ground", "1", "basement"
+    },
+    room: {
+      type: String,
+      trim: true,
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// location names are unique inside a branch
+locationSchema.index({ branch: 1, name: 1 }, { unique: true });
+
+export const Location = mongoose.model("Location", locationSchema);
@@ -0,0 +1,22 @@
+// models/macAddress.model.js
+import mongoose, { Schema } from "mongoose";
+
+// 🔌 One network interface of an asset (an asset may have wired + wireless NICs)
+const macAddressSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+
+    macAddress: { type: String, required: true, uppercase: true, trim: true }, // AA:BB:CC:DD:EE:FF
+    interfaceName: { type: String, trim: true }, // "eth0", "Wi-Fi"
+
+    isActive: { type: Boolean, default: true },
+    registeredBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// a physical NIC belongs to one asset; no unique index so imported duplicates surface in the conflict report
+macAddressSchema.index({ enterprise: 1, macAddress: 1 });
+
+export const MacAddress = mongoose.model("MacAddress", macAddressSchema);
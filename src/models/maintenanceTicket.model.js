@@ -0,0 +1,80 @@
+// models/maintenanceTicket.model.js
+import mongoose, { Schema } from "mongoose";
+
+// allowed status moves: open → in-progress → awaiting-parts → resolved
+export const MAINTENANCE_TRANSITIONS = {
+  open: ["in-progress", "cancelled"],
+  "in-progress": ["awaiting-parts", "resolved", "cancelled"],
+  "awaiting-parts": ["in-progress", "resolved", "cancelled"],
+  resolved: [],
+  cancelled: [],
+};
+
+export const OPEN_MAINTENANCE_STATUSES = ["open", "in-progress", "awaiting-parts"];
+
+export const MAINTENANCE_PRIORITIES = ["low", "medium", "high", "critical"];
+
+const statusHistorySchema = new Schema(
+  {
+    from: { type: String, default: null },
+    to: { type: String, required: true },
+    changedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    note: { type: String, trim: true },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const maintenanceTicketSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", required: true, index: true },
+
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    priority: {
+      type: String,
+      enum: MAINTENANCE_PRIORITIES,
+      default: "medium",
+    },
+    status: {
+      type: String,
+      enum: Object.keys(MAINTENANCE_TRANSITIONS),
+      default: "open",
+      index: true,
+    },
+
+    raisedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    assignedTo: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true }, // technician
+
+    // 💰 Repair details
+    isWarrantyClaim: { type: Boolean, default: false }, // asset was under warranty / AMC when raised
+    vendor: { type: Schema.Types.ObjectId, ref: "Vendor", default: null, index: true }, // repair vendor
+    repairCost: {
+      type: Number,
+      min: [0, "Repair cost cannot be negative"],
+      default: 0,
+    },
+    resolutionNotes: {
+      type: String,
+      trim: true,
+    },
+
+    // ⏱️ Downtime = open → resolved / cancelled
+    closedAt: { type: Date, default: null },
+    downtimeMinutes: { type: Number, default: null },
+
+    statusHistory: [statusHistorySchema],
+  },
+  { timestamps: true }
+);
+
+export const MaintenanceTicket = mongoose.model("MaintenanceTicket", maintenanceTicketSchema);
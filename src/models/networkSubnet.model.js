@@ -0,0 +1,35 @@
+// models/networkSubnet.model.js
+import mongoose, { Schema } from "mongoose";
+
+const networkSubnetSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    name: { type: String, required: true, trim: true }, // e.g. "Staff LAN", "Lab VLAN"
+    cidr: { type: String, required: true, trim: true }, // normalised, e.g. "10.1.0.0/24"
+    // numeric bounds (unsigned 32-bit) for overlap checks and next-free scans
+    networkNumber: { type: Number, required: true },
+    broadcastNumber: { type: Number, required: true },
+    prefixLength: { type: Number, required: true, min: 8, max: 30 },
+
+    gateway: { type: String, trim: true },
+    vlanId: { type: Number, min: 1, max: 4094, default: null },
+    // addresses handed out by the DHCP server; never offered as next-free
+    dhcpRange: {
+      start: { type: String, trim: true },
+      end: { type: String, trim: true },
+    },
+
+    description: { type: String, trim: true },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// a branch LAN cannot define the same subnet twice (different branches may reuse private ranges)
+networkSubnetSchema.index({ branch: 1, networkNumber: 1 }, { unique: true });
+
+export const NetworkSubnet = mongoose.model("NetworkSubnet", networkSubnetSchema);
@@ -0,0 +1,30 @@
+// models/notification.model.js
+import mongoose, { Schema } from "mongoose";
+
+const notificationSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+
+    type: {
+      type: String,
+      enum: ["warranty-expiry", "amc-expiry"],
+      required: true,
+    },
+    title: { type: String, required: true, trim: true },
+    message: { type: String, trim: true },
+
+    // what the alert is about
+    targetModel: { type: String, trim: true, default: "Asset" },
+    targetId: { type: Schema.Types.ObjectId, refPath: "targetModel", required: true },
+    dueDate: { type: Date, default: null }, // e.g. warranty end date
+
+    readBy: [{ type: Schema.Types.ObjectId, ref: "User" }],
+  },
+  { timestamps: true }
+);
+
+// one alert per target + type + due date, so the daily job can re-run safely
+notificationSchema.index({ type: 1, targetId: 1, dueDate: 1 }, { unique: true });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,53 @@
+// models/offboardingCase.model.js
+import mongoose, { Schema } from "mongoose";
+
+export const OFFBOARDING_TRIGGERS = ["deactivated", "deleted"];
+export const CHECKLIST_RESOLUTIONS = ["returned", "written-off"];
+
+// one thing the leaver still held when offboarding started
+const checklistItemSchema = new Schema({
+  kind: { type: String, enum: ["asset", "license"], required: true },
+  asset: { type: Schema.Types.ObjectId, ref: "Asset", default: null },
+  licenseSeat: { type: Schema.Types.ObjectId, ref: "LicenseSeat", default: null },
+  label: { type: String, trim: true }, // "LT-0042 Dell Latitude" / "Microsoft 365"
+
+  status: {
+    type: String,
+    enum: ["pending", ...CHECKLIST_RESOLUTIONS],
+    default: "pending",
+  },
+  resolvedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  resolvedAt: { type: Date, default: null },
+  note: { type: String, trim: true },
+});
+
+const offboardingCaseSchema = new Schema(
+  {
+    user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", default: null, index: true }, // leaver's branch
+    trigger: { type: String, enum: OFFBOARDING_TRIGGERS, required: true },
+
+    status: {
+      type: String,
+      enum: ["open", "closed", "cancelled"],
+      default: "open",
+      index: true,
+    },
+    sessionsRevoked: { type: Number, default: 0 }, // devices whose refresh token was cleared
+    items: [checklistItemSchema],
+
+    initiatedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    closedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    closedAt: { type: Date, default: null },
+    closingNote: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// a user has at most one open case (deactivate → delete reuses it)
+offboardingCaseSchema.index(
+  { user: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+export const OffboardingCase = mongoose.model("OffboardingCase", offboardingCaseSchema);
@@ -0,0 +1,58 @@
+// models/purchaseOrder.model.js
+import mongoose, { Schema } from "mongoose";
+import { purchaseLineFields } from "./purchaseRequisition.model.js";
+
+const orderLineSchema = new Schema({
+  ...purchaseLineFields,
+  unitCost: { type: Number, min: [0, "Cost cannot be negative"], default: 0 },
+  receivedQuantity: { type: Number, default: 0, min: 0 },
+});
+
+const receiptLineSchema = new Schema(
+  {
+    line: { type: Schema.Types.ObjectId, required: true }, // orderLine _id
+    quantity: { type: Number, required: true, min: 1 },
+    assets: [{ type: Schema.Types.ObjectId, ref: "Asset" }], // created for asset lines
+    ledgerEntry: { type: Schema.Types.ObjectId, ref: "StockLedger", default: null }, // consumable lines
+  },
+  { _id: false }
+);
+
+const goodsReceiptSchema = new Schema({
+  receivedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+  receivedAt: { type: Date, default: Date.now },
+  reference: { type: String, trim: true }, // delivery challan / invoice number
+  note: { type: String, trim: true },
+  lines: [receiptLineSchema],
+});
+
+const purchaseOrderSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true }, // receiving branch
+    poNumber: { type: String, required: true }, // <enterprise prefix>-000123
+    requisition: { type: Schema.Types.ObjectId, ref: "PurchaseRequisition", required: true },
+    vendor: { type: Schema.Types.ObjectId, ref: "Vendor", required: true, index: true },
+
+    lines: [orderLineSchema],
+    totalAmount: { type: Number, default: 0 },
+    expectedDate: { type: Date, default: null },
+
+    status: {
+      type: String,
+      enum: ["issued", "partially-received", "received", "cancelled"],
+      default: "issued",
+      index: true,
+    },
+    receipts: [goodsReceiptSchema],
+
+    remarks: { type: String, trim: true },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    cancelledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+purchaseOrderSchema.index({ enterprise: 1, poNumber: 1 }, { unique: true });
+
+export const PurchaseOrder = mongoose.model("PurchaseOrder", purchaseOrderSchema);
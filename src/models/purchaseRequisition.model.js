@@ -0,0 +1,53 @@
+// models/purchaseRequisition.model.js
+import mongoose, { Schema } from "mongoose";
+import { approvalStepSchema } from "./approvalStep.schema.js";
+
+export const PURCHASE_ITEM_TYPES = ["asset", "consumable"];
+
+// one requested item; asset lines carry a category, consumable lines a consumable
+export const purchaseLineFields = {
+  itemType: { type: String, enum: PURCHASE_ITEM_TYPES, required: true },
+  description: { type: String, required: true, trim: true }, // becomes the asset name on receipt
+  category: { type: Schema.Types.ObjectId, ref: "AssetCategory", default: null },
+  consumable: { type: Schema.Types.ObjectId, ref: "Consumable", default: null },
+  make: { type: String, trim: true },
+  modelNo: { type: String, trim: true },
+  quantity: { type: Number, required: true, min: [1, "Quantity must be at least 1"] },
+};
+
+const requisitionLineSchema = new Schema({
+  ...purchaseLineFields,
+  estimatedUnitCost: { type: Number, min: [0, "Cost cannot be negative"], default: 0 },
+});
+
+const purchaseRequisitionSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true }, // receiving branch
+    requisitionNo: { type: String, required: true }, // PR-000123, per enterprise
+
+    requestedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    justification: { type: String, required: true, trim: true },
+    lines: {
+      type: [requisitionLineSchema],
+      validate: [(v) => v.length > 0, "A requisition needs at least one line"],
+    },
+    estimatedTotal: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled", "ordered"],
+      default: "pending",
+      index: true,
+    },
+    // first approve_requisition holder up the requester's reportingTo chain
+    currentApprover: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    approvals: [approvalStepSchema],
+    purchaseOrder: { type: Schema.Types.ObjectId, ref: "PurchaseOrder", default: null },
+  },
+  { timestamps: true }
+);
+
+purchaseRequisitionSchema.index({ enterprise: 1, requisitionNo: 1 }, { unique: true });
+
+export const PurchaseRequisition = mongoose.model("PurchaseRequisition", purchaseRequisitionSchema);
@@ -0,0 +1,75 @@
+// models/softwareLicense.model.js
+import mongoose, { Schema } from "mongoose";
+
+const softwareLicenseSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+    branch: {
+      type: Schema.Types.ObjectId,
+      ref: "Branch",
+      default: null, // null = shared pool for the whole enterprise
+      index: true,
+    },
+
+    productName: {
+      type: String,
+      required: true,
+      trim: true, // e.g. "Microsoft Office 2021", "Quick Heal Total Security"
+    },
+    publisher: {
+      type: String,
+      trim: true,
+    },
+    licenseType: {
+      type: String,
+      enum: ["perpetual", "subscription", "volume", "oem", "trial"],
+      default: "subscription",
+    },
+    licenseKey: {
+      type: String,
+      trim: true,
+      select: false, // only returned on the detail endpoint
+    },
+    vendor: { type: Schema.Types.ObjectId, ref: "Vendor", default: null },
+
+    // 🎟️ Seats — usedSeats is kept in sync atomically by seat assignment
+    totalSeats: {
+      type: Number,
+      required: true,
+      min: [1, "A license needs at least one seat"],
+    },
+    usedSeats: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    purchaseDate: Date,
+    expiryDate: { type: Date, default: null, index: true }, // null = never expires
+    cost: {
+      type: Number,
+      min: [0, "Cost cannot be negative"],
+    },
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+softwareLicenseSchema.virtual("availableSeats").get(function () {
+  return Math.max((this.totalSeats || 0) - (this.usedSeats || 0), 0);
+});
+
+export const SoftwareLicense = mongoose.model("SoftwareLicense", softwareLicenseSchema);
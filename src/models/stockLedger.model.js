@@ -0,0 +1,44 @@
+// models/stockLedger.model.js
+import mongoose, { Schema } from "mongoose";
+
+// 📒 Append-only movement log for consumable stock
+const stockLedgerSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true },
+    branch: { type: Schema.Types.ObjectId, ref: "Branch", required: true, index: true },
+    consumable: { type: Schema.Types.ObjectId, ref: "Consumable", required: true, index: true },
+
+    type: {
+      type: String,
+      enum: ["inward", "outward"],
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, "Quantity must be at least 1"],
+    },
+    balanceAfter: { type: Number, required: true }, // branch stock right after this movement
+
+    // inward details
+    vendor: { type: Schema.Types.ObjectId, ref: "Vendor", default: null },
+    unitCost: {
+      type: Number,
+      min: [0, "Unit cost cannot be negative"],
+    },
+    reference: {
+      type: String,
+      trim: true, // invoice / challan / PO number
+    },
+
+    // outward details
+    issuedTo: { type: Schema.Types.ObjectId, ref: "User", default: null, index: true },
+    asset: { type: Schema.Types.ObjectId, ref: "Asset", default: null }, // e.g. printer the toner went into
+
+    performedBy: { type: Schema.Types.ObjectId, ref: "User", required: true },
+    note: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+export const StockLedger = mongoose.model("StockLedger", stockLedgerSchema);
@@ -46,6 +46,11 @@ const userSchema = new Schema(
       ref: "Branch",
       required: true,
     },
+    location: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Location",
+      default: null, // room / lab the user sits in (inside their branch)
+    },
     assignedBranches: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -4,6 +4,9 @@ import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
 import { v4 as uuidv4 } from "uuid";
 
+// previous password hashes kept for the password policy's no-reuse rule
+export const PASSWORD_HISTORY_LIMIT = 24;
+
 const userLoginSchema = new Schema(
   {
     user: {
@@ -25,10 +28,23 @@ const userLoginSchema = new Schema(
     },
     refreshToken: { type: String, select: false },
     failedLoginAttempts: { type: Number, default: 0 },
-    lockLevel: { type: Number, default: 0 }, // 0-none, 1-1min, 2-3min, 3-5min, 4-permanent
+    lockLevel: { type: Number, default: 0 }, // locks so far; durations come from the enterprise lockout policy
     lockUntil: { type: Date, default: null },
+    lockedAt: { type: Date, default: null }, // latest lock, for the locked-accounts report
     isPermanentlyLocked: { type: Boolean, default: false },
+    unlockedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+    unlockedAt: { type: Date, default: null },
     isLoggedIn: { type: Boolean, default: false },
+
+    // 🔑 Password lifecycle
+    passwordChangedAt: { type: Date, default: null },
+    passwordHistory: { type: [String], select: false }, // previous bcrypt hashes, newest last
+    mustChangePassword: { type: Boolean, default: false }, // set when an admin sets the password
+    passwordReset: {
+      tokenHash: { type: String, select: false }, // sha256 of the emailed token
+      expiresAt: { type: Date, default: null },
+      requestedAt: { type: Date, default: null },
+    },
     lastLogin: { type: Date },
 
     // Device-level tracking
@@ -38,7 +54,9 @@ const userLoginSchema = new Schema(
         ipAddress: String,
         userAgent: String,
         loginCount: { type: Number, default: 0 },
-        refreshToken: String,
+        lastSeenAt: { type: Date, default: null }, // last login or token refresh
+        refreshToken: String, // sha256 of the current refresh token, never the token itself
+        refreshFamily: { type: String, default: null }, // rotation family started at login
         loginHistory: [
           {
             loginAt: { type: Date, default: Date.now },
@@ -47,7 +65,17 @@ const userLoginSchema = new Schema(
         ],
       },
     ],
-    maxAllowedDevices: { type: Number, default: 2 },
+    maxAllowedDevices: { type: Number, default: 2, min: 1 }, // role limit may raise it
+
+    // 🔐 TOTP two-factor (RFC 6238)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, select: false }, // base32, set once enrolment is confirmed
+      pendingSecret: { type: String, select: false }, // waiting for the first valid code
+      backupCodes: { type: [String], select: false }, // sha256 hashes, removed once used
+      lastUsedStep: { type: Number, default: 0 }, // a code's time step cannot be replayed
+      enabledAt: { type: Date, default: null },
+    },
   },
   { timestamps: true }
 );
@@ -57,7 +85,20 @@ const userLoginSchema = new Schema(
 //////////////////////////////
 userLoginSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
+
+  // 🔁 Keep the outgoing hash for the password policy's no-reuse rule
+  if (!this.isNew) {
+    const previous = await this.constructor.findById(this._id).select("+password").lean();
+    if (previous?.password) {
+      await this.constructor.updateOne(
+        { _id: this._id },
+        { $push: { passwordHistory: { $each: [previous.password], $slice: -PASSWORD_HISTORY_LIMIT } } }
+      );
+    }
+  }
+
   this.password = await bcrypt.hash(this.password, 10);
+  this.passwordChangedAt = new Date();
   next();
 });
 
@@ -70,6 +70,20 @@ const userRoleSchema = new mongoose.Schema(
       default: null,
     },
 
+    // 🔐 Users of this role must enrol TOTP before they can log in
+    // (super-admin / administrator roles always do)
+    requireTwoFactor: {
+      type: Boolean,
+      default: false,
+    },
+
+    // 🖥️ Concurrent devices for users of this role; raises UserLogin.maxAllowedDevices
+    maxAllowedDevices: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+
     // ✅ Role status
     isActive: {
       type: Boolean,
@@ -0,0 +1,86 @@
+// models/vendor.model.js
+import mongoose, { Schema } from "mongoose";
+
+const vendorContactSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    designation: { type: String, trim: true },
+    phoneNo: {
+      type: String,
+      trim: true,
+      match: [/^[0-9+\-()\s]*$/, "Invalid phone number format"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^\S+@\S+\.\S+$/, "Invalid email format"],
+    },
+    isPrimary: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const vendorSchema = new Schema(
+  {
+    enterprise: { type: Schema.Types.ObjectId, ref: "Enterprise", required: true, index: true },
+
+    vendorName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    vendorType: {
+      type: String,
+      enum: ["supplier", "service", "both"],
+      default: "supplier",
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      uppercase: true, // GSTIN / VAT / tax registration number
+    },
+    address: {
+      type: String,
+      trim: true,
+    },
+    city: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    website: {
+      type: String,
+      trim: true,
+    },
+    contacts: [vendorContactSchema],
+
+    // 🛎️ Support SLA
+    supportSla: {
+      responseHours: { type: Number, min: 0 },
+      resolutionHours: { type: Number, min: 0 },
+      supportPhone: { type: String, trim: true },
+      supportEmail: { type: String, trim: true, lowercase: true },
+    },
+
+    remarks: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: { type: Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+vendorSchema.index({ enterprise: 1, vendorName: 1 }, { unique: true });
+vendorSchema.index(
+  { enterprise: 1, taxId: 1 },
+  { unique: true, partialFilterExpression: { taxId: { $type: "string" } } }
+);
+
+export const Vendor = mongoose.model("Vendor", vendorSchema);
@@ -0,0 +1,75 @@
+import { Router } from "express";
+import {
+  createAsset,
+  getAllAssets,
+  getAssetById,
+  updateAsset,
+  deleteAsset,
+  getWarrantyExpiringAssets,
+} from "../controllers/asset.controllers.js";
+import {
+  issueAsset,
+  returnAsset,
+  getAssetCustodyHistory,
+} from "../controllers/assetCustody.controllers.js";
+import {
+  scanAsset,
+  getAssetLabelImage,
+  getBranchLabelSheet,
+} from "../controllers/assetLabel.controllers.js";
+import {
+  getAssetDepreciation,
+  getDepreciationReport,
+} from "../controllers/depreciation.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("create_asset"), createAsset);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_asset"), getAllAssets);
+
+// specific routes before /:id
+router
+  .route("/warranty-expiring")
+  .get(authenticateJWT, authorizePermission("view_asset"), getWarrantyExpiringAssets);
+router
+  .route("/depreciation-report")
+  .get(authenticateJWT, authorizePermission("view_asset"), getDepreciationReport);
+
+// 🏷️ Labels / scanning
+router
+  .route("/scan/:code")
+  .get(authenticateJWT, authorizePermission("view_asset"), scanAsset);
+router
+  .route("/labels")
+  .get(authenticateJWT, authorizePermission("view_asset"), getBranchLabelSheet);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_asset"), getAssetById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_asset"), updateAsset)
+  .delete(authenticateJWT, authorizePermission("delete_asset"), deleteAsset);
+
+// 🔁 Custody (check-out / check-in)
+router
+  .route("/:id/issue")
+  .post(upload.none(), authenticateJWT, authorizePermission("issue_asset"), issueAsset);
+router
+  .route("/:id/return")
+  .post(upload.none(), authenticateJWT, authorizePermission("issue_asset"), returnAsset);
+router
+  .route("/:id/custody")
+  .get(authenticateJWT, authorizePermission("view_asset"), getAssetCustodyHistory);
+router
+  .route("/:id/depreciation")
+  .get(authenticateJWT, authorizePermission("view_asset"), getAssetDepreciation);
+router
+  .route("/:id/label")
+  .get(authenticateJWT, authorizePermission("view_asset"), getAssetLabelImage);
+
+export default router;
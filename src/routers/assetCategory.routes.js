@@ -0,0 +1,32 @@
+import { Router } from "express";
+import {
+  createAssetCategory,
+  getAllAssetCategories,
+  getAssetCategoryById,
+  updateAssetCategory,
+  deleteAssetCategory,
+} from "../controllers/assetCategory.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(
+    upload.none(),
+    authenticateJWT,
+    authorizePermission("create_asset_category"),
+    createAssetCategory
+  );
+
+router.route("/").get(authenticateJWT, authorizePermission("view_asset"), getAllAssetCategories);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_asset"), getAssetCategoryById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_asset_category"), updateAssetCategory)
+  .delete(authenticateJWT, authorizePermission("delete_asset_category"), deleteAssetCategory);
+
+export default router;
@@ -0,0 +1,37 @@
+import { Router } from "express";
+import {
+  requestTransfer,
+  getAllTransfers,
+  getTransferById,
+  approveTransfer,
+  rejectTransfer,
+  receiveTransfer,
+  cancelTransfer,
+} from "../controllers/assetTransfer.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("request_transfer"), requestTransfer);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_transfer"), getAllTransfers);
+router.route("/:id").get(authenticateJWT, authorizePermission("view_transfer"), getTransferById);
+
+router
+  .route("/:id/approve")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_transfer"), approveTransfer);
+router
+  .route("/:id/reject")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_transfer"), rejectTransfer);
+router
+  .route("/:id/receive")
+  .patch(upload.none(), authenticateJWT, authorizePermission("receive_transfer"), receiveTransfer);
+router
+  .route("/:id/cancel")
+  .patch(upload.none(), authenticateJWT, authorizePermission("request_transfer"), cancelTransfer);
+
+export default router;
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+  openAuditSession,
+  getAllAuditSessions,
+  getAuditSessionById,
+  recordAuditScans,
+  getAuditReport,
+  closeAuditSession,
+  cancelAuditSession,
+} from "../controllers/audit.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/open")
+  .post(upload.none(), authenticateJWT, authorizePermission("conduct_audit"), openAuditSession);
+
+router.route("/").get(authenticateJWT, authorizePermission("conduct_audit"), getAllAuditSessions);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("conduct_audit"), getAuditSessionById);
+
+router
+  .route("/:id/scans")
+  .post(upload.none(), authenticateJWT, authorizePermission("conduct_audit"), recordAuditScans);
+
+router
+  .route("/:id/report")
+  .get(authenticateJWT, authorizePermission("conduct_audit"), getAuditReport);
+
+router
+  .route("/:id/close")
+  .patch(upload.none(), authenticateJWT, authorizePermission("conduct_audit"), closeAuditSession);
+router
+  .route("/:id/cancel")
+  .patch(authenticateJWT, authorizePermission("conduct_audit"), cancelAuditSession);
+
+export default router;
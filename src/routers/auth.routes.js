@@ -7,17 +7,55 @@ import {
   logoutFromAllDevices,
   logoutSelectedUsers,
   logoutAllBelowUsers,
+  verifyTwoFactorLogin,
+  setupTwoFactorAtLogin,
+  enableTwoFactorAtLogin,
+  forgotPassword,
+  resetPassword,
+  changePassword,
 } from "../controllers/auth.controllers.js";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateTwoFactorBackupCodes,
+} from "../controllers/twoFactor.controllers.js";
+import { getMySessions, revokeMySession } from "../controllers/session.controllers.js";
+import {
+  authenticateJWT,
+  authenticateForPasswordChange,
+} from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
 
 const router = express.Router();
 
 router.route("/login").post(upload.none(), loginUser);
-router.route("/logout").post(logoutUser);
-router.route("/logoutfromall").post(logoutFromAllDevices);
-router.route("/logout-multiple").post(logoutSelectedUsers);
-router.route("/logout-all").post(logoutAllBelowUsers);
+router.route("/login/2fa").post(upload.none(), verifyTwoFactorLogin);
+router.route("/login/2fa/setup").post(upload.none(), setupTwoFactorAtLogin);
+router.route("/login/2fa/enable").post(upload.none(), enableTwoFactorAtLogin);
+// pending password change must not trap the user in a session
+router.route("/logout").post(authenticateForPasswordChange, logoutUser);
+router.route("/logoutfromall").post(authenticateForPasswordChange, logoutFromAllDevices);
+router.route("/logout-multiple").post(authenticateJWT, logoutSelectedUsers);
+router.route("/logout-all").post(authenticateJWT, logoutAllBelowUsers);
 router.route("/refresh-token").post(refreshAccessToken);
 router.route("/re-authenticate").post(reAuthenticateUser);
 
+// 🔑 Password reset / change
+router.route("/forgot-password").post(upload.none(), forgotPassword);
+router.route("/reset-password").post(upload.none(), resetPassword);
+router.route("/change-password").post(upload.none(), authenticateForPasswordChange, changePassword);
+
+// 🔐 Two-factor management for the logged-in user
+router.route("/2fa").get(authenticateJWT, getTwoFactorStatus);
+router.route("/2fa/setup").post(authenticateJWT, setupTwoFactor);
+router.route("/2fa/enable").post(upload.none(), authenticateJWT, enableTwoFactor);
+router.route("/2fa/disable").post(upload.none(), authenticateJWT, disableTwoFactor);
+router.route("/2fa/backup-codes").post(upload.none(), authenticateJWT, regenerateTwoFactorBackupCodes);
+
+// 🖥️ Devices the logged-in user is signed in on
+router.route("/sessions").get(authenticateJWT, getMySessions);
+router.route("/sessions/:deviceId").delete(authenticateJWT, revokeMySession);
+
 export default router;
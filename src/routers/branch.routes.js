@@ -8,6 +8,14 @@ import {
   deleteBranch,
   toggleBranchStatus,
 } from "../controllers/branch.controllers.js";
+import {
+  createLocation,
+  getBranchLocations,
+  getLocationById,
+  updateLocation,
+  deleteLocation,
+} from "../controllers/location.controllers.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
 import { authenticateJWT } from "../middlewares/auth.middleware.js";
 // import { isEnterpriseAdmin } from "../middlewares/enterpriseAdmin.middleware.js";
 
@@ -33,4 +41,16 @@ router
   .route("/:id/toggle-status")
   .patch(authenticateJWT,  toggleBranchStatus);
 
+// ✅ Rooms / labs inside a branch
+router
+  .route("/:id/locations")
+  .get(authenticateJWT, getBranchLocations)
+  .post(upload.none(), authenticateJWT, authorizePermission("edit_branch"), createLocation);
+
+router
+  .route("/:id/locations/:locationId")
+  .get(authenticateJWT, getLocationById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_branch"), updateLocation)
+  .delete(authenticateJWT, authorizePermission("edit_branch"), deleteLocation);
+
 export default router;
@@ -0,0 +1,54 @@
+import { Router } from "express";
+import {
+  createConsumable,
+  getAllConsumables,
+  getLowStockReport,
+  getStockLedger,
+  getConsumableById,
+  updateConsumable,
+  deleteConsumable,
+  receiveStock,
+  issueStock,
+  setReorderLevel,
+} from "../controllers/consumable.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("create_consumable"), createConsumable);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_consumable"), getAllConsumables);
+
+// specific routes before /:id
+router
+  .route("/low-stock")
+  .get(authenticateJWT, authorizePermission("view_consumable"), getLowStockReport);
+
+router
+  .route("/ledger")
+  .get(authenticateJWT, authorizePermission("view_consumable"), getStockLedger);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_consumable"), getConsumableById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_consumable"), updateConsumable)
+  .delete(authenticateJWT, authorizePermission("delete_consumable"), deleteConsumable);
+
+// 📦 Stock movements
+router
+  .route("/:id/inward")
+  .post(upload.none(), authenticateJWT, authorizePermission("receive_stock"), receiveStock);
+
+router
+  .route("/:id/issue")
+  .post(upload.none(), authenticateJWT, authorizePermission("issue_stock"), issueStock);
+
+router
+  .route("/:id/reorder-level")
+  .patch(upload.none(), authenticateJWT, authorizePermission("edit_consumable"), setReorderLevel);
+
+export default router;
@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  requestDisposal,
+  getAllDisposals,
+  getDisposalById,
+  approveDisposal,
+  rejectDisposal,
+  escalateDisposal,
+  completeDisposal,
+  cancelDisposal,
+} from "../controllers/disposal.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/request")
+  .post(upload.none(), authenticateJWT, authorizePermission("request_disposal"), requestDisposal);
+
+// visibility (branch / requester / approver) is checked in the controller
+router.route("/").get(authenticateJWT, getAllDisposals);
+router.route("/:id").get(authenticateJWT, getDisposalById);
+
+// ✅ Approval chain
+router
+  .route("/:id/approve")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_disposal"), approveDisposal);
+router
+  .route("/:id/reject")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_disposal"), rejectDisposal);
+router
+  .route("/:id/escalate")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_disposal"), escalateDisposal);
+
+router.route("/:id/complete").patch(upload.none(), authenticateJWT, completeDisposal);
+router.route("/:id/cancel").patch(authenticateJWT, cancelDisposal);
+
+export default router;
@@ -6,6 +6,7 @@ import {
   deleteEnterprise,
 } from "../controllers/enterprise.controllers.js";
 import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
 import { upload } from "../middlewares/multer.middleware.js";
 
 const router = express.Router();
@@ -23,7 +24,7 @@ router
 
 router
   .route("/:id")
-  .put(authenticateJWT, updateEnterprise)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_enterprise"), updateEnterprise)
   .delete(authenticateJWT, deleteEnterprise);
 
 export default router;
@@ -0,0 +1,41 @@
+import { Router } from "express";
+import {
+  raiseTicket,
+  getTicketQueue,
+  getMyTickets,
+  getTicketById,
+  updateTicket,
+  assignTicket,
+  updateTicketStatus,
+  addTicketComment,
+} from "../controllers/helpdesk.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+// any logged-in user can raise a ticket for themselves
+router.route("/create").post(upload.none(), authenticateJWT, raiseTicket);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_tickets"), getTicketQueue);
+
+// specific route before /:id
+router.route("/mine").get(authenticateJWT, getMyTickets);
+
+// requester / staff visibility is checked in the controller
+router
+  .route("/:id")
+  .get(authenticateJWT, getTicketById)
+  .put(upload.none(), authenticateJWT, authorizePermission("manage_tickets"), updateTicket);
+
+router
+  .route("/:id/assign")
+  .patch(upload.none(), authenticateJWT, authorizePermission("manage_tickets"), assignTicket);
+router
+  .route("/:id/status")
+  .patch(upload.none(), authenticateJWT, authorizePermission("manage_tickets"), updateTicketStatus);
+
+router.route("/:id/comments").post(upload.none(), authenticateJWT, addTicketComment);
+
+export default router;
@@ -0,0 +1,38 @@
+import { Router } from "express";
+import {
+  createLicense,
+  getAllLicenses,
+  getLicenseById,
+  updateLicense,
+  deleteLicense,
+  assignLicenseSeat,
+  releaseLicenseSeat,
+} from "../controllers/license.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("create_license"), createLicense);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_license"), getAllLicenses);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_license"), getLicenseById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_license"), updateLicense)
+  .delete(authenticateJWT, authorizePermission("delete_license"), deleteLicense);
+
+// 🎟️ Seats
+router
+  .route("/:id/seats")
+  .post(upload.none(), authenticateJWT, authorizePermission("assign_license"), assignLicenseSeat);
+
+router
+  .route("/:id/seats/:seatId/release")
+  .patch(authenticateJWT, authorizePermission("assign_license"), releaseLicenseSeat);
+
+export default router;
@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  raiseMaintenanceTicket,
+  getAllMaintenanceTickets,
+  getMaintenanceTicketById,
+  assignTechnician,
+  updateMaintenanceStatus,
+} from "../controllers/maintenance.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+// anyone who can see the asset can report it broken
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("view_asset"), raiseMaintenanceTicket);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_asset"), getAllMaintenanceTickets);
+router.route("/:id").get(authenticateJWT, authorizePermission("view_asset"), getMaintenanceTicketById);
+
+router
+  .route("/:id/assign")
+  .patch(upload.none(), authenticateJWT, authorizePermission("manage_maintenance"), assignTechnician);
+router
+  .route("/:id/status")
+  .patch(
+    upload.none(),
+    authenticateJWT,
+    authorizePermission("manage_maintenance"),
+    updateMaintenanceStatus
+  );
+
+export default router;
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import {
+  createSubnet,
+  getAllSubnets,
+  getSubnetById,
+  updateSubnet,
+  deleteSubnet,
+  getNextFreeAddresses,
+  allocateIp,
+  getAllocations,
+  releaseAllocation,
+  registerMacAddress,
+  getMacAddresses,
+  removeMacAddress,
+  getNetworkConflicts,
+} from "../controllers/network.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+// 🌐 Subnets
+router
+  .route("/subnets/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("manage_network"), createSubnet);
+router
+  .route("/subnets")
+  .get(authenticateJWT, authorizePermission("view_network"), getAllSubnets);
+router
+  .route("/subnets/:id/next-free")
+  .get(authenticateJWT, authorizePermission("view_network"), getNextFreeAddresses);
+router
+  .route("/subnets/:id")
+  .get(authenticateJWT, authorizePermission("view_network"), getSubnetById)
+  .put(upload.none(), authenticateJWT, authorizePermission("manage_network"), updateSubnet)
+  .delete(authenticateJWT, authorizePermission("manage_network"), deleteSubnet);
+
+// 📌 IP allocations
+router
+  .route("/allocations/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("manage_network"), allocateIp);
+router
+  .route("/allocations")
+  .get(authenticateJWT, authorizePermission("view_network"), getAllocations);
+router
+  .route("/allocations/:id/release")
+  .patch(authenticateJWT, authorizePermission("manage_network"), releaseAllocation);
+
+// 🔌 MAC registry
+router
+  .route("/macs/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("manage_network"), registerMacAddress);
+router
+  .route("/macs")
+  .get(authenticateJWT, authorizePermission("view_network"), getMacAddresses);
+router
+  .route("/macs/:id")
+  .delete(authenticateJWT, authorizePermission("manage_network"), removeMacAddress);
+
+router
+  .route("/conflicts")
+  .get(authenticateJWT, authorizePermission("view_network"), getNetworkConflicts);
+
+export default router;
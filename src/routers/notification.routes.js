@@ -0,0 +1,13 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  markNotificationRead,
+} from "../controllers/notification.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+
+router.route("/").get(authenticateJWT, getNotifications);
+router.route("/:id/read").patch(authenticateJWT, markNotificationRead);
+
+export default router;
@@ -0,0 +1,28 @@
+import { Router } from "express";
+import {
+  getAllOffboardingCases,
+  getOffboardingCaseById,
+  resolveChecklistItem,
+  closeOffboardingCase,
+} from "../controllers/offboarding.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+// cases are opened by deleteUser / toggleUserStatus, not created directly
+router
+  .route("/")
+  .get(authenticateJWT, authorizePermission("view_offboarding"), getAllOffboardingCases);
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_offboarding"), getOffboardingCaseById);
+router
+  .route("/:id/items/:itemId")
+  .patch(upload.none(), authenticateJWT, authorizePermission("manage_offboarding"), resolveChecklistItem);
+router
+  .route("/:id/close")
+  .patch(upload.none(), authenticateJWT, authorizePermission("manage_offboarding"), closeOffboardingCase);
+
+export default router;
@@ -0,0 +1,61 @@
+import { Router } from "express";
+import {
+  raiseRequisition,
+  getAllRequisitions,
+  getRequisitionById,
+  approveRequisition,
+  rejectRequisition,
+  escalateRequisition,
+  cancelRequisition,
+} from "../controllers/requisition.controllers.js";
+import {
+  createPurchaseOrder,
+  getAllPurchaseOrders,
+  getPurchaseOrderById,
+  receiveGoods,
+  cancelPurchaseOrder,
+} from "../controllers/purchaseOrder.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+// 📝 Requisitions
+router
+  .route("/requisitions/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("raise_requisition"), raiseRequisition);
+
+// visibility (branch / requester / approver) is checked in the controller
+router.route("/requisitions").get(authenticateJWT, getAllRequisitions);
+router.route("/requisitions/:id").get(authenticateJWT, getRequisitionById);
+
+router
+  .route("/requisitions/:id/approve")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_requisition"), approveRequisition);
+router
+  .route("/requisitions/:id/reject")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_requisition"), rejectRequisition);
+router
+  .route("/requisitions/:id/escalate")
+  .patch(upload.none(), authenticateJWT, authorizePermission("approve_requisition"), escalateRequisition);
+router.route("/requisitions/:id/cancel").patch(authenticateJWT, cancelRequisition);
+
+// 🧾 Purchase orders
+router
+  .route("/orders/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("create_purchase_order"), createPurchaseOrder);
+router
+  .route("/orders")
+  .get(authenticateJWT, authorizePermission("view_purchase"), getAllPurchaseOrders);
+router
+  .route("/orders/:id")
+  .get(authenticateJWT, authorizePermission("view_purchase"), getPurchaseOrderById);
+router
+  .route("/orders/:id/receive")
+  .post(upload.none(), authenticateJWT, authorizePermission("receive_goods"), receiveGoods);
+router
+  .route("/orders/:id/cancel")
+  .patch(authenticateJWT, authorizePermission("create_purchase_order"), cancelPurchaseOrder);
+
+export default router;
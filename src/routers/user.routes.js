@@ -23,6 +23,16 @@ import {
 } from "../controllers/reporting.controller.js";
 import { changeUserRole } from "../controllers/user.controllers.js";
  import { assignReportingTo } from "../controllers/assignReporting.controller.js";
+import { getUserAssets } from "../controllers/assetCustody.controllers.js";
+import { getUserLicenses } from "../controllers/license.controllers.js";
+import { resetUserTwoFactor } from "../controllers/twoFactor.controllers.js";
+import {
+  getUserSessions,
+  revokeUserSession,
+  setUserDeviceLimit,
+} from "../controllers/session.controllers.js";
+import { unlockUser, getLockedAccountsReport } from "../controllers/lockout.controllers.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
 import {upload} from "../middlewares/multer.middleware.js"
 
 const router = Router();
@@ -30,6 +40,9 @@ const router = Router();
 // specific route first
 router.route("/change-role").put(upload.none(), authenticateJWT, changeUserRole)
 
+// locked accounts per branch (before "/:id" so "locked" is not read as an id)
+router.route("/locked").get(authenticateJWT, authorizePermission("unlock_user"), getLockedAccountsReport)
+
 // Only logged-in admins or super admins can create users
 router.route("/register").post(upload.none(),authenticateJWT, registerUser)
 router.route("/").get(upload.none(),authenticateJWT, getAllUsers)
@@ -50,4 +63,21 @@ router.route("/:id/subordinates").get( upload.none(), authenticateJWT, getSubord
 router.route("/reporting/:id").delete( upload.none(), authenticateJWT, removeReportingAuthority);
 router.route("/hierarchy/:id").get( upload.none(), authenticateJWT, getUserHierarchy);
 
+// assets currently held by the user
+router.route("/:id/assets").get(authenticateJWT, authorizePermission("view_asset"), getUserAssets);
+
+// license seats currently held by the user
+router.route("/:id/licenses").get(authenticateJWT, authorizePermission("view_license"), getUserLicenses);
+
+// lost authenticator: clear 2FA so the user enrols again at next login
+router.route("/:id/2fa/reset").post(authenticateJWT, authorizePermission("reset_two_factor"), resetUserTwoFactor);
+
+// devices of a user below the caller's role level
+router.route("/:id/sessions").get(authenticateJWT, authorizePermission("manage_sessions"), getUserSessions);
+router.route("/:id/sessions/:deviceId").delete(authenticateJWT, authorizePermission("manage_sessions"), revokeUserSession);
+router.route("/:id/device-limit").patch(upload.none(), authenticateJWT, authorizePermission("manage_sessions"), setUserDeviceLimit);
+
+// clear a temporary or permanent login lock
+router.route("/:id/unlock").post(authenticateJWT, authorizePermission("unlock_user"), unlockUser);
+
 export default router;
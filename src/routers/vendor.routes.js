@@ -0,0 +1,33 @@
+import { Router } from "express";
+import {
+  createVendor,
+  getAllVendors,
+  getVendorSpendReport,
+  getVendorById,
+  updateVendor,
+  deleteVendor,
+} from "../controllers/vendor.controllers.js";
+import { authenticateJWT } from "../middlewares/auth.middleware.js";
+import { authorizePermission } from "../middlewares/authorizePermission.js";
+import { upload } from "../middlewares/multer.middleware.js";
+
+const router = Router();
+
+router
+  .route("/create")
+  .post(upload.none(), authenticateJWT, authorizePermission("create_vendor"), createVendor);
+
+router.route("/").get(authenticateJWT, authorizePermission("view_vendor"), getAllVendors);
+
+// specific route before /:id
+router
+  .route("/spend-report")
+  .get(authenticateJWT, authorizePermission("view_vendor"), getVendorSpendReport);
+
+router
+  .route("/:id")
+  .get(authenticateJWT, authorizePermission("view_vendor"), getVendorById)
+  .put(upload.none(), authenticateJWT, authorizePermission("edit_vendor"), updateVendor)
+  .delete(authenticateJWT, authorizePermission("delete_vendor"), deleteVendor);
+
+export default router;
@@ -0,0 +1,50 @@
+// services/license.service.js
+import { LicenseSeat } from "../models/licenseSeat.model.js";
+import { SoftwareLicense } from "../models/softwareLicense.model.js";
+
+/**
+ * Release active seats matching `filter` and give them back to their license pools.
+ * @param {Object} filter - extra LicenseSeat filter, e.g. { user: userId }
+ * @param {ObjectId} performedBy - user releasing the seats
+ * @param {string} reason - one of LicenseSeat.releaseReason
+ * @returns {Promise<Array>} released seats (with license populated)
+ */
+export const releaseSeats = async (filter, performedBy, reason = "manual") => {
+  const seats = await LicenseSeat.find({ ...filter, releasedAt: null }).populate(
+    "license",
+    "productName"
+  );
+  if (!seats.length) return [];
+
+  const releasedAt = new Date();
+  const released = [];
+
+  for (const seat of seats) {
+    // conditional update so a seat is never released (and counted back) twice
+    const result = await LicenseSeat.updateOne(
+      { _id: seat._id, releasedAt: null },
+      { $set: { releasedAt, releasedBy: performedBy, releaseReason: reason } }
+    );
+    if (result.modifiedCount !== 1) continue;
+
+    await SoftwareLicense.updateOne(
+      { _id: seat.license._id, usedSeats: { $gt: 0 } },
+      { $inc: { usedSeats: -1 } }
+    );
+    released.push(seat);
+  }
+
+  return released;
+};
+
+/**
+ * Release every seat a user holds (used when offboarding / soft-deleting a user).
+ */
+export const releaseUserSeats = (userId, performedBy, reason = "user-offboarded") =>
+  releaseSeats({ user: userId }, performedBy, reason);
+
+/**
+ * Release every seat installed on an asset (used when deleting / disposing of it).
+ */
+export const releaseAssetSeats = (assetId, performedBy, reason = "asset-removed") =>
+  releaseSeats({ asset: assetId }, performedBy, reason);
@@ -0,0 +1,157 @@
+// services/lockout.service.js
+import { Branch } from "../models/branch.model.js";
+import { Enterprise } from "../models/enterprise.model.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Ladder used when an enterprise has not configured its own:
+ * 3 wrong attempts per step, locked 1 / 3 / 5 minutes, permanent on the 4th lock.
+ */
+export const DEFAULT_LOCKOUT_POLICY = Object.freeze({
+  maxFailedAttempts: 3,
+  lockDurationsMinutes: [1, 3, 5],
+  permanentLockAfter: 4,
+});
+
+/**
+ * Validate a lockout policy sent by an admin (JSON body or a JSON string from form data).
+ * `permanentLockAfter` = lock number that becomes permanent; 0 disables permanent locks,
+ * in which case the last duration repeats.
+ * @param {Object|string} input
+ * @returns {{ maxFailedAttempts: number, lockDurationsMinutes: number[], permanentLockAfter: number }}
+ */
+export const normalizeLockoutPolicy = (input) => {
+  let policy = input;
+  if (typeof policy === "string") {
+    try {
+      policy = JSON.parse(policy);
+    } catch {
+      throw new apiError(400, "lockoutPolicy must be valid JSON");
+    }
+  }
+  if (!policy || typeof policy !== "object") throw new apiError(400, "lockoutPolicy is required");
+
+  const errors = [];
+  const maxFailedAttempts = Number(policy.maxFailedAttempts ?? DEFAULT_LOCKOUT_POLICY.maxFailedAttempts);
+  const lockDurationsMinutes = (policy.lockDurationsMinutes ?? DEFAULT_LOCKOUT_POLICY.lockDurationsMinutes).map(Number);
+  const permanentLockAfter = Number(policy.permanentLockAfter ?? DEFAULT_LOCKOUT_POLICY.permanentLockAfter);
+
+  if (!Number.isInteger(maxFailedAttempts) || maxFailedAttempts < 1 || maxFailedAttempts > 20)
+    errors.push("maxFailedAttempts must be a whole number between 1 and 20");
+  if (
+    !lockDurationsMinutes.length ||
+    lockDurationsMinutes.some((m) => !Number.isInteger(m) || m < 1 || m > 7 * 24 * 60)
+  )
+    errors.push("lockDurationsMinutes must be a list of whole minutes between 1 and 10080");
+  if (!Number.isInteger(permanentLockAfter) || permanentLockAfter < 0 || permanentLockAfter > 50)
+    errors.push("permanentLockAfter must be a whole number between 0 (never) and 50");
+
+  if (errors.length) throw new apiError(400, "Invalid lockout policy", errors);
+  return { maxFailedAttempts, lockDurationsMinutes, permanentLockAfter };
+};
+
+/**
+ * Lockout policy of the enterprise the user's home branch belongs to.
+ * @param {User} user
+ * @returns {Promise<typeof DEFAULT_LOCKOUT_POLICY>}
+ */
+export const getLockoutPolicy = async (user) => {
+  const branch = user?.branch
+    ? await Branch.findById(user.branch._id || user.branch).select("enterprise")
+    : null;
+  const enterprise = branch?.enterprise
+    ? await Enterprise.findById(branch.enterprise).select("lockoutPolicy").lean()
+    : null;
+
+  const policy = enterprise?.lockoutPolicy;
+  if (!policy?.maxFailedAttempts || !policy.lockDurationsMinutes?.length) return DEFAULT_LOCKOUT_POLICY;
+  return policy;
+};
+
+/**
+ * Count one failed attempt on the login (not saved) and climb the ladder when the
+ * step is used up.
+ * @param {UserLogin} login
+ * @param {typeof DEFAULT_LOCKOUT_POLICY} policy
+ * @returns {{ locked: boolean, permanent: boolean, lockMinutes: number, attemptsLeft: number }}
+ */
+export const applyFailedAttempt = (login, policy) => {
+  login.failedLoginAttempts += 1;
+
+  if (login.failedLoginAttempts < policy.maxFailedAttempts) {
+    return {
+      locked: false,
+      permanent: false,
+      lockMinutes: 0,
+      attemptsLeft: policy.maxFailedAttempts - login.failedLoginAttempts,
+    };
+  }
+
+  login.lockLevel += 1;
+  login.failedLoginAttempts = 0;
+  login.lockedAt = new Date();
+
+  if (policy.permanentLockAfter && login.lockLevel >= policy.permanentLockAfter) {
+    login.isPermanentlyLocked = true;
+    login.lockUntil = null;
+    return { locked: true, permanent: true, lockMinutes: 0, attemptsLeft: 0 };
+  }
+
+  const durations = policy.lockDurationsMinutes;
+  const lockMinutes = durations[Math.min(login.lockLevel, durations.length) - 1];
+  login.lockUntil = new Date(Date.now() + lockMinutes * 60000);
+  return { locked: true, permanent: false, lockMinutes, attemptsLeft: 0 };
+};
+
+/**
+ * Clear every lock and counter on the login (not saved).
+ * @param {UserLogin} login
+ */
+export const clearLockout = (login) => {
+  login.failedLoginAttempts = 0;
+  login.lockLevel = 0;
+  login.lockUntil = null;
+  login.lockedAt = null;
+  login.isPermanentlyLocked = false;
+};
+
+/**
+ * Message for a locked account, or null when it may try again.
+ * @param {UserLogin} login
+ * @returns {string|null}
+ */
+export const getLockMessage = (login) => {
+  if (login.isPermanentlyLocked)
+    return "Account permanently locked. Contact Administrator or Enterprise Admin.";
+
+  if (login.lockUntil && login.lockUntil > new Date()) {
+    const remainingMin = Math.ceil((login.lockUntil - new Date()) / 60000);
+    return `Account temporarily locked. Try again in ${remainingMin} minute(s).`;
+  }
+  return null;
+};
+
+/**
+ * Count a wrong password / 2FA code on any endpoint that checks one, climb the
+ * enterprise's lock ladder and save.
+ * @param {UserLogin} login
+ * @param {User} [user] - owner (needs `branch`); defaults to the populated login.user
+ * @returns {Promise<{ status: number, message: string }>} response for the caller
+ */
+export const registerFailedAttempt = async (login, user = login.user) => {
+  const policy = await getLockoutPolicy(user);
+  const outcome = applyFailedAttempt(login, policy);
+  await login.save({ validateBeforeSave: false });
+
+  if (outcome.permanent)
+    return { status: 403, message: "Account permanently locked. Please contact Administrator." };
+  if (outcome.locked)
+    return {
+      status: 403,
+      message: `Account locked for ${outcome.lockMinutes} minute(s) due to multiple failed attempts.`,
+    };
+  return {
+    status: 401,
+    message: `Invalid credentials. ${outcome.attemptsLeft} attempt(s) left.`,
+  };
+};
@@ -0,0 +1,60 @@
+// services/mail.service.js
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Outgoing mail goes through one transport: an object with `send(message)`.
+ * The built-in ones are for development; production code registers a real
+ * transport (SMTP, SES, ...) at startup with setMailTransport().
+ * message = { to, subject, text, html? }
+ */
+const consoleTransport = {
+  name: "console",
+  send: async (message) => {
+    console.log(
+      `📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}\n`
+    );
+  },
+};
+
+// one .json file per message in MAIL_OUTBOX_DIR (default ./mail-outbox)
+const fileTransport = {
+  name: "file",
+  send: async (message) => {
+    const dir = process.env.MAIL_OUTBOX_DIR || "mail-outbox";
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  },
+};
+
+const BUILT_IN_TRANSPORTS = { console: consoleTransport, file: fileTransport };
+
+let activeTransport = null;
+
+/**
+ * Replace the mail transport (e.g. an SMTP adapter in server startup).
+ * @param {{ send: (message: Object) => Promise<void>, name?: string }} transport
+ */
+export const setMailTransport = (transport) => {
+  if (typeof transport?.send !== "function") throw new Error("Mail transport needs a send()");
+  activeTransport = transport;
+};
+
+// console is only a fallback in development; production must configure a transport
+const getTransport = () => {
+  const transport = activeTransport || BUILT_IN_TRANSPORTS[process.env.MAIL_TRANSPORT];
+  if (transport) return transport;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("No mail transport configured: call setMailTransport() or set MAIL_TRANSPORT");
+  }
+  return consoleTransport;
+};
+
+/**
+ * Send one message with the configured transport.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export const sendMail = async (message) => {
+  await getTransport().send({ from: process.env.MAIL_FROM || "no-reply@abcd-it.local", ...message });
+};
@@ -0,0 +1,139 @@
+// services/offboarding.service.js
+import { Asset } from "../models/asset.model.js";
+import { LicenseSeat } from "../models/licenseSeat.model.js";
+import { OffboardingCase } from "../models/offboardingCase.model.js";
+import { releaseUserSeats } from "./license.service.js";
+import { revokeUserSessions } from "./session.service.js";
+
+const itemKey = (item) => (item.asset || item.licenseSeat).toString();
+
+/**
+ * Offboard a user who was deactivated or deleted: revoke every device session
+ * and open (or extend) a return checklist of the assets and license seats they hold.
+ * Deleting a user still releases their seats straight away; those lines are
+ * recorded as returned.
+ * @param {User} targetUser
+ * @param {ObjectId} performedBy
+ * @param {"deactivated"|"deleted"} trigger
+ * @returns {Promise<{ offboarding: OffboardingCase, releasedSeats: Array }>}
+ */
+export const startOffboarding = async (targetUser, performedBy, trigger) => {
+  const sessionsRevoked = await revokeUserSessions([targetUser._id]);
+
+  const releasedSeats =
+    trigger === "deleted" ? await releaseUserSeats(targetUser._id, performedBy) : [];
+
+  const [assets, seats] = await Promise.all([
+    Asset.find({ assignedTo: targetUser._id, isDeleted: { $ne: true } }).select("assetTag assetName"),
+    LicenseSeat.find({ user: targetUser._id, releasedAt: null }).populate("license", "productName"),
+  ]);
+
+  // a deactivated user who is now deleted keeps the same case
+  const offboarding =
+    (await OffboardingCase.findOne({ user: targetUser._id, status: "open" })) ||
+    new OffboardingCase({
+      user: targetUser._id,
+      branch: targetUser.branch?._id || targetUser.branch,
+      initiatedBy: performedBy,
+    });
+  offboarding.trigger = trigger;
+  offboarding.sessionsRevoked += sessionsRevoked;
+
+  const known = new Map(offboarding.items.map((i) => [itemKey(i), i]));
+
+  for (const asset of assets) {
+    if (known.has(asset._id.toString())) continue;
+    offboarding.items.push({
+      kind: "asset",
+      asset: asset._id,
+      label: `${asset.assetTag} ${asset.assetName}`,
+    });
+  }
+  for (const seat of seats) {
+    if (known.has(seat._id.toString())) continue;
+    offboarding.items.push({ kind: "license", licenseSeat: seat._id, label: seat.license?.productName });
+  }
+
+  const resolvedAt = new Date();
+  for (const seat of releasedSeats) {
+    const item = known.get(seat._id.toString());
+    const resolution = {
+      status: "returned",
+      resolvedBy: performedBy,
+      resolvedAt,
+      note: "Seat released when the user was deleted",
+    };
+    if (item) {
+      if (item.status === "pending") Object.assign(item, resolution);
+    } else {
+      offboarding.items.push({
+        kind: "license",
+        licenseSeat: seat._id,
+        label: seat.license?.productName,
+        ...resolution,
+      });
+    }
+  }
+
+  await offboarding.save();
+  return { offboarding, releasedSeats };
+};
+
+/**
+ * Cancel the user's open case (user reactivated or restored).
+ * @param {ObjectId} userId
+ * @param {ObjectId} performedBy
+ */
+export const cancelOffboarding = (userId, performedBy) =>
+  OffboardingCase.findOneAndUpdate(
+    { user: userId, status: "open" },
+    {
+      $set: {
+        status: "cancelled",
+        closedBy: performedBy,
+        closedAt: new Date(),
+        closingNote: "User reactivated",
+      },
+    },
+    { new: true }
+  );
+
+/**
+ * Tick off checklist lines that were settled outside the checklist
+ * (asset checked in through the custody flow, seat released from the license).
+ * @param {OffboardingCase} offboarding
+ * @returns {Promise<OffboardingCase>}
+ */
+export const syncChecklist = async (offboarding) => {
+  const pending = offboarding.items.filter((i) => i.status === "pending");
+  if (!pending.length) return offboarding;
+
+  const [assets, seats] = await Promise.all([
+    Asset.find({ _id: { $in: pending.map((i) => i.asset).filter(Boolean) } }).select("assignedTo"),
+    LicenseSeat.find({ _id: { $in: pending.map((i) => i.licenseSeat).filter(Boolean) } }).select(
+      "releasedAt releasedBy"
+    ),
+  ]);
+  const assetMap = new Map(assets.map((a) => [a._id.toString(), a]));
+  const seatMap = new Map(seats.map((s) => [s._id.toString(), s]));
+
+  for (const item of pending) {
+    if (item.kind === "asset") {
+      const asset = assetMap.get(item.asset.toString());
+      if (asset && asset.assignedTo?.toString() === offboarding.user.toString()) continue;
+      Object.assign(item, { status: "returned", resolvedAt: new Date(), note: "Checked in outside the checklist" });
+    } else {
+      const seat = seatMap.get(item.licenseSeat.toString());
+      if (seat && !seat.releasedAt) continue;
+      Object.assign(item, {
+        status: "returned",
+        resolvedBy: seat?.releasedBy || null,
+        resolvedAt: seat?.releasedAt || new Date(),
+        note: "Seat released from the license",
+      });
+    }
+  }
+
+  if (offboarding.isModified()) await offboarding.save();
+  return offboarding;
+};
@@ -0,0 +1,168 @@
+// services/password.service.js
+import bcrypt from "bcrypt";
+import { Branch } from "../models/branch.model.js";
+import { Enterprise } from "../models/enterprise.model.js";
+import { UserLogin, PASSWORD_HISTORY_LIMIT } from "../models/userLogin.model.js";
+import { BANNED_PASSWORDS } from "../config/bannedPasswords.js";
+import { apiError } from "../utils/apiError.js";
+
+/**
+ * Rules used when an enterprise has not configured its own.
+ * historyCount = recent passwords (current one included) that may not be reused, 0 = off.
+ * maxAgeDays = days before a password must be changed, 0 = never expires.
+ */
+export const DEFAULT_PASSWORD_POLICY = Object.freeze({
+  minLength: 8,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireDigit: true,
+  requireSymbol: false,
+  blockCommonPasswords: true,
+  historyCount: 5,
+  maxAgeDays: 0,
+  expiryWarningDays: 14,
+});
+
+const BOOLEAN_RULES = [
+  "requireUppercase",
+  "requireLowercase",
+  "requireDigit",
+  "requireSymbol",
+  "blockCommonPasswords",
+];
+
+/**
+ * Validate a password policy sent by an admin (JSON body or a JSON string from form data).
+ * Missing keys fall back to DEFAULT_PASSWORD_POLICY.
+ * @param {Object|string} input
+ * @returns {typeof DEFAULT_PASSWORD_POLICY}
+ */
+export const normalizePasswordPolicy = (input) => {
+  let policy = input;
+  if (typeof policy === "string") {
+    try {
+      policy = JSON.parse(policy);
+    } catch {
+      throw new apiError(400, "passwordPolicy must be valid JSON");
+    }
+  }
+  if (!policy || typeof policy !== "object") throw new apiError(400, "passwordPolicy is required");
+
+  const errors = [];
+  const wholeNumber = (key, min, max) => {
+    const value = Number(policy[key] ?? DEFAULT_PASSWORD_POLICY[key]);
+    if (!Number.isInteger(value) || value < min || value > max)
+      errors.push(`${key} must be a whole number between ${min} and ${max}`);
+    return value;
+  };
+
+  const normalized = {
+    minLength: wholeNumber("minLength", 6, 128),
+    historyCount: wholeNumber("historyCount", 0, PASSWORD_HISTORY_LIMIT),
+    maxAgeDays: wholeNumber("maxAgeDays", 0, 3650),
+    expiryWarningDays: wholeNumber("expiryWarningDays", 0, 90),
+  };
+  for (const key of BOOLEAN_RULES) {
+    const value = policy[key] ?? DEFAULT_PASSWORD_POLICY[key];
+    normalized[key] = value === true || value === "true";
+  }
+
+  if (errors.length) throw new apiError(400, "Invalid password policy", errors);
+  return normalized;
+};
+
+/**
+ * Password policy of the enterprise the user's home branch belongs to.
+ * @param {User} user - needs `branch`
+ * @returns {Promise<typeof DEFAULT_PASSWORD_POLICY>}
+ */
+export const getPasswordPolicy = async (user) => {
+  const branch = user?.branch
+    ? await Branch.findById(user.branch._id || user.branch).select("enterprise")
+    : null;
+  const enterprise = branch?.enterprise
+    ? await Enterprise.findById(branch.enterprise).select("passwordPolicy").lean()
+    : null;
+
+  return { ...DEFAULT_PASSWORD_POLICY, ...(enterprise?.passwordPolicy || {}) };
+};
+
+// "P@ssword2024!" -> "password": common words dressed up with digits and symbols
+const isCommonPassword = (password) => {
+  const lower = password.toLowerCase();
+  const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, "");
+  return BANNED_PASSWORDS.has(lower) || (core.length > 0 && BANNED_PASSWORDS.has(core));
+};
+
+/**
+ * Every rule the password breaks, as readable messages (empty when it passes).
+ * @param {string} password
+ * @param {typeof DEFAULT_PASSWORD_POLICY} policy
+ * @param {{ loginId?: ObjectId }} [context] - loginId enables the reuse rule
+ * @returns {Promise<string[]>}
+ */
+export const checkPasswordPolicy = async (password, policy, { loginId } = {}) => {
+  const failures = [];
+  const value = String(password ?? "");
+
+  if (value.length < policy.minLength)
+    failures.push(`Must be at least ${policy.minLength} characters long`);
+  if (policy.requireUppercase && !/[A-Z]/.test(value))
+    failures.push("Must contain an uppercase letter");
+  if (policy.requireLowercase && !/[a-z]/.test(value))
+    failures.push("Must contain a lowercase letter");
+  if (policy.requireDigit && !/[0-9]/.test(value)) failures.push("Must contain a digit");
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value))
+    failures.push("Must contain a symbol");
+  if (policy.blockCommonPasswords && isCommonPassword(value))
+    failures.push("Is too common, choose a less predictable password");
+
+  // 🔁 Current hash plus the newest history entries
+  if (policy.historyCount > 0 && loginId) {
+    const login = await UserLogin.findById(loginId).select("+password +passwordHistory");
+    const previous =
+      policy.historyCount > 1 ? (login?.passwordHistory || []).slice(-(policy.historyCount - 1)) : [];
+    const recent = [login?.password, ...previous].filter(Boolean);
+
+    for (const hash of recent) {
+      if (await bcrypt.compare(value, hash)) {
+        failures.push(`Must not match any of your last ${policy.historyCount} password(s)`);
+        break;
+      }
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Same as checkPasswordPolicy but throws a 400 listing each failed rule.
+ * @throws {apiError}
+ */
+export const assertPasswordPolicy = async (password, policy, context) => {
+  const failures = await checkPasswordPolicy(password, policy, context);
+  if (failures.length)
+    throw new apiError(400, "Password does not meet the password policy", failures);
+};
+
+/**
+ * Expiry status of the current password, or null when the policy never expires passwords.
+ * @param {UserLogin} login
+ * @param {typeof DEFAULT_PASSWORD_POLICY} policy
+ * @returns {{ expiresAt: Date, daysLeft: number, expired: boolean, warn: boolean }|null}
+ */
+export const getPasswordExpiry = (login, policy) => {
+  if (!policy.maxAgeDays) return null;
+
+  const changedAt = login.passwordChangedAt || login.createdAt;
+  if (!changedAt) return null;
+
+  const expiresAt = new Date(new Date(changedAt).getTime() + policy.maxAgeDays * 86400000);
+  const daysLeft = Math.ceil((expiresAt - Date.now()) / 86400000);
+  return {
+    expiresAt,
+    daysLeft: Math.max(daysLeft, 0),
+    expired: expiresAt <= new Date(),
+    warn: daysLeft <= policy.expiryWarningDays,
+  };
+};
@@ -0,0 +1,202 @@
+// services/session.service.js
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { v4 as uuidv4 } from "uuid";
+import { UserLogin } from "../models/userLogin.model.js";
+import { ActivityLog } from "../models/activityLog.model.js";
+
+/**
+ * End every device session of the given users: open login history entries are
+ * closed and refresh tokens cleared, so no device can renew its access token.
+ * @param {Array<ObjectId>} userIds
+ * @returns {Promise<number>} devices that still had a live refresh token
+ */
+export const revokeUserSessions = async (userIds) => {
+  const logins = await UserLogin.find({ user: { $in: userIds } });
+  const now = new Date();
+  let revoked = 0;
+
+  for (const login of logins) {
+    for (const device of login.loggedInDevices) {
+      device.loginHistory?.forEach((s) => {
+        if (!s.logoutAt) s.logoutAt = now;
+      });
+      if (device.refreshToken) revoked += 1;
+      device.refreshToken = null;
+      device.refreshFamily = null;
+    }
+    login.isLoggedIn = false;
+    login.markModified("loggedInDevices");
+    await login.save({ validateBeforeSave: false });
+  }
+
+  invalidateSessionCache(userIds);
+  return revoked;
+};
+
+/**
+ * Devices a user may be logged in on at once: the per-user limit, raised by the role's.
+ * @param {UserLogin} login
+ * @param {UserRole|null} role
+ * @returns {number}
+ */
+export const getDeviceLimit = (login, role) =>
+  Math.max(login.maxAllowedDevices || 0, role?.maxAllowedDevices || 0) || 2;
+
+/**
+ * Session list for the API: newest activity first, without refresh tokens.
+ * @param {UserLogin} login
+ * @param {string|null} currentDeviceId - device of the calling access token
+ * @returns {Array<Object>}
+ */
+export const describeSessions = (login, currentDeviceId = null) =>
+  login.loggedInDevices
+    .map((d) => {
+      const last = d.loginHistory[d.loginHistory.length - 1];
+      return {
+        deviceId: d.deviceId,
+        ipAddress: d.ipAddress,
+        userAgent: d.userAgent,
+        loginCount: d.loginCount,
+        lastLoginAt: last?.loginAt || null,
+        lastSeenAt: d.lastSeenAt || last?.loginAt || null,
+        active: !!d.refreshToken && !!last && !last.logoutAt,
+        current: !!currentDeviceId && d.deviceId === currentDeviceId,
+      };
+    })
+    .sort((a, b) => (b.lastSeenAt || 0) - (a.lastSeenAt || 0));
+
+/**
+ * Sign one device out and drop it from the list, freeing its device slot.
+ * @param {ObjectId} userId
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} false when the device is unknown
+ */
+export const revokeDevice = async (userId, deviceId) => {
+  const login = await UserLogin.findOne({ user: userId });
+  const device = login?.loggedInDevices.find((d) => d.deviceId === deviceId);
+  if (!device) return false;
+
+  login.loggedInDevices.pull(device._id);
+  login.isLoggedIn = login.loggedInDevices.some((d) =>
+    d.loginHistory.some((s) => !s.logoutAt)
+  );
+  await login.save({ validateBeforeSave: false });
+  invalidateSessionCache(userId);
+  return true;
+};
+
+/* ============================================================
+   ♻️ REFRESH TOKEN ROTATION
+   Each login starts a token family on the device; every refresh swaps the
+   stored hash for the next token of the same family. A token of the current
+   family whose hash is no longer stored was already rotated away, i.e. it was
+   copied, so the whole family is revoked.
+============================================================ */
+
+export const hashRefreshToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Sign a refresh token for the device and keep only its hash on it.
+ * @param {Object} device - loggedInDevices subdocument
+ * @param {ObjectId} userId
+ * @param {string} [family] - omit on login to start a new family
+ * @returns {string} the plain token, to hand to the client only
+ */
+export const issueRefreshToken = (device, userId, family = uuidv4()) => {
+  const refreshToken = jwt.sign(
+    { id: userId, deviceId: device.deviceId, family, jti: uuidv4() },
+    process.env.REFRESH_TOKEN_KEY,
+    { expiresIn: process.env.REFRESH_TOKEN_EXPIRY } // e.g. 7d
+  );
+
+  device.refreshToken = hashRefreshToken(refreshToken);
+  device.refreshFamily = family;
+  return refreshToken;
+};
+
+/**
+ * Sign the device out after a rotated refresh token was replayed, and audit it.
+ * @param {UserLogin} login
+ * @param {Object} device - loggedInDevices subdocument
+ * @param {{ ipAddress?: string, userAgent?: string }} [meta] - the replaying request
+ */
+export const revokeRefreshFamily = async (login, device, meta = {}) => {
+  const family = device.refreshFamily;
+
+  device.loginHistory?.forEach((s) => {
+    if (!s.logoutAt) s.logoutAt = new Date();
+  });
+  device.refreshToken = null;
+  device.refreshFamily = null;
+  login.isLoggedIn = login.loggedInDevices.some((d) =>
+    d.loginHistory.some((s) => !s.logoutAt)
+  );
+  login.markModified("loggedInDevices");
+  await login.save({ validateBeforeSave: false });
+  invalidateSessionCache(login.user?._id || login.user);
+
+  await ActivityLog.create({
+    user: login.user?._id || login.user,
+    action: "refresh_token_reuse",
+    description: `Rotated refresh token replayed for device ${device.deviceId} (family ${family}); device signed out`,
+    targetModel: "UserLogin",
+    targetId: login._id,
+    ipAddress: meta.ipAddress || null,
+    userAgent: meta.userAgent || null,
+  });
+};
+
+/* ============================================================
+   🎫 ACCESS TOKEN SESSION CHECK
+   Access tokens carry the device's refresh family as `sid`. Every logout or
+   revocation clears that family, so a token whose sid is gone is dead even
+   before it expires. Confirmed sessions (with the login's mustChangePassword
+   flag) are cached briefly per process; revocations and password changes here
+   drop the cache at once, other instances catch up within
+   SESSION_CACHE_TTL_SECONDS.
+============================================================ */
+
+// userId -> Map("deviceId:sid" -> { until: ms, mustChangePassword })
+const sessionCache = new Map();
+
+const sessionCacheTtlMs = () => (Number(process.env.SESSION_CACHE_TTL_SECONDS) || 30) * 1000;
+
+/**
+ * Forget cached sessions so the next request of these users hits the database.
+ * Call it whenever a login's sessions or mustChangePassword flag change.
+ * @param {ObjectId|Array<ObjectId>} userIds
+ */
+export const invalidateSessionCache = (userIds) => {
+  for (const id of [].concat(userIds)) sessionCache.delete(String(id));
+};
+
+/**
+ * The device session an access token was issued for, while it is still open.
+ * @param {ObjectId} userId
+ * @param {string} deviceId
+ * @param {string} sessionId - `sid` claim (refresh family)
+ * @returns {Promise<{ mustChangePassword: boolean }|null>} null when the session has ended
+ */
+export const getActiveSession = async (userId, deviceId, sessionId) => {
+  if (!deviceId || !sessionId) return null;
+
+  const key = String(userId);
+  const sessionKey = `${deviceId}:${sessionId}`;
+  const cached = sessionCache.get(key)?.get(sessionKey);
+  if (cached?.until > Date.now()) return { mustChangePassword: cached.mustChangePassword };
+
+  const login = await UserLogin.findOne({
+    user: userId,
+    loggedInDevices: { $elemMatch: { deviceId, refreshFamily: sessionId } },
+  })
+    .select("mustChangePassword")
+    .lean();
+  if (!login) return null;
+
+  const session = { mustChangePassword: !!login.mustChangePassword };
+  if (!sessionCache.has(key)) sessionCache.set(key, new Map());
+  sessionCache.get(key).set(sessionKey, { until: Date.now() + sessionCacheTtlMs(), ...session });
+  return session;
+};
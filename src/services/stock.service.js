@@ -0,0 +1,71 @@
+// services/stock.service.js
+import { ConsumableStock } from "../models/consumableStock.model.js";
+import { StockLedger } from "../models/stockLedger.model.js";
+
+/**
+ * Add consumable stock to a branch and write the inward ledger entry.
+ * The stock row is created on first receipt; the increment is rolled back if
+ * the ledger entry cannot be written.
+ * @param {Object} params
+ * @param {Consumable} params.consumable
+ * @param {ObjectId} params.branchId
+ * @param {number} params.quantity
+ * @param {ObjectId} params.performedBy
+ * @param {ObjectId|null} [params.vendor]
+ * @param {number} [params.unitCost]
+ * @param {string} [params.reference] - invoice / challan / PO number
+ * @param {string} [params.note]
+ * @returns {Promise<StockLedger>} the ledger entry
+ */
+export const addStock = async ({
+  consumable,
+  branchId,
+  quantity,
+  performedBy,
+  vendor = null,
+  unitCost,
+  reference,
+  note,
+}) => {
+  const stock = await ConsumableStock.findOneAndUpdate(
+    { consumable: consumable._id, branch: branchId },
+    {
+      $inc: { quantity },
+      $set: { lastMovementAt: new Date() },
+      $setOnInsert: { enterprise: consumable.enterprise },
+    },
+    { new: true, upsert: true }
+  );
+
+  try {
+    return await StockLedger.create({
+      enterprise: consumable.enterprise,
+      branch: branchId,
+      consumable: consumable._id,
+      type: "inward",
+      quantity,
+      balanceAfter: stock.quantity,
+      vendor,
+      unitCost,
+      reference,
+      performedBy,
+      note,
+    });
+  } catch (error) {
+    await ConsumableStock.updateOne({ _id: stock._id }, { $inc: { quantity: -quantity } });
+    throw error;
+  }
+};
+
+/**
+ * Undo an addStock whose surrounding operation failed (e.g. a goods receipt that
+ * could not complete): takes the quantity back out and drops the inward entry.
+ * @param {StockLedger} entry - ledger entry returned by addStock
+ */
+export const revertAddedStock = async (entry) => {
+  await ConsumableStock.updateOne(
+    { consumable: entry.consumable, branch: entry.branch },
+    { $inc: { quantity: -entry.quantity }, $set: { lastMovementAt: new Date() } }
+  );
+  await StockLedger.deleteOne({ _id: entry._id });
+};
@@ -0,0 +1,131 @@
+// services/twoFactor.service.js
+import crypto from "crypto";
+import QRCode from "qrcode";
+import { ROLES } from "../config/roles.js";
+import {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+} from "../utils/totp.helpers.js";
+
+const BACKUP_CODE_COUNT = 10;
+const ALWAYS_2FA_ROLES = [ROLES.SUPER_ADMIN, ROLES.ADMINISTRATOR];
+
+// fields a UserLogin query must select before calling the helpers below
+export const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes";
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(code.replace(/[\s-]/g, "").toUpperCase()).digest("hex");
+
+/**
+ * Whether users of the role must use TOTP. Administrator roles always must.
+ * @param {UserRole|null} role
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (role) =>
+  !!role &&
+  (role.requireTwoFactor === true || ALWAYS_2FA_ROLES.includes(role.roleName?.toLowerCase()));
+
+/**
+ * Fresh one-time recovery codes ("AB12-CD34"). Only the hashes are stored.
+ * @returns {{ codes: string[], hashes: string[] }}
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString("hex").toUpperCase();
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  return { codes, hashes: codes.map(hashBackupCode) };
+};
+
+/**
+ * Start (or restart) enrolment: a pending secret that becomes active after the first valid code.
+ * @param {UserLogin} login
+ * @returns {Promise<{ secret: string, otpauthUrl: string, qrCode: string }>} qrCode is a PNG data URL
+ */
+export const beginEnrollment = async (login) => {
+  const secret = generateTotpSecret();
+  login.twoFactor.pendingSecret = secret;
+  await login.save({ validateBeforeSave: false });
+
+  const otpauthUrl = buildOtpauthUrl({
+    issuer: process.env.TOTP_ISSUER || "ABCD IT",
+    account: login.username,
+    secret,
+  });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+/**
+ * Activate the pending secret if `code` matches it.
+ * @param {UserLogin} login - selected with TWO_FACTOR_SECRET_FIELDS
+ * @param {string} code
+ * @returns {Promise<string[]|null>} plain backup codes (shown once), or null when the code is wrong
+ */
+export const confirmEnrollment = async (login, code) => {
+  const step = verifyTotp(login.twoFactor.pendingSecret, code);
+  if (step === null) return null;
+
+  const { codes, hashes } = generateBackupCodes();
+  login.twoFactor.secret = login.twoFactor.pendingSecret;
+  login.twoFactor.pendingSecret = undefined;
+  login.twoFactor.enabled = true;
+  login.twoFactor.enabledAt = new Date();
+  login.twoFactor.lastUsedStep = step;
+  login.twoFactor.backupCodes = hashes;
+  await login.save({ validateBeforeSave: false });
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code or a backup code. A used backup code is removed and a used
+ * TOTP step recorded; the caller saves the login.
+ * @param {UserLogin} login - selected with TWO_FACTOR_SECRET_FIELDS
+ * @param {{ code?: string, backupCode?: string }} input
+ * @returns {"totp"|"backup"|null}
+ */
+export const verifySecondFactor = (login, { code, backupCode }) => {
+  if (!login.twoFactor?.enabled) return null;
+
+  if (code) {
+    const step = verifyTotp(login.twoFactor.secret, code, {
+      lastUsedStep: login.twoFactor.lastUsedStep,
+    });
+    if (step === null) return null;
+    login.twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  if (backupCode) {
+    const hash = hashBackupCode(String(backupCode));
+    const codes = login.twoFactor.backupCodes || [];
+    if (!codes.includes(hash)) return null;
+    login.twoFactor.backupCodes = codes.filter((h) => h !== hash);
+    return "backup";
+  }
+
+  return null;
+};
+
+/**
+ * Replace all backup codes.
+ * @param {UserLogin} login
+ * @returns {Promise<string[]>} plain codes (shown once)
+ */
+export const regenerateBackupCodes = async (login) => {
+  const { codes, hashes } = generateBackupCodes();
+  login.twoFactor.backupCodes = hashes;
+  await login.save({ validateBeforeSave: false });
+  return codes;
+};
+
+/**
+ * Turn 2FA off and forget the secret (self-service disable or admin reset for a lost phone).
+ * @param {UserLogin} login
+ */
+export const clearTwoFactor = async (login) => {
+  login.twoFactor = { enabled: false, lastUsedStep: 0, enabledAt: null };
+  await login.save({ validateBeforeSave: false });
+};
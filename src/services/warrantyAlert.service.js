@@ -0,0 +1,121 @@
+// services/warrantyAlert.service.js
+import { Asset } from "../models/asset.model.js";
+import { Notification } from "../models/notification.model.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Find warranty / AMC coverage ending within `days` from `now`.
+ * Returns one entry per expiring coverage (an asset can appear twice).
+ * @param {Object} options
+ * @param {Object} [options.branchFilter] - Mongo value for `branch` (omit for all branches)
+ * @param {number} [options.days=30]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{ type, asset, branch, endDate, daysLeft, provider }>>}
+ */
+export const findExpiringCoverage = async ({ branchFilter, days = 30, now = new Date() } = {}) => {
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const window = { $gte: now, $lte: until };
+
+  const filter = {
+    isDeleted: { $ne: true },
+    status: { $nin: ["retired", "disposed"] },
+    $or: [{ "warranty.endDate": window }, { "amc.endDate": window }],
+  };
+  if (branchFilter) filter.branch = branchFilter;
+
+  const assets = await Asset.find(filter)
+    .select("assetTag assetName enterprise branch status warranty amc assignedTo")
+    .populate("branch", "branchName branchCode")
+    .populate("warranty.provider", "vendorName supportSla")
+    .populate("amc.provider", "vendorName supportSla")
+    .lean();
+
+  const alerts = [];
+  for (const asset of assets) {
+    for (const type of ["warranty", "amc"]) {
+      const endDate = asset[type]?.endDate;
+      if (!endDate || endDate < now || endDate > until) continue;
+      alerts.push({
+        type,
+        asset: {
+          _id: asset._id,
+          assetTag: asset.assetTag,
+          assetName: asset.assetName,
+          status: asset.status,
+          enterprise: asset.enterprise,
+        },
+        branch: asset.branch,
+        endDate,
+        daysLeft: Math.ceil((new Date(endDate) - now) / DAY_MS),
+        coverageType: asset[type].coverageType,
+        contractRef: asset[type].contractRef,
+        provider: asset[type].provider || null,
+      });
+    }
+  }
+
+  return alerts.sort((a, b) => a.endDate - b.endDate);
+};
+
+/**
+ * Group alerts into per-branch lists.
+ * @param {Array} alerts - output of findExpiringCoverage
+ * @returns {Array<{ branch, total, alerts }>}
+ */
+export const groupAlertsByBranch = (alerts) => {
+  const groups = new Map();
+  for (const alert of alerts) {
+    const key = alert.branch?._id?.toString() || "unknown";
+    if (!groups.has(key)) groups.set(key, { branch: alert.branch, total: 0, alerts: [] });
+    const group = groups.get(key);
+    group.alerts.push(alert);
+    group.total += 1;
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Persist one notification per expiring coverage (idempotent per asset + type + end date).
+ * Assets whose branch no longer exists are skipped: a notification needs a branch.
+ * @param {Object} [options]
+ * @param {number} [options.days=30]
+ * @returns {Promise<{ checked: number, created: number, skipped: number }>}
+ */
+export const generateExpiryNotifications = async ({ days = 30, now = new Date() } = {}) => {
+  const found = await findExpiringCoverage({ days, now });
+  const alerts = found.filter((alert) => alert.branch?._id);
+  const skipped = found.length - alerts.length;
+  if (!alerts.length) return { checked: found.length, created: 0, skipped };
+
+  const operations = alerts.map((alert) => {
+    const label = alert.type === "amc" ? "AMC" : "Warranty";
+    return {
+      updateOne: {
+        filter: {
+          type: `${alert.type}-expiry`,
+          targetId: alert.asset._id,
+          dueDate: alert.endDate,
+        },
+        update: {
+          $setOnInsert: {
+            enterprise: alert.asset.enterprise,
+            branch: alert.branch._id,
+            type: `${alert.type}-expiry`,
+            title: `${label} expiring: ${alert.asset.assetTag}`,
+            message: `${label} for ${alert.asset.assetName} (${alert.asset.assetTag}) ends on ${new Date(
+              alert.endDate
+            ).toDateString()}`,
+            targetModel: "Asset",
+            targetId: alert.asset._id,
+            dueDate: alert.endDate,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  const result = await Notification.bulkWrite(operations, { ordered: false });
+  return { checked: found.length, created: result.upsertedCount, skipped };
+};
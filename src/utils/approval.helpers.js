@@ -0,0 +1,80 @@
+// utils/approval.helpers.js
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { apiError } from "./apiError.js";
+import { hasBranchAccess, hasPermission } from "./branchAccess.helpers.js";
+import { isSameUser } from "./user.helpers.js";
+
+/**
+ * Walk up the reportingTo chain (the same chain getReportingChainUp returns)
+ * and pick the first active manager whose role grants `permission`.
+ * Managers without the permission are skipped, not treated as a dead end.
+ * @param {ObjectId|string} startUserId - requester, or the current approver when escalating
+ * @param {string} permission - e.g. "approve_disposal"
+ * @returns {Promise<User|null>} approver with role populated, or null when nobody qualifies
+ */
+export const findApproverInChain = async (startUserId, permission) => {
+  const visited = new Set([startUserId.toString()]);
+  let current = await User.findById(startUserId).select("reportingTo");
+
+  while (current?.reportingTo && !visited.has(current.reportingTo.toString())) {
+    visited.add(current.reportingTo.toString());
+
+    const manager = await User.findById(current.reportingTo)
+      .select("fullName username reportingTo isActive isDeleted")
+      .populate("role", "roleName roleLevel permissions");
+    if (!manager) return null;
+
+    if (manager.isActive && !manager.isDeleted && hasPermission(manager, permission)) {
+      return manager;
+    }
+    current = manager;
+  }
+  return null;
+};
+
+/**
+ * Load an approval document (disposal request, requisition) the user may see: its branch,
+ * the requester, the awaited approver and anyone who already signed.
+ * @param {Model} Model - schema with requestedBy / currentApprover / approvals / branch
+ * @param {User} currentUser - from getCurrentUserWithBranches
+ * @param {string} id
+ * @param {string} label - lower-case name used in messages, e.g. "disposal request"
+ * @throws {apiError} 400 / 404 / 403
+ */
+export const findVisibleApprovalDoc = async (Model, currentUser, id, label) => {
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, `Invalid ${label} ID`);
+
+  const doc = await Model.findById(id);
+  if (!doc) throw new apiError(404, `${title} not found`);
+
+  const involved =
+    isSameUser(doc.requestedBy, currentUser._id) ||
+    isSameUser(doc.currentApprover, currentUser._id) ||
+    doc.approvals.some((a) => isSameUser(a.approver, currentUser._id));
+
+  if (!involved && !hasBranchAccess(currentUser, doc.branch)) {
+    throw new apiError(403, `You do not have access to this ${label}`);
+  }
+  return doc;
+};
+
+/**
+ * Only the awaited approver can act, and only while they still hold the permission.
+ * @param {User} currentUser
+ * @param {Document} doc - pending approval document
+ * @param {string} permission - e.g. "approve_disposal"
+ * @param {string} label - lower-case name used in messages
+ * @throws {apiError} 400 / 403
+ */
+export const assertCurrentApprover = (currentUser, doc, permission, label) => {
+  const title = label.charAt(0).toUpperCase() + label.slice(1);
+  if (doc.status !== "pending") throw new apiError(400, `${title} is already ${doc.status}`);
+  if (!isSameUser(doc.currentApprover, currentUser._id)) {
+    throw new apiError(403, `This ${label} is not awaiting your approval`);
+  }
+  if (!hasPermission(currentUser, permission)) {
+    throw new apiError(403, `You no longer have the ${permission} permission`);
+  }
+};
@@ -0,0 +1,67 @@
+// utils/asset.helpers.js
+import mongoose from "mongoose";
+import { Asset } from "../models/asset.model.js";
+import { apiError } from "./apiError.js";
+import { hasBranchAccess } from "./branchAccess.helpers.js";
+import { resolveEnterpriseVendor } from "./vendor.helpers.js";
+
+/**
+ * Fetch a non-deleted asset and make sure the caller can reach its branch.
+ * @param {User} currentUser - result of getCurrentUserWithBranches
+ * @param {string} id - asset ObjectId
+ * @returns {Promise<Asset>}
+ */
+export const findAccessibleAsset = async (currentUser, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw new apiError(400, "Invalid asset ID");
+
+  const asset = await Asset.findOne({ _id: id, isDeleted: { $ne: true } });
+  if (!asset) throw new apiError(404, "Asset not found");
+
+  if (!hasBranchAccess(currentUser, asset.branch)) {
+    throw new apiError(403, "You do not have access to assets of this branch");
+  }
+  return asset;
+};
+
+/**
+ * Validate a warranty / AMC block sent by the client and resolve its provider vendor.
+ * @param {Object|null} raw - { startDate, endDate, coverageType, contractRef, provider }
+ * @param {ObjectId|string} enterpriseId
+ * @param {string} label - "warranty" or "amc" (used in error messages)
+ * @returns {Promise<Object>} value ready to assign on the asset
+ */
+export const normalizeCoverage = async (raw, enterpriseId, label) => {
+  if (!raw) return {};
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new apiError(400, `${label} must be an object`);
+  }
+
+  const startDate = raw.startDate ? new Date(raw.startDate) : null;
+  const endDate = raw.endDate ? new Date(raw.endDate) : null;
+  if ((startDate && Number.isNaN(startDate.getTime())) || (endDate && Number.isNaN(endDate.getTime()))) {
+    throw new apiError(400, `${label} dates must be valid dates`);
+  }
+  if (startDate && endDate && endDate < startDate) {
+    throw new apiError(400, `${label} end date cannot be before its start date`);
+  }
+
+  const coverage = {
+    startDate,
+    endDate,
+    provider: await resolveEnterpriseVendor(raw.provider, enterpriseId),
+  };
+  if (raw.coverageType) coverage.coverageType = raw.coverageType;
+  if (raw.contractRef !== undefined) coverage.contractRef = raw.contractRef;
+  return coverage;
+};
+
+/**
+ * True when the asset is covered by an active warranty or AMC on the given date.
+ * @param {Asset} asset
+ * @param {Date} [on]
+ * @returns {boolean}
+ */
+export const isUnderCoverage = (asset, on = new Date()) =>
+  [asset.warranty, asset.amc].some(
+    (c) => c?.endDate && c.endDate >= on && (!c.startDate || c.startDate <= on)
+  );
@@ -0,0 +1,178 @@
+// utils/assetCategory.helpers.js
+import mongoose from "mongoose";
+import { AssetCategory, ATTRIBUTE_TYPES } from "../models/assetCategory.model.js";
+import { apiError } from "./apiError.js";
+
+/**
+ * Check attribute definitions declared on a category.
+ * @param {Array} definitions
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export const validateAttributeDefinitions = (definitions = []) => {
+  const errors = [];
+  const keys = new Set();
+
+  if (!Array.isArray(definitions)) return ["attributes must be an array"];
+
+  definitions.forEach((def, i) => {
+    if (!def?.key || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(def.key)) {
+      errors.push(`attributes[${i}]: key must be alphanumeric (e.g. ramGb)`);
+      return;
+    }
+    if (keys.has(def.key)) errors.push(`attributes[${i}]: duplicate key "${def.key}"`);
+    keys.add(def.key);
+
+    if (def.type && !ATTRIBUTE_TYPES.includes(def.type)) {
+      errors.push(`attributes[${i}]: type must be one of ${ATTRIBUTE_TYPES.join(", ")}`);
+    }
+    if (def.type === "enum" && !(Array.isArray(def.options) && def.options.length)) {
+      errors.push(`attributes[${i}]: enum "${def.key}" needs options`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Walk from a category up to its root.
+ * @param {ObjectId|string} categoryId
+ * @returns {Promise<AssetCategory[]>} root first, the category itself last
+ */
+export const getCategoryLineage = async (categoryId) => {
+  const lineage = [];
+  const visited = new Set();
+  let current = await AssetCategory.findById(categoryId);
+
+  while (current && !visited.has(current._id.toString())) {
+    visited.add(current._id.toString());
+    lineage.unshift(current);
+    current = current.parent ? await AssetCategory.findById(current.parent) : null;
+  }
+  return lineage;
+};
+
+/**
+ * Merge attribute definitions down a lineage; a child redefining a key wins.
+ * @param {AssetCategory[]} lineage - root first
+ * @returns {Array} effective definitions
+ */
+export const getEffectiveAttributes = (lineage) => {
+  const merged = new Map();
+  for (const category of lineage) {
+    for (const def of category.attributes || []) {
+      merged.set(def.key, typeof def.toObject === "function" ? def.toObject() : def);
+    }
+  }
+  return [...merged.values()];
+};
+
+/**
+ * Validate and coerce asset attribute values against definitions.
+ * @param {Array} definitions - effective attribute definitions
+ * @param {Object} values - raw attribute values from the client
+ * @returns {{ values: Object, errors: string[] }}
+ */
+export const validateAttributeValues = (definitions, values = {}) => {
+  const errors = [];
+  const cleaned = {};
+  const input = values || {};
+
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { values: cleaned, errors: ["attributes must be an object"] };
+  }
+
+  const byKey = new Map(definitions.map((d) => [d.key, d]));
+  for (const key of Object.keys(input)) {
+    if (!byKey.has(key)) errors.push(`"${key}" is not defined for this category`);
+  }
+
+  for (const def of definitions) {
+    const raw = input[def.key];
+    const label = def.label || def.key;
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (def.required) errors.push(`${label} is required`);
+      continue;
+    }
+
+    switch (def.type) {
+      case "number": {
+        const num = Number(raw);
+        if (Number.isNaN(num)) errors.push(`${label} must be a number`);
+        else cleaned[def.key] = num;
+        break;
+      }
+      case "boolean": {
+        if (raw === true || raw === "true") cleaned[def.key] = true;
+        else if (raw === false || raw === "false") cleaned[def.key] = false;
+        else errors.push(`${label} must be true or false`);
+        break;
+      }
+      case "date": {
+        const date = new Date(raw);
+        if (Number.isNaN(date.getTime())) errors.push(`${label} must be a valid date`);
+        else cleaned[def.key] = date;
+        break;
+      }
+      case "enum": {
+        if (!def.options.includes(String(raw))) {
+          errors.push(`${label} must be one of ${def.options.join(", ")}`);
+        } else cleaned[def.key] = String(raw);
+        break;
+      }
+      default:
+        cleaned[def.key] = String(raw).trim();
+    }
+  }
+
+  return { values: cleaned, errors };
+};
+
+/**
+ * Load an active category of the given enterprise and validate attribute values for it.
+ * Throws apiError with the failed rules listed in `errors`.
+ * @returns {Promise<{ category: AssetCategory, attributes: Object }>}
+ */
+export const resolveCategoryAttributes = async (categoryId, enterpriseId, values) => {
+  if (!mongoose.Types.ObjectId.isValid(categoryId)) throw new apiError(400, "Invalid category ID");
+
+  const lineage = await getCategoryLineage(categoryId);
+  const category = lineage[lineage.length - 1];
+  if (!category || !category.isActive) throw new apiError(404, "Category not found");
+  if (category.enterprise.toString() !== enterpriseId.toString()) {
+    throw new apiError(400, "Category belongs to another enterprise");
+  }
+
+  const { values: attributes, errors } = validateAttributeValues(
+    getEffectiveAttributes(lineage),
+    values
+  );
+  if (errors.length) throw new apiError(400, "Invalid asset attributes", errors);
+
+  return { category, attributes };
+};
+
+/**
+ * A category and all of its descendants (via $graphLookup, like getSubordinates).
+ * @param {ObjectId|string} categoryId
+ * @returns {Promise<ObjectId[]>}
+ */
+export const getCategorySubtreeIds = async (categoryId) => {
+  const oid = new mongoose.Types.ObjectId(categoryId.toString());
+  const result = await AssetCategory.aggregate([
+    { $match: { _id: oid } },
+    {
+      $graphLookup: {
+        from: "assetcategories",
+        startWith: "$_id",
+        connectFromField: "_id",
+        connectToField: "parent",
+        as: "descendants",
+      },
+    },
+    { $project: { descendants: { _id: 1 } } },
+  ]);
+
+  if (!result.length) return [];
+  return [result[0]._id, ...result[0].descendants.map((d) => d._id)];
+};
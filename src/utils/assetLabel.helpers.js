@@ -0,0 +1,122 @@
+// utils/assetLabel.helpers.js
+import QRCode from "qrcode";
+import bwipjs from "bwip-js";
+import { Asset, generateLabelCode } from "../models/asset.model.js";
+import { apiError } from "./apiError.js";
+
+export const LABEL_SYMBOLOGIES = ["qr", "code128"];
+export const LABEL_FORMATS = ["svg", "png"];
+
+/**
+ * Give legacy assets (created before labels existed) a label code.
+ * Conditional update so two concurrent requests never assign different codes.
+ * @param {Asset} asset
+ * @returns {Promise<string>} the asset's label code
+ */
+export const ensureLabelCode = async (asset) => {
+  if (asset.labelCode) return asset.labelCode;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const updated = await Asset.findOneAndUpdate(
+        { _id: asset._id, labelCode: { $in: [null, ""] } },
+        { $set: { labelCode: generateLabelCode() } },
+        { new: true }
+      ).select("labelCode");
+      // someone else assigned it meanwhile → read theirs
+      const code = updated?.labelCode || (await Asset.findById(asset._id).select("labelCode")).labelCode;
+      asset.labelCode = code;
+      return code;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // code collision → try another one
+    }
+  }
+  throw new apiError(500, "Could not allocate a label code");
+};
+
+/**
+ * Render a label code as a QR code or Code128 barcode, fully in-process.
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {"qr"|"code128"} [options.symbology="qr"]
+ * @param {"svg"|"png"} [options.format="svg"]
+ * @returns {Promise<{ contentType: string, body: string|Buffer }>}
+ */
+export const renderLabelImage = async (code, { symbology = "qr", format = "svg" } = {}) => {
+  if (!LABEL_SYMBOLOGIES.includes(symbology)) {
+    throw new apiError(400, `type must be one of: ${LABEL_SYMBOLOGIES.join(", ")}`);
+  }
+  if (!LABEL_FORMATS.includes(format)) {
+    throw new apiError(400, `format must be one of: ${LABEL_FORMATS.join(", ")}`);
+  }
+
+  if (symbology === "qr") {
+    const options = { errorCorrectionLevel: "M", margin: 1 };
+    return format === "svg"
+      ? { contentType: "image/svg+xml", body: await QRCode.toString(code, { ...options, type: "svg" }) }
+      : { contentType: "image/png", body: await QRCode.toBuffer(code, { ...options, type: "png", scale: 6 }) };
+  }
+
+  const options = { bcid: "code128", text: code, height: 10, includetext: true, textxalign: "center" };
+  return format === "svg"
+    ? { contentType: "image/svg+xml", body: bwipjs.toSVG(options) }
+    : { contentType: "image/png", body: await bwipjs.toBuffer({ ...options, scale: 3 }) };
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Build a printable A4 label sheet (browser "Print → Save as PDF" works as well).
+ * @param {Object} params
+ * @param {Object} params.branch - { branchName, branchCode }
+ * @param {Array<Asset>} params.assets - assets with labelCode set
+ * @param {"qr"|"code128"} [params.symbology="qr"]
+ * @returns {Promise<string>} HTML document
+ */
+export const buildLabelSheetHtml = async ({ branch, assets, symbology = "qr" }) => {
+  const labels = await Promise.all(
+    assets.map(async (asset) => {
+      const { body: svg } = await renderLabelImage(asset.labelCode, { symbology, format: "svg" });
+      return `
+      <div class="label">
+        <div class="code">${svg}</div>
+        <div class="meta">
+          <strong>${escapeHtml(asset.assetName)}</strong>
+          <span>${escapeHtml(asset.assetTag)}</span>
+          <span class="short">${escapeHtml(asset.labelCode)}</span>
+        </div>
+      </div>`;
+    })
+  );
+
+  const title = `Asset labels – ${escapeHtml(branch.branchName)} (${escapeHtml(branch.branchCode)})`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <title>${title}</title>
+  <style>
+    @page { size: A4; margin: 10mm; }
+    body { font-family: Arial, sans-serif; margin: 0; }
+    h1 { font-size: 14px; margin: 0 0 6mm; }
+    .sheet { display: grid; grid-template-columns: repeat(3, 1fr); gap: 4mm; }
+    .label { border: 1px dashed #999; padding: 3mm; display: flex; gap: 3mm; align-items: center; break-inside: avoid; }
+    .code svg { width: ${symbology === "qr" ? "22mm" : "40mm"}; height: auto; display: block; }
+    .meta { display: flex; flex-direction: column; font-size: 10px; overflow: hidden; }
+    .meta .short { font-family: monospace; font-size: 12px; letter-spacing: 1px; }
+    @media print { h1 { display: none; } }
+  </style>
+</head>
+<body>
+  <h1>${title} — ${assets.length} label(s)</h1>
+  <div class="sheet">${labels.join("")}
+  </div>
+</body>
+</html>`;
+};
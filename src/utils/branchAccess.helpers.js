@@ -0,0 +1,142 @@
+// utils/branchAccess.helpers.js
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { apiError } from "./apiError.js";
+
+/**
+ * Load the logged-in user with role, home branch and assigned branches.
+ * Throws apiError when the request is not authenticated.
+ * @param {Object} loggedInUser - req.user (set by authenticateJWT)
+ * @returns {Promise<User>}
+ */
+export const getCurrentUserWithBranches = async (loggedInUser) => {
+  if (!loggedInUser) throw new apiError(401, "Login required");
+
+  const currentUser = await User.findById(loggedInUser._id)
+    .populate("role", "roleName roleLevel permissions")
+    .populate("assignedBranches", "branchName branchCode enterprise")
+    .populate("branch", "branchName branchCode enterprise");
+
+  if (!currentUser) throw new apiError(401, "Invalid logged-in user");
+  return currentUser;
+};
+
+/**
+ * All branch IDs (as strings) the user may work with:
+ * assigned branches plus the user's own branch.
+ * @param {User} currentUser
+ * @returns {string[]}
+ */
+export const getAccessibleBranchIds = (currentUser) => {
+  const ids = (currentUser.assignedBranches || []).map((b) => (b._id || b).toString());
+  const ownBranch = currentUser.branch?._id || currentUser.branch;
+  if (ownBranch && !ids.includes(ownBranch.toString())) ids.push(ownBranch.toString());
+  return ids;
+};
+
+/**
+ * @param {User} currentUser
+ * @param {ObjectId|string} branchId
+ * @returns {boolean}
+ */
+export const hasBranchAccess = (currentUser, branchId) => {
+  if (!branchId) return false;
+  return getAccessibleBranchIds(currentUser).includes((branchId._id || branchId).toString());
+};
+
+/**
+ * Enterprise IDs (as strings) reachable through the user's branches.
+ * Relies on branches populated with `enterprise` (getCurrentUserWithBranches does).
+ * @param {User} currentUser
+ * @returns {string[]}
+ */
+export const getAccessibleEnterpriseIds = (currentUser) => {
+  const branches = [...(currentUser.assignedBranches || []), currentUser.branch].filter(Boolean);
+  const ids = branches.map((b) => b.enterprise?.toString()).filter(Boolean);
+  return [...new Set(ids)];
+};
+
+/**
+ * Resolve the enterprise a request works on: an explicit one must be reachable,
+ * otherwise the user's single enterprise is used.
+ * @param {User} currentUser
+ * @param {string} [enterprise]
+ * @returns {string}
+ */
+export const resolveTargetEnterprise = (currentUser, enterprise) => {
+  const enterpriseIds = getAccessibleEnterpriseIds(currentUser);
+
+  if (enterprise) {
+    if (!enterpriseIds.includes(enterprise.toString())) {
+      throw new apiError(403, "You do not have access to this enterprise");
+    }
+    return enterprise.toString();
+  }
+
+  if (enterpriseIds.length === 1) return enterpriseIds[0];
+  if (enterpriseIds.length > 1) {
+    throw new apiError(400, "Enterprise is required (multiple enterprises accessible)");
+  }
+  throw new apiError(400, "No enterprise found for logged-in user");
+};
+
+/**
+ * Build a Mongo `branch` filter value using the same rules as getAllUsers:
+ * - a requested branch must be one of the user's assigned branches
+ * - otherwise all assigned branches, falling back to the user's own branch
+ * @param {User} currentUser
+ * @param {string} [branch] - optional branch requested by the client
+ * @returns {ObjectId|{ $in: ObjectId[] }}
+ */
+export const buildBranchFilter = (currentUser, branch) => {
+  if (branch) {
+    const hasAccess = (currentUser.assignedBranches || []).some(
+      (b) => b._id.toString() === branch.toString()
+    );
+    if (!hasAccess) throw new apiError(403, "You are not assigned to this branch");
+    return new mongoose.Types.ObjectId(branch.toString());
+  }
+
+  const assignedIds = (currentUser.assignedBranches || []).map((b) => b._id);
+  if (assignedIds.length > 0) return { $in: assignedIds };
+  if (currentUser.branch?._id) return currentUser.branch._id;
+
+  throw new apiError(400, "No accessible branch found for logged-in user");
+};
+
+/**
+ * Pick the branch a new record should belong to (same rules as registerUser):
+ * explicit branch must be accessible; otherwise the single assigned branch or
+ * the user's own branch.
+ * @param {User} currentUser
+ * @param {string} [branch]
+ * @returns {ObjectId|string}
+ */
+export const resolveTargetBranch = (currentUser, branch) => {
+  if (branch) {
+    if (!hasBranchAccess(currentUser, branch)) {
+      throw new apiError(403, "This branch is not assigned to you");
+    }
+    return branch;
+  }
+
+  if (currentUser.assignedBranches?.length === 1) return currentUser.assignedBranches[0]._id;
+  if (currentUser.assignedBranches?.length > 1) {
+    throw new apiError(400, "Branch is required (multiple branches assigned)");
+  }
+  if (currentUser.branch?._id) return currentUser.branch._id;
+
+  throw new apiError(400, "No branch found for logged-in user");
+};
+
+/**
+ * True when the user's role grants the given permission action.
+ * Expects `role` to be populated with `permissions`.
+ * @param {User} currentUser
+ * @param {string} action
+ * @returns {boolean}
+ */
+export const hasPermission = (currentUser, action) =>
+  !!currentUser.role?.permissions?.some(
+    (perm) => perm.action === action && (perm.granted === true || perm.granted === "true")
+  );
@@ -0,0 +1,145 @@
+// utils/depreciation.helpers.js
+// Pure functions only (no DB access) — the same inputs always give the same schedule.
+// Importing the category model only reads DEPRECIATION_METHODS; no connection is needed.
+import { DEPRECIATION_METHODS } from "../models/assetCategory.model.js";
+
+/** Round a money amount to 2 decimals. */
+export const round2 = (n) => Math.round((n + Number.EPSILON) * 100) / 100;
+
+const addYears = (date, years) => {
+  const d = new Date(date);
+  d.setUTCFullYear(d.getUTCFullYear() + years);
+  return d;
+};
+
+/**
+ * Check a category depreciation rule sent by the client.
+ * @param {Object|null} config - { method, usefulLifeYears, salvagePercent, ratePercent }
+ * @returns {string[]} list of problems (empty when valid)
+ */
+export const validateDepreciationConfig = (config) => {
+  if (config === null) return [];
+  if (typeof config !== "object" || Array.isArray(config)) return ["depreciation must be an object"];
+
+  const errors = [];
+  const { method, usefulLifeYears, salvagePercent = 5, ratePercent } = config;
+
+  if (!DEPRECIATION_METHODS.includes(method)) {
+    errors.push(`depreciation.method must be one of ${DEPRECIATION_METHODS.join(", ")}`);
+  }
+  if (!Number.isInteger(Number(usefulLifeYears)) || Number(usefulLifeYears) < 1) {
+    errors.push("depreciation.usefulLifeYears must be a whole number of at least 1");
+  }
+  if (Number.isNaN(Number(salvagePercent)) || salvagePercent < 0 || salvagePercent > 100) {
+    errors.push("depreciation.salvagePercent must be between 0 and 100");
+  }
+  if (ratePercent !== undefined && ratePercent !== null) {
+    if (method !== "wdv") errors.push("depreciation.ratePercent only applies to the wdv method");
+    else if (!(Number(ratePercent) > 0 && Number(ratePercent) < 100)) {
+      errors.push("depreciation.ratePercent must be between 0 and 100");
+    }
+  } else if (method === "wdv" && Number(salvagePercent) === 0) {
+    // (0 / cost)^(1/n) gives a 100% rate, so WDV with no salvage needs an explicit rate
+    errors.push("depreciation.ratePercent is required for wdv when salvagePercent is 0");
+  }
+
+  return errors;
+};
+
+/**
+ * Nearest depreciation rule walking up from a category to its root.
+ * @param {ObjectId|string} categoryId
+ * @param {Map<string, {parent, depreciation}>} categoriesById - all categories of the enterprise
+ * @returns {{ config: Object|null, sourceCategory: string|null }}
+ */
+export const resolveDepreciationConfig = (categoryId, categoriesById) => {
+  const visited = new Set();
+  let current = categoryId && categoriesById.get(categoryId.toString());
+
+  while (current && !visited.has(current._id.toString())) {
+    visited.add(current._id.toString());
+    if (current.depreciation?.method) {
+      return { config: current.depreciation, sourceCategory: current._id.toString() };
+    }
+    current = current.parent ? categoriesById.get(current.parent.toString()) : null;
+  }
+  return { config: null, sourceCategory: null };
+};
+
+/**
+ * Year-by-year depreciation schedule and book value on a given date.
+ * Years run from the purchase date anniversary; the running year is pro-rated by days.
+ *
+ * @param {Object} params
+ * @param {number} params.cost - purchase cost
+ * @param {Date|string} params.purchaseDate
+ * @param {Object} params.config - { method, usefulLifeYears, salvagePercent, ratePercent }
+ * @param {Date|string} params.asOf - valuation date (required, keeps results deterministic)
+ * @returns {Object} { method, cost, salvageValue, ratePercent, schedule, accumulatedDepreciation, bookValue, isFullyDepreciated }
+ */
+export const computeDepreciation = ({ cost, purchaseDate, config, asOf }) => {
+  const method = config.method;
+  const life = Number(config.usefulLifeYears);
+  const salvageValue = round2((Number(cost) * Number(config.salvagePercent ?? 5)) / 100);
+  const start = new Date(purchaseDate);
+  const valuationDate = new Date(asOf);
+
+  // 🔹 WDV rate: explicit, or the rate that lands exactly on salvage after `life` years
+  let rate = null;
+  if (method === "wdv") {
+    rate = config.ratePercent
+      ? Number(config.ratePercent) / 100
+      : 1 - Math.pow(salvageValue / cost, 1 / life);
+  }
+  const straightLineCharge = (cost - salvageValue) / life;
+
+  const schedule = [];
+  let opening = round2(Number(cost));
+  for (let year = 1; year <= life; year++) {
+    let charge = method === "wdv" ? opening * rate : straightLineCharge;
+    // never go below salvage; the final straight-line year absorbs rounding
+    if (opening - charge < salvageValue || (year === life && !config.ratePercent)) {
+      charge = opening - salvageValue;
+    }
+    charge = round2(Math.max(charge, 0));
+    const closing = round2(opening - charge);
+
+    schedule.push({
+      year,
+      periodStart: addYears(start, year - 1),
+      periodEnd: addYears(start, year),
+      openingValue: opening,
+      depreciation: charge,
+      closingValue: closing,
+    });
+    opening = closing;
+  }
+
+  // 🔹 Book value on the valuation date
+  let accumulated = 0;
+  for (const row of schedule) {
+    if (valuationDate >= row.periodEnd) {
+      accumulated += row.depreciation;
+    } else if (valuationDate > row.periodStart) {
+      const fraction = (valuationDate - row.periodStart) / (row.periodEnd - row.periodStart);
+      accumulated += row.depreciation * fraction;
+      break;
+    } else {
+      break;
+    }
+  }
+  accumulated = round2(accumulated);
+  const lastClosing = schedule.length ? schedule[schedule.length - 1].closingValue : cost;
+
+  return {
+    method,
+    cost: round2(Number(cost)),
+    salvageValue,
+    usefulLifeYears: life,
+    ratePercent: rate === null ? null : round2(rate * 100),
+    schedule,
+    accumulatedDepreciation: accumulated,
+    bookValue: round2(cost - accumulated),
+    isFullyDepreciated: round2(cost - accumulated) <= lastClosing,
+  };
+};
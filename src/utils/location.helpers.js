@@ -0,0 +1,23 @@
+// utils/location.helpers.js
+import mongoose from "mongoose";
+import { Location } from "../models/location.model.js";
+import { apiError } from "./apiError.js";
+
+/**
+ * Resolve a location id for pinning an asset / user.
+ * Empty values clear the pin; otherwise the location must be active and in the branch.
+ * @param {string|null} locationId
+ * @param {ObjectId|string} branchId - branch the asset / user belongs to
+ * @returns {Promise<ObjectId|null>}
+ */
+export const resolveBranchLocation = async (locationId, branchId) => {
+  if (!locationId || locationId === "null") return null;
+  if (!mongoose.Types.ObjectId.isValid(locationId)) throw new apiError(400, "Invalid location ID");
+
+  const location = await Location.findOne({ _id: locationId, isActive: true }).select("branch");
+  if (!location) throw new apiError(404, "Location not found");
+  if (location.branch.toString() !== (branchId._id || branchId).toString()) {
+    throw new apiError(400, "Location does not belong to this branch");
+  }
+  return location._id;
+};
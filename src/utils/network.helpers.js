@@ -0,0 +1,70 @@
+// utils/network.helpers.js
+import { apiError } from "./apiError.js";
+
+const IPV4_RE = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * Dotted IPv4 → unsigned 32-bit number (for range maths and sorting).
+ * @param {string} ip
+ * @returns {number|null} null when the address is not valid IPv4
+ */
+export const ipToNumber = (ip) => {
+  const match = IPV4_RE.exec(String(ip ?? "").trim());
+  if (!match) return null;
+  const octets = match.slice(1).map(Number);
+  if (octets.some((o) => o > 255)) return null;
+  return octets.reduce((n, o) => n * 256 + o, 0);
+};
+
+/**
+ * Unsigned 32-bit number → dotted IPv4.
+ * @param {number} n
+ * @returns {string}
+ */
+export const numberToIp = (n) =>
+  [24, 16, 8, 0].map((shift) => Math.floor(n / 2 ** shift) % 256).join(".");
+
+/**
+ * Parse "10.1.0.0/24". The address is snapped to its network boundary.
+ * Only /8 to /30 are accepted; smaller links have no usable host range here.
+ * @param {string} cidr
+ * @returns {{ cidr: string, networkNumber: number, broadcastNumber: number, prefixLength: number }}
+ */
+export const parseCidr = (cidr) => {
+  const [address, prefix] = String(cidr ?? "").trim().split("/");
+  const prefixLength = Number(prefix);
+  const addressNumber = ipToNumber(address);
+
+  if (addressNumber === null || !Number.isInteger(prefixLength) || prefixLength < 8 || prefixLength > 30) {
+    throw new apiError(400, "CIDR must look like 10.1.0.0/24 with a prefix between /8 and /30");
+  }
+
+  const size = 2 ** (32 - prefixLength);
+  const networkNumber = addressNumber - (addressNumber % size);
+  return {
+    cidr: `${numberToIp(networkNumber)}/${prefixLength}`,
+    networkNumber,
+    broadcastNumber: networkNumber + size - 1,
+    prefixLength,
+  };
+};
+
+/**
+ * Whether an address number is a usable host of the subnet (not network / broadcast).
+ * @param {{ networkNumber: number, broadcastNumber: number }} subnet
+ * @param {number} n
+ * @returns {boolean}
+ */
+export const isHostInSubnet = (subnet, n) =>
+  n > subnet.networkNumber && n < subnet.broadcastNumber;
+
+/**
+ * Normalise a MAC address to AA:BB:CC:DD:EE:FF. Accepts :, - or . separators or none.
+ * @param {string} mac
+ * @returns {string|null} null when it is not a 48-bit MAC
+ */
+export const normalizeMac = (mac) => {
+  const hex = String(mac ?? "").replace(/[\s:.-]/g, "").toUpperCase();
+  if (!/^[0-9A-F]{12}$/.test(hex)) return null;
+  return hex.match(/../g).join(":");
+};
@@ -0,0 +1,81 @@
+// utils/purchase.helpers.js
+import mongoose from "mongoose";
+import { AssetCategory } from "../models/assetCategory.model.js";
+import { Consumable } from "../models/consumable.model.js";
+import { PURCHASE_ITEM_TYPES } from "../models/purchaseRequisition.model.js";
+import { apiError } from "./apiError.js";
+
+/**
+ * Validate requisition lines sent by the client. Asset lines need an active
+ * category and consumable lines an active consumable, both of the enterprise.
+ * @param {Array} rawLines
+ * @param {ObjectId|string} enterpriseId
+ * @returns {Promise<Array>} cleaned lines
+ */
+export const normalizeRequisitionLines = async (rawLines, enterpriseId) => {
+  if (!Array.isArray(rawLines) || !rawLines.length) {
+    throw new apiError(400, "lines must be a non-empty array");
+  }
+
+  const errors = [];
+  const lines = [];
+
+  for (const [i, raw] of rawLines.entries()) {
+    const label = `lines[${i}]`;
+    if (!PURCHASE_ITEM_TYPES.includes(raw?.itemType)) {
+      errors.push(`${label}: itemType must be one of ${PURCHASE_ITEM_TYPES.join(", ")}`);
+      continue;
+    }
+    const quantity = Number(raw.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push(`${label}: quantity must be a whole number of at least 1`);
+    }
+    const estimatedUnitCost = Number(raw.estimatedUnitCost ?? 0);
+    if (Number.isNaN(estimatedUnitCost) || estimatedUnitCost < 0) {
+      errors.push(`${label}: estimatedUnitCost cannot be negative`);
+    }
+
+    const line = {
+      itemType: raw.itemType,
+      description: raw.description?.trim(),
+      make: raw.make,
+      modelNo: raw.modelNo,
+      quantity,
+      estimatedUnitCost,
+      category: null,
+      consumable: null,
+    };
+
+    if (raw.itemType === "asset") {
+      const category = mongoose.Types.ObjectId.isValid(raw.category)
+        ? await AssetCategory.findOne({ _id: raw.category, enterprise: enterpriseId, isActive: true })
+        : null;
+      if (!category) errors.push(`${label}: category not found in this enterprise`);
+      else line.category = category._id;
+      if (!line.description) errors.push(`${label}: description is required for asset lines`);
+    } else {
+      const consumable = mongoose.Types.ObjectId.isValid(raw.consumable)
+        ? await Consumable.findOne({ _id: raw.consumable, enterprise: enterpriseId, isActive: true })
+        : null;
+      if (!consumable) errors.push(`${label}: consumable not found in this enterprise`);
+      else {
+        line.consumable = consumable._id;
+        line.description = line.description || consumable.name;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  if (errors.length) throw new apiError(400, "Invalid requisition lines", errors);
+  return lines;
+};
+
+/**
+ * Sum of quantity × cost over lines.
+ * @param {Array} lines
+ * @param {string} costField - "estimatedUnitCost" or "unitCost"
+ * @returns {number}
+ */
+export const sumLines = (lines, costField) =>
+  Math.round(lines.reduce((sum, l) => sum + l.quantity * (l[costField] || 0), 0) * 100) / 100;
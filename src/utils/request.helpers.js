@@ -0,0 +1,16 @@
+// utils/request.helpers.js
+import { apiError } from "./apiError.js";
+
+/**
+ * Accept a structured field either as an object/array or as a JSON string
+ * (multipart forms send everything as strings).
+ */
+export const parseJsonInput = (raw, fieldName) => {
+  if (raw === undefined || raw === null || raw === "") return raw;
+  if (typeof raw !== "string") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new apiError(400, `${fieldName} must be valid JSON`);
+  }
+};
@@ -0,0 +1,26 @@
+// utils/sequence.helpers.js
+import { Counter } from "../models/counter.model.js";
+
+/**
+ * Atomically take the next number for a key (safe under concurrent requests).
+ * @param {string} key - e.g. `helpdesk:${enterpriseId}`
+ * @returns {Promise<number>} 1, 2, 3...
+ */
+export const nextSequence = async (key) => {
+  const counter = await Counter.findOneAndUpdate(
+    { key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+/**
+ * Human readable document number, e.g. formatSequence("HD", 42) → "HD-000042".
+ * @param {string} prefix
+ * @param {number} seq
+ * @param {number} [width=6]
+ * @returns {string}
+ */
+export const formatSequence = (prefix, seq, width = 6) =>
+  `${prefix}-${String(seq).padStart(width, "0")}`;
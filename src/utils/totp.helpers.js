@@ -0,0 +1,100 @@
+// utils/totp.helpers.js
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * RFC 4648 base32 (no padding), the encoding authenticator apps expect for secrets.
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+  let out = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return out;
+};
+
+/**
+ * @param {string} text - base32, case / spaces / padding ignored
+ * @returns {Buffer}
+ */
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=]/g, "");
+  let bits = "";
+  for (const ch of clean) {
+    const value = BASE32_ALPHABET.indexOf(ch);
+    if (value === -1) throw new Error("Invalid base32 character");
+    bits += value.toString(2).padStart(5, "0");
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random 160-bit secret (the RFC 4226 recommended length), base32 encoded.
+ * @returns {string}
+ */
+export const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * HOTP value (RFC 4226) for a time step, HMAC-SHA1, 6 digits.
+ * @param {string} secret - base32
+ * @param {number} step - unix time / 30
+ * @returns {string}
+ */
+export const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against the current step ± `window` steps (clock drift).
+ * Steps at or before `lastUsedStep` are refused so a code cannot be replayed.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {{ window?: number, lastUsedStep?: number, now?: number }} [options]
+ * @returns {number|null} the matched step, or null
+ */
+export const verifyTotp = (secret, code, { window = 1, lastUsedStep = 0, now } = {}) => {
+  const candidate = String(code ?? "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(candidate) || !secret) return null;
+
+  const step = currentStep(now);
+  for (let s = step - window; s <= step + window; s++) {
+    if (s <= lastUsedStep) continue;
+    const expected = totpAt(secret, s);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) return s;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// provisioning URI (Key Uri Format) rendered as a QR by the client.
+ * @param {{ issuer: string, account: string, secret: string }} params
+ * @returns {string}
+ */
+export const buildOtpauthUrl = ({ issuer, account, secret }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+};
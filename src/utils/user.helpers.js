@@ -38,3 +38,19 @@ export const ensureCanAssignReporting = (loggedInUser) => {
 
   return true;
 };
+
+/**
+ * True when `actorRole` is senior to `targetRole` (smaller roleLevel = more senior).
+ * Roles without a level are never senior to anything.
+ * @param {UserRole} actorRole
+ * @param {UserRole} targetRole
+ * @returns {boolean}
+ */
+export const isSeniorRole = (actorRole, targetRole) =>
+  typeof actorRole?.roleLevel === "number" &&
+  (typeof targetRole?.roleLevel !== "number" || actorRole.roleLevel < targetRole.roleLevel);
+
+/**
+ * Compare two user references (ObjectId, populated doc id or string); false when either is missing.
+ */
+export const isSameUser = (a, b) => !!a && !!b && a.toString() === b.toString();
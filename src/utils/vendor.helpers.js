@@ -0,0 +1,23 @@
+// utils/vendor.helpers.js
+import mongoose from "mongoose";
+import { Vendor } from "../models/vendor.model.js";
+import { apiError } from "./apiError.js";
+
+/**
+ * Resolve a vendor reference for an asset / ticket.
+ * Empty values clear it; otherwise the vendor must be active and in the same enterprise.
+ * @param {string|null} vendorId
+ * @param {ObjectId|string} enterpriseId
+ * @returns {Promise<ObjectId|null>}
+ */
+export const resolveEnterpriseVendor = async (vendorId, enterpriseId) => {
+  if (!vendorId || vendorId === "null") return null;
+  if (!mongoose.Types.ObjectId.isValid(vendorId)) throw new apiError(400, "Invalid vendor ID");
+
+  const vendor = await Vendor.findOne({ _id: vendorId, isActive: true }).select("enterprise");
+  if (!vendor) throw new apiError(404, "Vendor not found or inactive");
+  if (vendor.enterprise.toString() !== enterpriseId.toString()) {
+    throw new apiError(400, "Vendor belongs to another enterprise");
+  }
+  return vendor._id;
+};